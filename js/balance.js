@@ -0,0 +1,210 @@
+/**
+ * Balance Module for Critocracy
+ * Measures what each deck is worth to each role and, weighted by how often each deck is
+ * drawn in simulated games, flags roles the cards structurally favour or hold back.
+ */
+
+// ===== Imports =====
+import { PURPLE_CARDS, BLUE_CARDS, CYAN_CARDS, PINK_CARDS } from '../assets/Cards/Specialeventcards.js';
+import formattedEndOfTurnCards from '../assets/Cards/Endofturncards.js';
+import { DECK_TYPES, getRoleEffect } from './cards.js';
+import { PLAYER_ROLES } from './players.js';
+
+// ===== Constants =====
+const RESOURCE_TYPES = ['money', 'knowledge', 'influence'];
+
+const DECKS = [
+    { deckType: DECK_TYPES.END_OF_TURN, cards: formattedEndOfTurnCards },
+    { deckType: DECK_TYPES.PURPLE, cards: PURPLE_CARDS },
+    { deckType: DECK_TYPES.BLUE, cards: BLUE_CARDS },
+    { deckType: DECK_TYPES.CYAN, cards: CYAN_CARDS },
+    { deckType: DECK_TYPES.PINK, cards: PINK_CARDS }
+];
+
+// A role is flagged when its expected card income per game sits this many standard
+// deviations away from the average across roles
+const FLAG_THRESHOLD = 1;
+
+// ===== Card Values =====
+
+/**
+ * Work out what one card does to the resources of the player who drew it
+ * @param {Object} card - Card definition
+ * @param {string} role - Role key of the drawing player
+ * @returns {Object} {money, knowledge, influence, total, otherEffects}
+ */
+const getCardValue = (card, role) => {
+    // End of Turn cards hold one effect per role, special event cards a flat list
+    const effects = card.type === 'END_OF_TURN'
+        ? [getRoleEffect(card, role)].filter(Boolean)
+        : (card.effects || []);
+
+    const value = { money: 0, knowledge: 0, influence: 0, total: 0, otherEffects: [] };
+    effects.forEach(effect => {
+        if (effect.type !== 'RESOURCE_CHANGE') {
+            value.otherEffects.push(effect.type);
+            return;
+        }
+        RESOURCE_TYPES.forEach(resource => {
+            value[resource] += effect.changes?.[resource] || 0;
+        });
+    });
+    value.total = value.money + value.knowledge + value.influence;
+    return value;
+};
+
+/**
+ * Summarise one deck for one role, treating every card as equally likely to be drawn
+ * @param {Array} cards - The deck's cards
+ * @param {string} role - Role key
+ * @returns {Object} {cardCount, mean: {money, knowledge, influence, total}, variance, best, worst, otherEffectRate}
+ */
+const summarizeDeck = (cards, role) => {
+    const values = cards.map(card => ({ name: card.name, ...getCardValue(card, role) }));
+    const count = values.length || 1;
+    const average = (key) => values.reduce((sum, value) => sum + value[key], 0) / count;
+
+    const mean = {
+        money: average('money'),
+        knowledge: average('knowledge'),
+        influence: average('influence'),
+        total: average('total')
+    };
+    const variance = values.reduce((sum, value) => sum + (value.total - mean.total) ** 2, 0) / count;
+    const byTotal = [...values].sort((a, b) => b.total - a.total);
+    const pick = (value) => value ? { name: value.name, total: value.total } : null;
+
+    return {
+        cardCount: values.length,
+        mean,
+        variance,
+        best: pick(byTotal[0]),
+        worst: pick(byTotal[byTotal.length - 1]),
+        otherEffectRate: values.filter(value => value.otherEffects.length > 0).length / count
+    };
+};
+
+// ===== Draw Frequencies =====
+
+/**
+ * Average how many cards each role drew from each deck per game
+ * @param {Array} simulationResults - Results from runSimulations
+ * @returns {Object} {ROLE: {games, draws: {deckType: perGame}}}
+ */
+export const getDrawFrequencies = (simulationResults = []) => {
+    const totals = {};
+    simulationResults.filter(result => result.completed).forEach(result => {
+        result.standings.forEach(entry => {
+            const roleTotals = totals[entry.role] || (totals[entry.role] = { games: 0, draws: {} });
+            roleTotals.games++;
+            Object.entries(entry.cardDraws || {}).forEach(([deckType, count]) => {
+                roleTotals.draws[deckType] = (roleTotals.draws[deckType] || 0) + count;
+            });
+        });
+    });
+
+    return Object.fromEntries(Object.entries(totals).map(([role, { games, draws }]) => [role, {
+        games,
+        draws: Object.fromEntries(Object.entries(draws).map(([deckType, count]) => [deckType, count / games]))
+    }]));
+};
+
+// ===== Report =====
+
+/**
+ * Build the card balance report for every role
+ * @param {Array} [simulationResults=[]] - Results from runSimulations, used for draw frequencies.
+ *   Without them every deck counts as one draw per game.
+ * @returns {Object} {games, averageExpected, spread, roles: {ROLE: {...}}, flagged: [{role, verdict, deviation}], unsampled: [role]}
+ */
+export const analyzeCardBalance = (simulationResults = []) => {
+    const frequencies = getDrawFrequencies(simulationResults);
+    const hasSamples = Object.keys(frequencies).length > 0;
+    const roles = {};
+
+    Object.entries(PLAYER_ROLES).forEach(([role, { name }]) => {
+        const decks = Object.fromEntries(DECKS.map(({ deckType, cards }) => [deckType, summarizeDeck(cards, role)]));
+        const sampled = frequencies[role];
+        const drawsPerGame = Object.fromEntries(DECKS.map(({ deckType }) => [
+            deckType,
+            sampled ? (sampled.draws[deckType] || 0) : 1
+        ]));
+
+        // Draws are treated as independent, so per-game variance is the draw-weighted sum.
+        // With simulated games, a role that never played has no measured rates and is not compared.
+        roles[role] = {
+            name,
+            games: sampled ? sampled.games : 0,
+            sampled: Boolean(sampled) || !hasSamples,
+            decks,
+            drawsPerGame,
+            expectedPerGame: DECKS.reduce((sum, { deckType }) => sum + drawsPerGame[deckType] * decks[deckType].mean.total, 0),
+            variancePerGame: DECKS.reduce((sum, { deckType }) => sum + drawsPerGame[deckType] * decks[deckType].variance, 0),
+            deviation: 0,
+            verdict: null
+        };
+    });
+
+    const expected = Object.values(roles).filter(entry => entry.sampled).map(entry => entry.expectedPerGame);
+    const averageExpected = expected.reduce((sum, value) => sum + value, 0) / expected.length;
+    const spread = Math.sqrt(expected.reduce((sum, value) => sum + (value - averageExpected) ** 2, 0) / expected.length);
+
+    const flagged = [];
+    Object.entries(roles).filter(([, entry]) => entry.sampled).forEach(([role, entry]) => {
+        entry.deviation = spread > 0 ? (entry.expectedPerGame - averageExpected) / spread : 0;
+        if (Math.abs(entry.deviation) >= FLAG_THRESHOLD) {
+            entry.verdict = entry.deviation > 0 ? 'favoured' : 'disadvantaged';
+            flagged.push({ role, verdict: entry.verdict, deviation: entry.deviation });
+        }
+    });
+
+    return {
+        games: simulationResults.filter(result => result.completed).length,
+        averageExpected,
+        spread,
+        roles,
+        flagged,
+        unsampled: Object.keys(roles).filter(role => !roles[role].sampled)
+    };
+};
+
+/**
+ * Render a balance report as plain text
+ * @param {Object} report - Result of analyzeCardBalance
+ * @returns {string} The report
+ */
+export const formatBalanceReport = (report) => {
+    const fixed = (value) => value.toFixed(2);
+    const lines = [
+        `Card balance across roles (${report.games ? `draw rates from ${report.games} simulated games` : 'one draw per deck per game'})`,
+        `Average expected card income per game: ${fixed(report.averageExpected)} (spread ${fixed(report.spread)})`,
+        ''
+    ];
+
+    Object.entries(report.roles).forEach(([role, entry]) => {
+        const verdict = entry.verdict ? ` -- ${entry.verdict.toUpperCase()}` : '';
+        const deviation = entry.sampled
+            ? `${entry.deviation >= 0 ? '+' : ''}${fixed(entry.deviation)} sd${verdict}`
+            : 'not sampled, left out of the comparison';
+        lines.push(`${role} (${entry.name}): ${fixed(entry.expectedPerGame)} per game, ` +
+            `variance ${fixed(entry.variancePerGame)}, ${deviation}`);
+
+        Object.entries(entry.decks).forEach(([deckType, deck]) => {
+            const { mean } = deck;
+            lines.push(`  ${deckType.padEnd(12)} ${fixed(entry.drawsPerGame[deckType])} draws/game | ` +
+                `net ${fixed(mean.total)} (M ${fixed(mean.money)}, K ${fixed(mean.knowledge)}, I ${fixed(mean.influence)}) | ` +
+                `var ${fixed(deck.variance)} | best ${deck.best?.name} (${deck.best?.total}) | ` +
+                `worst ${deck.worst?.name} (${deck.worst?.total}) | ` +
+                `${Math.round(deck.otherEffectRate * 100)}% with non-resource effects`);
+        });
+        lines.push('');
+    });
+
+    if (report.unsampled.length) {
+        lines.push(`Not played in any simulated game: ${report.unsampled.join(', ')}`);
+    }
+    lines.push(report.flagged.length
+        ? `Flagged: ${report.flagged.map(({ role, verdict }) => `${role} ${verdict}`).join(', ')}`
+        : 'No role is structurally favoured by the cards.');
+    return lines.join('\n');
+};
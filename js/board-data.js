@@ -113,7 +113,7 @@ export const bluePath = [
   { pathColor: "blue", coordinates: [[523, 606]], Next: [[541, 641]], Type: "Draw" },
   { pathColor: "blue", coordinates: [[541, 641]], Next: [[542, 679]], Type: "Regular" },
   { pathColor: "blue", coordinates: [[542, 679]], Next: [[550, 709]], Type: "Regular" },
-  { pathColor: "blue", coordinates: [[550, 709]], Next: [[559, 746]], Type: "Regular" },
+  { pathColor: "blue", coordinates: [[550, 709]], Next: [[559, 744]], Type: "Regular" },
   { pathColor: "blue", coordinates: [[559, 744]], Next: [[568, 773]], Type: "Regular" },
   { pathColor: "blue", coordinates: [[568, 773]], Next: [[590, 758], [572,805]], Type: "Choicepoint" },
   { pathColor: "blue", coordinates: [[572, 805]], Next: [[589, 838]], Type: "Regular" },
@@ -153,7 +153,7 @@ export const bluePath = [
   { pathColor: "blue", coordinates: [[1240, 435]], Next: [[1261, 455]], Type: "Draw" },
   { pathColor: "blue", coordinates: [[1261, 455]], Next: [[1286, 485]], Type: "Regular" },
   { pathColor: "blue", coordinates: [[1286, 485]], Next: [[1307, 492]], Type: "Regular" },
-  { pathColor: "blue", coordinates: [[1307, 492]], Next: [[1316, 500]], Type: "Draw" },
+  { pathColor: "blue", coordinates: [[1307, 492]], Next: [[1384, 512]], Type: "Draw" },
   { pathColor: "blue", coordinates: [[1384, 512]], Type: "Finish" }
 ];
 
@@ -213,7 +213,7 @@ export const cyanPath = [
   { pathColor: "cyan", coordinates: [[1251, 613]], Next: [[1271, 592]], Type: "Draw" },
   { pathColor: "cyan", coordinates: [[1271, 592]], Next: [[1287, 563]], Type: "Regular" },
   { pathColor: "cyan", coordinates: [[1287, 563]], Next: [[1310, 544]], Type: "Regular" },
-  { pathColor: "cyan", coordinates: [[1310, 544]], Next: [[1339, 520]], Type: "Regular" },
+  { pathColor: "cyan", coordinates: [[1310, 544]], Next: [[1384, 512]], Type: "Regular" },
   { pathColor: "cyan", coordinates: [[1384, 512]], Type: "Finish" }
 ];
 
@@ -232,7 +232,7 @@ export const pinkPath = [
   { pathColor: "pink", coordinates: [[419, 790]], Next: [[442, 793]], Type: "Regular" },
   { pathColor: "pink", coordinates: [[442, 793]], Next: [[504, 787]], Type: "Draw" },
   { pathColor: "pink", coordinates: [[504, 787]], Next: [[528, 781]], Type: "Regular" },
-  { pathColor: "pink", coordinates: [[528, 781]], Next: [[562, 770]], Type: "Regular" },
+  { pathColor: "pink", coordinates: [[528, 781]], Next: [[568, 773]], Type: "Regular" },
   { pathColor: "pink", coordinates: [[568, 773]], Next: [[590, 758], [572,805]], Type: "Choicepoint" },
   { pathColor: "pink", coordinates: [[590, 758]], Next: [[613, 740]], Type: "Regular" },
   { pathColor: "pink", coordinates: [[613, 740]], Next: [[641, 720]], Type: "Regular" },
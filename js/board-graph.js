@@ -0,0 +1,362 @@
+/**
+ * Board Graph for Critocracy
+ * The board as a graph, built once from the path arrays in board-data.js: one node per space,
+ * keyed by its coordinates, with forward and reverse edges and the path colours it lies on.
+ * The space lookups and path steps that movement and the board drawing need are built on it.
+ * Nothing here touches the DOM, so tools and the engine can load it without a browser.
+ */
+
+// ===== Imports =====
+import { START_SPACE, FINISH_SPACE, AgeOfExpansion, AgeOfResistance, AgeOfReckoning, AgeOfLegacy } from './board-data.js';
+
+// ===== Constants =====
+const PATHS = [AgeOfExpansion, AgeOfResistance, AgeOfReckoning, AgeOfLegacy];
+const NEAR_MISS_DISTANCE = 8; // A broken link this close to a space was probably meant for it
+
+// ===== Keys =====
+
+/**
+ * Builds a lookup key for a coordinate pair
+ * @param {Object|Array} coords - {x, y} or [x, y]
+ * @returns {string} Key in the form "x,y"
+ */
+export const coordKey = (coords) => {
+    const [x, y] = Array.isArray(coords) ? coords : [coords.x, coords.y];
+    return `${Math.round(x)},${Math.round(y)}`;
+};
+
+/**
+ * Finds the node closest to a point, within a distance
+ * @param {Map<string, Object>} nodes - Nodes by key
+ * @param {Array} point - [x, y]
+ * @param {number} tolerance - Largest distance that still counts
+ * @returns {Object|null} The closest node
+ */
+const findClosestNode = (nodes, [x, y], tolerance) => {
+    let closest = null;
+    let closestDistance = tolerance;
+    nodes.forEach(node => {
+        const distance = Math.hypot(node.x - x, node.y - y);
+        if (distance <= closestDistance) {
+            closest = node;
+            closestDistance = distance;
+        }
+    });
+    return closest;
+};
+
+// ===== Building =====
+
+/**
+ * Builds the board graph from the path arrays
+ * @returns {Object} {nodes: Map<key, node>, byId: Map<id, node>, unresolvedLinks}
+ */
+const buildBoardGraph = () => {
+    const nodes = new Map();
+    const byId = new Map();
+
+    const addNode = (id, coordinates, type, space) => {
+        const [x, y] = coordinates;
+        const node = {
+            id,
+            key: coordKey(coordinates),
+            x,
+            y,
+            type,
+            pathColor: space.pathColor,  // The path that lists the space first
+            pathColors: [],
+            space,                       // The space object from that path
+            spaces: {},                  // Space object per path colour
+            pathIndex: {},               // Position in each path array
+            next: [],                    // [{id, pathColor}]
+            previous: []                 // [{id, pathColor}]
+        };
+        nodes.set(node.key, node);
+        byId.set(id, node);
+        return node;
+    };
+
+    // Start lists its first steps by path colour rather than as a space with Next links
+    addNode('start', START_SPACE.coordinates, 'Start', {
+        pathColor: null,
+        coordinates: [START_SPACE.coordinates],
+        Next: Object.values(START_SPACE.nextCoordOptions),
+        Type: 'Start'
+    });
+
+    // Paths share the spaces where they cross, so a space listed again joins the existing node
+    PATHS.forEach(path => path.forEach((space, index) => {
+        const key = coordKey(space.coordinates[0]);
+        const node = nodes.get(key) || addNode(
+            space.Type === 'Finish' ? 'finish' : `${space.pathColor}-${index}`,
+            space.coordinates[0],
+            space.Type || 'Regular',
+            space
+        );
+        if (!node.spaces[space.pathColor]) {
+            node.pathColors.push(space.pathColor);
+            node.spaces[space.pathColor] = space;
+            node.pathIndex[space.pathColor] = index;
+        }
+    }));
+
+    // A link must land exactly on a space; one that does not gets no edge and is noted for the
+    // board validator, with the space it nearly hit
+    const unresolvedLinks = [];
+    const resolveTarget = (from, coords, pathColor) => {
+        const target = nodes.get(coordKey(coords));
+        if (!target) {
+            const nearest = findClosestNode(nodes, coords, NEAR_MISS_DISTANCE);
+            unresolvedLinks.push({ from: from.id, to: [...coords], pathColor, nearest: nearest?.id || null });
+        }
+        return target || null;
+    };
+
+    const link = (from, to, pathColor, reversePathColor) => {
+        if (!from.next.some(edge => edge.id === to.id)) from.next.push({ id: to.id, pathColor });
+        if (!to.previous.some(edge => edge.id === from.id)) to.previous.push({ id: from.id, pathColor: reversePathColor });
+    };
+
+    const start = byId.get('start');
+    Object.entries(START_SPACE.nextCoordOptions).forEach(([color, coords]) => {
+        const target = resolveTarget(start, coords, color);
+        if (target) link(start, target, color, color);
+    });
+
+    // A step keeps its path colour where the next space lies on the same path
+    PATHS.forEach(path => path.forEach(space => {
+        const from = nodes.get(coordKey(space.coordinates[0]));
+        (space.Next || []).forEach(coords => {
+            const target = resolveTarget(from, coords, space.pathColor);
+            if (!target) return;
+            const stepColor = target.spaces[space.pathColor] ? space.pathColor : target.pathColor;
+            link(from, target, stepColor, space.pathColor);
+        });
+    }));
+
+    return { nodes, byId, unresolvedLinks };
+};
+
+const boardGraph = buildBoardGraph();
+
+// ===== Lookups =====
+
+/**
+ * Gets the node for a space from its exact coordinates
+ * @param {Object|Array} coords - {x, y} or [x, y]
+ * @returns {Object|null} The node, or null if no space is there
+ */
+export const getNode = (coords) => coords ? boardGraph.nodes.get(coordKey(coords)) || null : null;
+
+/**
+ * Gets a node by its id
+ * @param {string} id - e.g. 'start', 'finish' or 'purple-15'
+ * @returns {Object|null} The node
+ */
+export const getNodeById = (id) => boardGraph.byId.get(id) || null;
+
+/**
+ * Gets every node on the board
+ * @returns {Array<Object>} Nodes, Start first
+ */
+export const getAllNodes = () => [...boardGraph.nodes.values()];
+
+/**
+ * Finds the node nearest a point that is not on an exact space, such as a canvas click
+ * @param {Object|Array} coords - {x, y} or [x, y] in original board pixels
+ * @param {number} tolerance - Largest distance that still counts as the space
+ * @returns {Object|null} The nearest node within the tolerance
+ */
+export const findNearestNode = (coords, tolerance) => {
+    if (!coords) return null;
+    const point = Array.isArray(coords) ? coords : [coords.x, coords.y];
+    return getNode(point) || findClosestNode(boardGraph.nodes, point, tolerance);
+};
+
+/**
+ * Gets the Next links that do not land exactly on a space, and so lead nowhere
+ * @returns {Array<Object>} Each link as {from: node id, to: [x, y], pathColor, nearest: id of a space a few pixels away, or null}
+ */
+export const getUnresolvedLinks = () => boardGraph.unresolvedLinks.map(link => ({ ...link }));
+
+// ===== Space Lookups =====
+
+/**
+ * Finds details about a space at the given coordinates
+ * @param {Object} targetCoords - Coordinates to search for {x, y}
+ * @param {number} [tolerance=0] - Pixel distance tolerance, for points that are not on an exact
+ *   space such as canvas clicks
+ * @returns {Object|null} - Space details if found, null otherwise
+ */
+export const findSpaceDetailsByCoords = (targetCoords, tolerance = 0) => {
+    const node = tolerance > 0 ? findNearestNode(targetCoords, tolerance) : getNode(targetCoords);
+    if (!node) return null;
+
+    const coords = { x: node.x, y: node.y };
+    if (node.type === 'Start') {
+        return { type: 'start', nodeId: node.id, coords, details: START_SPACE };
+    }
+    if (node.type === 'Finish') {
+        return { type: 'finish', nodeId: node.id, coords, details: FINISH_SPACE };
+    }
+
+    const spaceType = node.type.toLowerCase();
+    return {
+        type: spaceType === 'choicepoint' ? 'junction' : spaceType,
+        Type: node.type,
+        nodeId: node.id,
+        coords,
+        details: node.space,
+        pathColor: node.pathColor
+    };
+};
+
+/**
+ * Gets what lies one step ahead of the given coordinates
+ * @param {Object} currentCoords - Current coordinates {x, y}
+ * @returns {Object} {type: 'Regular'|'Finish', nextCoords: [x, y]}, {type: 'Choicepoint'|'Start', options},
+ *                   {type: 'LandedOnFinish'}, {type: 'End'} or {type: 'Error', message}.
+ *                   Options are choices for resolvePlayerChoice: {type, coordinates: [x, y], pathColor}
+ */
+export const getNextStepOptions = (currentCoords) => {
+    if (!currentCoords) return { type: 'Error', message: 'No coordinates' };
+    
+    const node = getNode(currentCoords);
+    if (!node) return { type: 'Error', message: 'Not on a board space' };
+    if (node.type === 'Finish') return { type: 'LandedOnFinish' };
+    
+    const choiceType = node.type === 'Start' ? 'start' : 'choicepoint';
+    const options = node.next.map(edge => {
+        const next = getNodeById(edge.id);
+        return { type: choiceType, coordinates: [next.x, next.y], pathColor: edge.pathColor };
+    });
+    
+    if (node.type === 'Start') return { type: 'Start', options };
+    if (node.next.length === 0) return { type: 'End' };
+    if (node.next.length > 1) return { type: 'Choicepoint', options };
+    
+    const next = getNodeById(node.next[0].id);
+    return {
+        type: next.type === 'Finish' ? 'Finish' : 'Regular',
+        nextCoords: [next.x, next.y]
+    };
+};
+
+/**
+ * Gets the path color at the specified coordinates
+ * @param {number|Object} x - The x coordinate, or {x, y}
+ * @param {number} [y] - The y coordinate
+ * @returns {string|null} - The color name ('purple', 'blue', 'cyan', 'pink'), 'start', 'finish' or null if not found
+ */
+export const getPathColorFromCoords = (x, y) => {
+    if (x === undefined || (typeof x !== 'object' && y === undefined)) return null;
+    
+    const node = getNode(typeof x === 'object' ? x : { x, y });
+    if (!node) return null;
+    if (node.type === 'Start') return 'start';
+    if (node.type === 'Finish') return 'finish';
+    return node.pathColor;
+};
+
+// ===== Path Traversal =====
+// Forward steps follow each space's Next links and backward steps follow the same links in reverse.
+
+/**
+ * Turns graph edges into steps
+ * @param {Array<Object>} edges - [{id, pathColor}] from a node
+ * @returns {Array<Object>} [{x, y, pathColor}]
+ */
+const edgesToSteps = (edges) => edges.map(edge => {
+    const node = getNodeById(edge.id);
+    return { x: node.x, y: node.y, pathColor: edge.pathColor };
+});
+
+/**
+ * Finds the board space at exact coordinates
+ * @param {Object|Array} coords - {x, y} or [x, y]
+ * @param {string} [preferredColor] - Path color to prefer where paths share a space
+ * @returns {Object|null} The space object ({pathColor, coordinates, Next, Type}) or null
+ */
+export const getSpaceAt = (coords, preferredColor = null) => {
+    const node = getNode(coords);
+    if (!node) return null;
+    return node.spaces[preferredColor] || node.space;
+};
+
+/**
+ * Gets the spaces one step forward from the given coordinates
+ * @param {Object|Array} coords - {x, y} or [x, y]
+ * @returns {Array<Object>} [{x, y, pathColor}], more than one at a Choicepoint
+ */
+export const getForwardSteps = (coords) => {
+    const node = getNode(coords);
+    return node ? edgesToSteps(node.next) : [];
+};
+
+/**
+ * Gets the spaces one step backward from the given coordinates
+ * @param {Object|Array} coords - {x, y} or [x, y]
+ * @returns {Array<Object>} [{x, y, pathColor}], more than one where paths merge
+ */
+export const getBackwardSteps = (coords) => {
+    const node = getNode(coords);
+    return node ? edgesToSteps(node.previous) : [];
+};
+
+/**
+ * Gets the path array for a path color
+ * @param {string} pathColor - 'purple', 'blue', 'cyan' or 'pink'
+ * @returns {Array<Object>|null} The path array
+ */
+const getPathForColor = (pathColor) => {
+    const colorPaths = {
+        purple: AgeOfExpansion,
+        blue: AgeOfResistance,
+        cyan: AgeOfReckoning,
+        pink: AgeOfLegacy
+    };
+    return colorPaths[pathColor] || null;
+};
+
+/**
+ * Looks up an Age path by the name cards use for it
+ * @param {string} ageName - e.g. "The Age of Resistance"
+ * @returns {Array<Object>|null} The path array, or null if the name is unknown
+ */
+export const getPathForAge = (ageName) => {
+    if (!ageName) return null;
+    const normalized = ageName.trim().toLowerCase().replace(/^the\s+/, '');
+    const agePaths = {
+        'age of expansion': AgeOfExpansion,
+        'age of resistance': AgeOfResistance,
+        'age of reckoning': AgeOfReckoning,
+        'age of legacy': AgeOfLegacy
+    };
+    return agePaths[normalized] || null;
+};
+
+/**
+ * Finds the space on another path that matches a player's progress on their current one.
+ * Progress is the fraction of the current path already covered; the Finish is never chosen.
+ * @param {Object} coords - The player's current coordinates {x, y}
+ * @param {Array<Object>} targetPath - Path array to move onto
+ * @param {string} [currentColor] - Color of the path the player is on, for shared spaces
+ * @returns {Object|null} The target space, or null if the player is not on a path
+ */
+export const getEquivalentSpaceOnPath = (coords, targetPath, currentColor = null) => {
+    if (!coords || !Array.isArray(targetPath) || targetPath.length === 0) return null;
+    const lastPlayable = targetPath.length - 2;
+
+    const node = getNode(coords);
+    if (!node) return null;
+    if (node.type === 'Start') {
+        return targetPath[0];
+    }
+
+    const currentSpace = getSpaceAt(coords, currentColor);
+    const currentPath = getPathForColor(currentSpace.pathColor);
+    const currentIndex = node.pathIndex[currentSpace.pathColor];
+    const progress = currentIndex / Math.max(1, currentPath.length - 1);
+    const targetIndex = Math.min(lastPlayable, Math.round(progress * (targetPath.length - 1)));
+    return targetPath[Math.max(0, targetIndex)];
+};
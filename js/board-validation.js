@@ -0,0 +1,181 @@
+/**
+ * Board Validation for Critocracy
+ * Checks the hand-typed path arrays in board-data.js: that every Next link lands on a space,
+ * that every space lies on a route from Start to Finish with no loops, and that Start leads
+ * onto the first space of each path. Runs in dev mode and from tools/validate-board.mjs.
+ */
+
+// ===== Imports =====
+import { START_SPACE, FINISH_SPACE, AgeOfExpansion, AgeOfResistance, AgeOfReckoning, AgeOfLegacy } from './board-data.js';
+import { coordKey, getNode, getNodeById, getAllNodes, getUnresolvedLinks } from './board-graph.js';
+import { GAME_EVENTS, emit } from './events.js';
+
+// ===== Constants =====
+const PATHS = [AgeOfExpansion, AgeOfResistance, AgeOfReckoning, AgeOfLegacy];
+
+// ===== Checks =====
+
+/**
+ * Walk the board graph from some nodes along one kind of edge
+ * @param {Array<Object>} fromNodes - Nodes to start from
+ * @param {string} edgeKey - 'next' or 'previous'
+ * @returns {Set<string>} Ids of every node reached, including the starting ones
+ */
+const walkGraph = (fromNodes, edgeKey) => {
+    const reached = new Set(fromNodes.map(node => node.id));
+    const queue = [...fromNodes];
+    while (queue.length > 0) {
+        queue.shift()[edgeKey].forEach(edge => {
+            if (reached.has(edge.id)) return;
+            reached.add(edge.id);
+            queue.push(getNodeById(edge.id));
+        });
+    }
+    return reached;
+};
+
+/**
+ * Find Next links that lead back to a space already on the route to them
+ * @param {Object} start - Node to search from
+ * @returns {Array<Array<string>>} Each loop as node ids, first and last being the same space
+ */
+const findCycles = (start) => {
+    const cycles = [];
+    const finished = new Set();
+    const route = [];
+
+    const visit = (node) => {
+        route.push(node.id);
+        node.next.forEach(edge => {
+            const loopStart = route.indexOf(edge.id);
+            if (loopStart >= 0) {
+                cycles.push([...route.slice(loopStart), edge.id]);
+            } else if (!finished.has(edge.id)) {
+                visit(getNodeById(edge.id));
+            }
+        });
+        route.pop();
+        finished.add(node.id);
+    };
+
+    visit(start);
+    return cycles;
+};
+
+/**
+ * Check the board data for broken or suspicious paths
+ * @returns {Object} { errors, warnings, spaceCount }, each problem being {pathColor, coords: [x, y], message}.
+ *   Errors break movement; warnings are spaces or Start options that are never used.
+ */
+export const validateBoardData = () => {
+    const report = { errors: [], warnings: [], spaceCount: 0 };
+    const problem = (pathColor, coords, message) => ({ pathColor: pathColor || 'board', coords: [...coords], message });
+    const addError = (...args) => report.errors.push(problem(...args));
+    const addWarning = (...args) => report.warnings.push(problem(...args));
+    const describe = (nodeId) => {
+        const node = getNodeById(nodeId);
+        return node ? `(${node.x}, ${node.y})` : nodeId;
+    };
+
+    const nodes = getAllNodes();
+    report.spaceCount = nodes.length;
+    const start = getNode(START_SPACE.coordinates);
+    const finish = getNode(FINISH_SPACE.coordinates);
+
+    // Next links
+    getUnresolvedLinks().forEach(link => {
+        const from = getNodeById(link.from);
+        const hint = link.nearest ? `; did you mean ${describe(link.nearest)}?` : '';
+        addError(link.pathColor, [from.x, from.y], `Next target (${link.to.join(', ')}) is not a space on any path${hint}`);
+    });
+
+    // Spaces listed twice on one path
+    PATHS.forEach(path => {
+        const seen = new Map();
+        path.forEach((space, index) => {
+            const key = coordKey(space.coordinates[0]);
+            if (seen.has(key)) {
+                addError(space.pathColor, space.coordinates[0],
+                    `listed twice on the ${space.pathColor} path (entries ${seen.get(key) + 1} and ${index + 1})`);
+            } else {
+                seen.set(key, index);
+            }
+        });
+    });
+
+    // Start options
+    PATHS.forEach(path => {
+        const pathColor = path[0]?.pathColor;
+        const option = START_SPACE.nextCoordOptions[pathColor];
+        if (!option) {
+            addError(pathColor, START_SPACE.coordinates, `START_SPACE has no nextCoordOptions entry for the ${pathColor} path`);
+        } else if (coordKey(option) !== coordKey(path[0].coordinates[0])) {
+            addError(pathColor, START_SPACE.coordinates,
+                `START_SPACE option (${option.join(', ')}) is not the first ${pathColor} space (${path[0].coordinates[0].join(', ')})`);
+        }
+    });
+    Object.keys(START_SPACE.nextCoordOptions)
+        .filter(pathColor => !PATHS.some(path => path[0]?.pathColor === pathColor))
+        .forEach(pathColor => addWarning(pathColor, START_SPACE.coordinates, `START_SPACE has an option for unknown path "${pathColor}"`));
+
+    if (!finish) {
+        addError(null, FINISH_SPACE.coordinates, 'FINISH_SPACE is not the last space of any path');
+        return report;
+    }
+
+    // Routes from Start to Finish
+    const reachable = walkGraph([start], 'next');
+    const reachesFinish = walkGraph([finish], 'previous');
+    nodes.forEach(node => {
+        if (!reachable.has(node.id)) {
+            addWarning(node.pathColor, [node.x, node.y], 'cannot be reached from Start');
+        }
+        if (!reachesFinish.has(node.id)) {
+            addError(node.pathColor, [node.x, node.y], 'has no route to the Finish');
+        }
+    });
+
+    findCycles(start).forEach(cycle => {
+        const node = getNodeById(cycle[0]);
+        addError(node.pathColor, [node.x, node.y], `Next links loop back here: ${cycle.map(describe).join(' -> ')}`);
+    });
+
+    return report;
+};
+
+// ===== Reporting =====
+
+const summarize = (report) =>
+    `Board validation: ${report.spaceCount} spaces, ${report.errors.length} errors, ${report.warnings.length} warnings`;
+
+const formatProblem = ({ pathColor, coords, message }) => `[${pathColor}] (${coords.join(', ')}): ${message}`;
+
+/**
+ * Render a board validation report as plain text
+ * @param {Object} report - Report from validateBoardData
+ * @returns {string} The report
+ */
+export const formatBoardValidationReport = (report) => [
+    summarize(report),
+    ...report.errors.map(entry => `ERROR ${formatProblem(entry)}`),
+    ...report.warnings.map(entry => `WARNING ${formatProblem(entry)}`)
+].join('\n');
+
+/**
+ * Check the board data, print the report to the console and announce any problems (the dev overlay listens)
+ */
+export const reportBoardValidation = () => {
+    const report = validateBoardData();
+
+    if (report.errors.length === 0 && report.warnings.length === 0) {
+        console.log(summarize(report));
+        return;
+    }
+
+    console.groupCollapsed(summarize(report));
+    report.errors.forEach(entry => console.error(formatProblem(entry)));
+    report.warnings.forEach(entry => console.warn(formatProblem(entry)));
+    console.groupEnd();
+
+    emit(GAME_EVENTS.BOARD_VALIDATED, { report });
+};
@@ -1,5 +1,5 @@
 // Board Module for Critocracy
-// Handles drawing, animation, and coordinate lookups.
+// Handles drawing and animation. Coordinate lookups live in board-graph.js.
 // ===== Imports =====
 import { 
     START_SPACE, 
@@ -12,9 +12,11 @@ import {
     AgeOfReckoning,
     AgeOfLegacy
 } from './board-data.js';
+import { getNextStepOptions, findSpaceDetailsByCoords } from './board-graph.js';
 import { getPlayers, getPlayerById, PLAYER_ROLES } from './players.js';
-import { updatePlayerInfo } from './ui.js';
 import { logGameEvent, logPlayerAction } from './logging.js';
+import { gameState } from './engine.js';
+import { GAME_EVENTS, INPUT_EVENTS, emit, on } from './events.js';
 
 // Define deckRegions as an empty array until properly populated
 const deckRegions = [];
@@ -32,7 +34,8 @@ let boardState = {
     playerTokenImages: {}, 
     boardImage: null,
     players: [],
-    isInitialized: false // Track initialization state
+    isInitialized: false, // Track initialization state
+    redrawFrame: null // Pending pulse redraw, so pulsing never stacks up extra loops
 };
 
 // ===== Animation State =====
@@ -45,20 +48,14 @@ const animationState = {
 // ===== Internal Helper Functions (Defined Before Usage) =====
 
 /**
- * Helper function: Ray-casting algorithm
+ * Redraw the board on the next frame, once, however many highlights ask for it
  */
-const isPointInPolygon = (point, polygon) => {
-    const x = point.x, y = point.y;
-    let isInside = false;
-    if (!Array.isArray(polygon) || polygon.length < 3) return false;
-    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
-        const xi = polygon[i][0], yi = polygon[i][1];
-        const xj = polygon[j][0], yj = polygon[j][1];
-        const intersect = ((yi > y) !== (yj > y))
-            && (x < (xj - xi) * (y - yi) / (yj - yi) + xi);
-        if (intersect) isInside = !isInside;
-    }
-    return isInside;
+const requestBoardRedraw = () => {
+    if (boardState.redrawFrame) return;
+    boardState.redrawFrame = requestAnimationFrame(() => {
+        boardState.redrawFrame = null;
+        drawBoard();
+    });
 };
 
 /**
@@ -252,7 +249,7 @@ export function managePlayerTokens(players, playerId = null) {
             nameLabel.style.whiteSpace = 'nowrap';
             
             // Add current player indicator
-            if (window.gameState && window.gameState.currentPlayerId === player.id) {
+            if (gameState.currentPlayerId === player.id) {
                 const indicator = document.createElement('div');
                 indicator.className = 'current-player-indicator';
                 indicator.style.position = 'absolute';
@@ -271,10 +268,10 @@ export function managePlayerTokens(players, playerId = null) {
             tokenElement.appendChild(nameLabel);
             
             // Position token
-            const { x, y } = player.currentCoords || START_SPACE;
-            const scaledCoords = scaleCoordinates(x, y);
-            tokenElement.style.left = `${scaledCoords.x}px`;
-            tokenElement.style.top = `${scaledCoords.y}px`;
+            const { x, y } = player.currentCoords || { x: START_SPACE.coordinates[0], y: START_SPACE.coordinates[1] };
+            const [scaledX, scaledY] = scaleCoordinates(x, y);
+            tokenElement.style.left = `${scaledX}px`;
+            tokenElement.style.top = `${scaledY}px`;
             
             // Add to container
             tokenContainer.appendChild(tokenElement);
@@ -300,8 +297,8 @@ export function managePlayerTokens(players, playerId = null) {
             playerIds: playersToUpdate.map(p => p.id)
         });
         
-        // Update player info in UI
-        updatePlayerInfo();
+        // The player panels show token positions too
+        emit(GAME_EVENTS.PLAYERS_CHANGED);
         
         console.log("Player tokens managed successfully");
     } catch (error) {
@@ -453,25 +450,21 @@ const setupBoardClickListener = (canvas) => {
         };
         
         // Check if click is on End of Turn card boxes
-        if (window.gameState && window.gameState.turnState === 'AWAITING_END_OF_TURN_CARD') {
+        if (gameState.turnState === 'AWAITING_END_OF_TURN_CARD') {
             // Check box 1
             if (x >= endOfTurnBox1.x && x <= endOfTurnBox1.x + endOfTurnBox1.width && 
                 y >= endOfTurnBox1.y && y <= endOfTurnBox1.y + endOfTurnBox1.height) {
                 console.log("Clicked on End of Turn Card Box 1");
-                if (window.gameHandlers && typeof window.gameHandlers.handleEndOfTurnCardDraw === 'function') {
-                    window.gameHandlers.handleEndOfTurnCardDraw(1);
-                    return;
-                }
+                emit(INPUT_EVENTS.END_OF_TURN_BOX_CLICKED, { boxNumber: 1 });
+                return;
             }
             
             // Check box 2
             if (x >= endOfTurnBox2.x && x <= endOfTurnBox2.x + endOfTurnBox2.width && 
                 y >= endOfTurnBox2.y && y <= endOfTurnBox2.y + endOfTurnBox2.height) {
                 console.log("Clicked on End of Turn Card Box 2");
-                if (window.gameHandlers && typeof window.gameHandlers.handleEndOfTurnCardDraw === 'function') {
-                    window.gameHandlers.handleEndOfTurnCardDraw(2);
-                    return;
-                }
+                emit(INPUT_EVENTS.END_OF_TURN_BOX_CLICKED, { boxNumber: 2 });
+                return;
             }
         }
         
@@ -488,22 +481,7 @@ const setupBoardClickListener = (canvas) => {
             if (x >= area.x && x <= area.x + area.width && 
                 y >= area.y && y <= area.y + area.height) {
                 console.log(`Clicked on ${area.name} Deck`);
-                
-                // Debug: Check if game module is available
-                console.log("Game module available:", Boolean(window.game));
-                console.log("handleDeckClick available:", Boolean(window.game?.handleDeckClick));
-                console.log("Game state:", window.game?.getGameState ? window.game.getGameState() : "Not available");
-                
-                // Use the proper game module function for handling deck clicks
-                if (window.game && typeof window.game.handleDeckClick === 'function') {
-                    try {
-                        window.game.handleDeckClick(area.name);
-                    } catch (err) {
-                        console.error("Error calling handleDeckClick:", err);
-                    }
-                } else {
-                    console.error("Cannot handle deck click: window.game.handleDeckClick not found");
-                }
+                emit(INPUT_EVENTS.DECK_CLICKED, { deckType: area.name });
                 return;
             }
         }
@@ -512,9 +490,7 @@ const setupBoardClickListener = (canvas) => {
             for (const region of deckRegions) {
                 if (x >= region.x && x <= region.x + region.width && y >= region.y && y <= region.y + region.height) {
                     console.log(`Clicked on deck region: ${region.name}`);
-                    if (window.game && typeof window.game.handleDeckClick === 'function') {
-                        window.game.handleDeckClick(region.name);
-                    }
+                    emit(INPUT_EVENTS.DECK_CLICKED, { deckType: region.name });
                     return; 
                 }
             }
@@ -522,16 +498,7 @@ const setupBoardClickListener = (canvas) => {
             console.warn("deckRegions data not available for click detection.");
         }
         
-        let gameState = null;
-        try {
-            if (window.game && typeof window.game.getGameState === 'function') {
-                 gameState = window.game.getGameState();
-            }
-        } catch (e) { 
-            console.error("Error getting game state:", e);
-        }
-
-        if (gameState && gameState.phase === 'PLAYER_MOVE') {
+        if (gameState.phase === 'PLAYER_MOVE') {
             const currentPlayer = gameState.currentPlayer;
             if (currentPlayer && currentPlayer.currentCoords) {
                 const validMoves = getNextStepOptions(currentPlayer.currentCoords); 
@@ -565,11 +532,7 @@ const setupBoardClickListener = (canvas) => {
 
                 if (moveTargetCoords) {
                     console.log(`Handling move click to:`, moveTargetCoords);
-                    if (window.game && typeof window.game.handleMoveClick === 'function') {
-                        window.game.handleMoveClick(moveTargetCoords); 
-                    } else {
-                         console.warn("game.handleMoveClick function not found.");
-                    }
+                    emit(INPUT_EVENTS.MOVE_TARGET_CLICKED, { coords: moveTargetCoords });
                     return; 
                 }
             }
@@ -608,213 +571,6 @@ export const unscaleCoordinates = (canvasX, canvasY) => {
     return [canvasX / boardState.scale, canvasY / boardState.scale];
 };
 
-// ===== Exported Functions =====
-
-/**
- * Finds details about a space at the given coordinates
- * @param {Object} targetCoords - Coordinates to search for {x, y}
- * @param {number} tolerance - Pixel distance tolerance for matching
- * @returns {Object|null} - Space details if found, null otherwise
- */
-export const findSpaceDetailsByCoords = (targetCoords, tolerance = 5) => {
-    if (!targetCoords) return null;
-    
-    const allPaths = [AgeOfExpansion, AgeOfResistance, AgeOfReckoning, AgeOfLegacy];
-    
-    // Check START_SPACE
-    if (START_SPACE && START_SPACE.coordinates) {
-        const distance = Math.sqrt(
-            Math.pow(targetCoords.x - START_SPACE.coordinates[0], 2) + 
-            Math.pow(targetCoords.y - START_SPACE.coordinates[1], 2)
-        );
-        
-        if (distance <= tolerance) {
-            return {
-                type: 'start',
-                coords: { x: START_SPACE.coordinates[0], y: START_SPACE.coordinates[1] },
-                details: START_SPACE
-            };
-        }
-    }
-    
-    // Check FINISH_SPACE
-    if (FINISH_SPACE && FINISH_SPACE.coordinates) {
-        const distance = Math.sqrt(
-            Math.pow(targetCoords.x - FINISH_SPACE.coordinates[0], 2) + 
-            Math.pow(targetCoords.y - FINISH_SPACE.coordinates[1], 2)
-        );
-        
-        if (distance <= tolerance) {
-            return {
-                type: 'finish',
-                coords: { x: FINISH_SPACE.coordinates[0], y: FINISH_SPACE.coordinates[1] },
-                details: FINISH_SPACE
-            };
-        }
-    }
-    
-    // Check path spaces
-    for (const path of allPaths) {
-        if (!path || !path.segments) continue;
-        
-        const color = path.color || 'unknown';
-        
-        for (const segment of path.segments) {
-            if (!segment || !segment.coordinates || !segment.coordinates[0]) continue;
-            
-            const coord = segment.coordinates[0];
-            const distance = Math.sqrt(
-                Math.pow(targetCoords.x - coord[0], 2) + 
-                Math.pow(targetCoords.y - coord[1], 2)
-            );
-            
-            if (distance <= tolerance) {
-                let type = 'regular';
-                if (segment.type === 'draw') {
-                    type = 'draw';
-                } else if (segment.Next && segment.Next.length > 1) {
-                    type = 'junction';
-                }
-                
-                return {
-                    type,
-                    coords: { x: coord[0], y: coord[1] },
-                    details: segment,
-                    pathColor: color
-                };
-            }
-        }
-    }
-    
-    return null;
-};
-
-/**
- * Gets possible next step options from the current coordinates
- * @param {Object} currentCoords - Current coordinates {x, y}
- * @returns {Array} - Array of possible next coordinates
- */
-export const getNextStepOptions = (currentCoords) => {
-    if (!currentCoords) return [];
-    
-    // First, find the space details from the coordinates
-    const spaceDetails = findSpaceDetailsByCoords(currentCoords);
-    if (!spaceDetails) return [];
-    
-    // Check if this is the start space
-    if (spaceDetails.type === 'start') {
-        // Return initial path options
-        const initialOptions = [];
-        
-        // Add first space from each path
-        if (AgeOfExpansion && AgeOfExpansion.segments && AgeOfExpansion.segments[0]) {
-            initialOptions.push({
-                x: AgeOfExpansion.segments[0].coordinates[0][0],
-                y: AgeOfExpansion.segments[0].coordinates[0][1],
-                pathColor: 'purple'
-            });
-        }
-        
-        if (AgeOfResistance && AgeOfResistance.segments && AgeOfResistance.segments[0]) {
-            initialOptions.push({
-                x: AgeOfResistance.segments[0].coordinates[0][0],
-                y: AgeOfResistance.segments[0].coordinates[0][1],
-                pathColor: 'blue'
-            });
-        }
-        
-        if (AgeOfReckoning && AgeOfReckoning.segments && AgeOfReckoning.segments[0]) {
-            initialOptions.push({
-                x: AgeOfReckoning.segments[0].coordinates[0][0],
-                y: AgeOfReckoning.segments[0].coordinates[0][1],
-                pathColor: 'cyan'
-            });
-        }
-        
-        if (AgeOfLegacy && AgeOfLegacy.segments && AgeOfLegacy.segments[0]) {
-            initialOptions.push({
-                x: AgeOfLegacy.segments[0].coordinates[0][0],
-                y: AgeOfLegacy.segments[0].coordinates[0][1],
-                pathColor: 'pink'
-            });
-        }
-        
-        return initialOptions;
-    }
-    
-    // Check if this is the finish space
-    if (spaceDetails.type === 'finish') {
-        // No moves possible from finish
-        return [];
-    }
-    
-    // For regular spaces or junctions, check the Next property
-    const nextCoordinates = [];
-    
-    if (spaceDetails.details && spaceDetails.details.Next) {
-        for (const nextCoord of spaceDetails.details.Next) {
-            if (Array.isArray(nextCoord) && nextCoord.length >= 2) {
-                nextCoordinates.push({
-                    x: nextCoord[0],
-                    y: nextCoord[1],
-                    pathColor: spaceDetails.pathColor
-                });
-            }
-        }
-    }
-    
-    return nextCoordinates;
-};
-
-/**
- * Gets the path color at the specified coordinates
- * @param {number} x - The x coordinate
- * @param {number} y - The y coordinate
- * @returns {string|null} - The color name ('purple', 'blue', 'cyan', 'pink') or null if not found
- */
-export const getPathColorFromCoords = (x, y) => {
-    if (x === undefined || y === undefined) return null;
-    
-    // Convert to coordinates object if numbers were provided
-    const coordinates = typeof x === 'object' ? x : { x, y };
-    
-    // Find the space details at these coordinates
-    const spaceDetails = findSpaceDetailsByCoords(coordinates);
-    
-    // If found, return the path color
-    if (spaceDetails && spaceDetails.pathColor) {
-        return spaceDetails.pathColor;
-    }
-    
-    // If not found on any path, check if it's on a special space
-    
-    // Check if it's the start space
-    if (START_SPACE && START_SPACE.coordinates) {
-        const distance = Math.sqrt(
-            Math.pow(coordinates.x - START_SPACE.coordinates[0], 2) + 
-            Math.pow(coordinates.y - START_SPACE.coordinates[1], 2)
-        );
-        
-        if (distance <= 5) {
-            return 'start'; // Special color for start
-        }
-    }
-    
-    // Check if it's the finish space
-    if (FINISH_SPACE && FINISH_SPACE.coordinates) {
-        const distance = Math.sqrt(
-            Math.pow(coordinates.x - FINISH_SPACE.coordinates[0], 2) + 
-            Math.pow(coordinates.y - FINISH_SPACE.coordinates[1], 2)
-        );
-        
-        if (distance <= 5) {
-            return 'finish'; // Special color for finish
-        }
-    }
-    
-    return null; // Not found on any path
-};
-
 /**
  * Draws a highlight around a coordinate to show it's a valid choice
  * @param {CanvasRenderingContext2D} ctx - Canvas context
@@ -854,7 +610,7 @@ function drawPathHighlight(ctx, coords, color = '#FFFF00', radius = 20) {
     ctx.fill();
     
     // Request next animation frame for pulsing effect
-    requestAnimationFrame(() => drawBoard());
+    requestBoardRedraw();
 }
 
 /**
@@ -865,10 +621,7 @@ function highlightChoicePoints() {
     const ctx = boardState.ctx;
     if (!ctx) return;
     
-    // Get game state and current choices if available
-    const gameState = window.gameState;
-    if (!gameState) return;
-    
+    // Get the current choices
     const currentChoices = gameState.currentChoices || [];
     const turnState = gameState.turnState;
     
@@ -915,7 +668,7 @@ function highlightChoicePoints() {
             ctx.fillStyle = '#FFFFFF';
             ctx.fillText(pathName, x, y + 30);
         });
-    } else if (turnState === 'AWAITING_JUNCTION_CHOICE' && currentChoices.length > 0) {
+    } else if (turnState === 'AWAITING_CHOICEPOINT' && currentChoices.length > 0) {
         // Junction path choices
         currentChoices.forEach(choice => {
             if (!choice.coordinates) return;
@@ -963,7 +716,7 @@ function highlightChoicePoints() {
         }
         
         // Request animation frame for pulsing
-        requestAnimationFrame(() => drawBoard());
+        requestBoardRedraw();
     }
     
     // Handle special event card highlighting for draw spaces
@@ -1012,7 +765,7 @@ function highlightChoicePoints() {
                 ctx.fillText('Draw Card', (x1 + x2) / 2, (y1 + y2) / 2);
                 
                 // Request animation frame for pulsing
-                requestAnimationFrame(() => drawBoard());
+                requestBoardRedraw();
             }
         }
     }
@@ -1148,24 +901,6 @@ export const setupBoard = async () => {
         }
     });
     
-    // Expose board functions globally for animations.js to use
-    window.board = {
-        animateTokenToPosition,
-        drawBoard,
-        getPlayers,
-        drawPlayerToken,
-        drawAllPlayerTokens,
-        highlightPlayerChoices,
-        getNextStepOptions,
-        startMoveAnimation,
-        getPathColorFromCoords,
-        highlightEndOfTurnCardBoxes,
-        refreshPlayerTokens,
-        synchronizePlayerCoordinates,
-        findSpaceDetailsByCoords,
-        clearMovementPreview
-    };
-    
     console.log("Board setup complete.")
     return { ctx, canvas };
 };
@@ -1183,7 +918,11 @@ export function animateTokenToPosition(player, targetCoords, callback) {
     if (!player || !targetCoords) return;
     
     const tokenElement = document.getElementById(`player-token-${player.id}`);
-    if (!tokenElement) return;
+    if (!tokenElement) {
+        // Nothing to animate, but the move itself still has to carry on
+        if (callback) callback();
+        return;
+    }
     
     // Set animation state
     animationState.isAnimating = true;
@@ -1240,128 +979,13 @@ export function animateTokenToPosition(player, targetCoords, callback) {
     }, duration);
 }
 
-/**
- * Handles movement animation step-by-step using coordinates.
- */
-export function startMoveAnimation(player, steps, onComplete) {
-    if (!player || !player.currentCoords) {
-        console.error("startMoveAnimation: Invalid player/coords.");
-        if (onComplete) onComplete({ reason: 'error_invalid_player', stepsTaken: 0 });
-        return;
-    }
-    let currentStep = 0;
-    let logicalCoords = { ...player.currentCoords }; 
-    const INTERRUPTING_TYPES = ['draw', 'choicepoint', 'junction', 'finish', 'special_event']; 
-    const totalStepsRequested = steps;
-    console.log(`ANIMATE: Start move ${player.id} from (${logicalCoords.x},${logicalCoords.y}) for ${totalStepsRequested} steps.`);
-    
-    function completeAnimation(reason, finalCoords) {
-        console.log(`ANIMATE: Complete at (${finalCoords.x},${finalCoords.y}). Reason: ${reason}, Steps: ${currentStep}/${totalStepsRequested}`);
-        if (onComplete) {
-            onComplete({ reason, stepsTaken: currentStep, finalCoords });
-        }
-    }
-    
-    function moveNextVisualStep() {
-        if (currentStep >= totalStepsRequested) {
-            completeAnimation('steps_complete', logicalCoords);
-            return;
-        }
-        const nextOptions = getNextStepOptions(logicalCoords);
-
-        if (!nextOptions || nextOptions.type === 'Error' || nextOptions.type === 'End') {
-            console.warn(`ANIMATE: Cannot move from (${logicalCoords.x},${logicalCoords.y}). Options:`, nextOptions);
-            completeAnimation(nextOptions.type === 'End' ? 'end_of_path' : 'error_blocked', logicalCoords);
-            return;
-        }
-        if (nextOptions.type === 'LandedOnFinish') {
-             console.log("ANIMATE: Already on Finish.");
-             completeAnimation('interrupt_finish', logicalCoords);
-             return;
-        }
-
-        let nextLogicalCoordsArray = null;
-        let reasonForStopping = null;
-
-        if (nextOptions.type === 'Choicepoint') {
-            console.log("ANIMATE: Choicepoint reached. Stopping for choice.");
-            completeAnimation('interrupt_choicepoint', logicalCoords);
-            return;
-        } else if (nextOptions.type === 'Regular') {
-            nextLogicalCoordsArray = nextOptions.nextCoords;
-        } else if (nextOptions.type === 'Finish') {
-             nextLogicalCoordsArray = nextOptions.nextCoords;
-             reasonForStopping = 'interrupt_finish'; 
-        } else {
-             console.error(`ANIMATE: Unexpected nextOptions type: ${nextOptions.type}.`);
-             completeAnimation('error_unexpected_option', logicalCoords);
-             return;
-        }
-
-        if (!Array.isArray(nextLogicalCoordsArray) || nextLogicalCoordsArray.length < 2) {
-            console.error("ANIMATE: Invalid next coords array.");
-            completeAnimation('error_invalid_coords', logicalCoords);
-            return;
-        }
+// ===== Game Event Listeners =====
 
-        const targetLogicalPos = { x: nextLogicalCoordsArray[0], y: nextLogicalCoordsArray[1] };
-        const startLogicalPos = { ...logicalCoords }; 
-        const targetSpaceDetails = findSpaceDetailsByCoords(targetLogicalPos);
-        const targetTypeLower = targetSpaceDetails ? (targetSpaceDetails.Type || '').toLowerCase() : 'unknown';
-        const isInterruptingType = INTERRUPTING_TYPES.includes(targetTypeLower) && !['finish', 'choicepoint', 'junction'].includes(targetTypeLower);
-
-        // Check if the movement path passes through any junction polygons
-        // Get all junction spaces
-        const allPaths = [AgeOfExpansion, AgeOfResistance, AgeOfReckoning, AgeOfLegacy];
-        for (const path of allPaths) {
-            if (!path || !path.segments) continue;
-            
-            for (const space of path.segments) {
-                if (!space || !space.coordinates) continue;
-                
-                const type = (space.Type || '').toLowerCase();
-                
-                // Check if this is a junction/choicepoint with polygon coordinates
-                if ((type === 'choicepoint' || type === 'junction') && 
-                    Array.isArray(space.coordinates) && 
-                    space.coordinates.length >= 3) {
-                    
-                    // Check if the line segment between current position and next position
-                    // passes through this junction polygon
-                    const pointA = startLogicalPos;
-                    const pointB = targetLogicalPos;
-                    
-                    // Use existing function to check if either point is inside polygon
-                    if (isPointInPolygon(pointA, space.coordinates) || 
-                        isPointInPolygon(pointB, space.coordinates)) {
-                        console.log(`ANIMATE: Movement passes through junction polygon`);
-                        reasonForStopping = 'interrupt_junction';
-                        break;
-                    }
-                }
-            }
-            if (reasonForStopping) break; // Exit outer loop if junction found
-        }
-
-        if (isInterruptingType) {
-            reasonForStopping = `interrupt_${targetTypeLower}`;
-        }
-        
-        console.log(`ANIMATE: Step ${currentStep+1}: ${startLogicalPos.x},${startLogicalPos.y} -> ${targetLogicalPos.x},${targetLogicalPos.y} (Stop: ${!!reasonForStopping})`);
-        animateTokenToPosition(player, targetLogicalPos, () => {
-            logicalCoords = { ...targetLogicalPos };
-            currentStep++; 
-            if (reasonForStopping) {
-                completeAnimation(reasonForStopping, logicalCoords);
-            } else if (currentStep >= totalStepsRequested) {
-                completeAnimation('steps_complete', logicalCoords);
-            } else {
-                 moveNextVisualStep(); 
-            }
-        });
-    }
-    moveNextVisualStep(); 
-}
+// Walk the token to wherever the rules moved the player; the move waits for the walk
+on(GAME_EVENTS.TOKEN_MOVED, ({ player, to }) => new Promise(resolve => {
+    const [x, y] = scaleCoordinates(to.x, to.y);
+    animateTokenToPosition(player, { x, y }, resolve);
+}));
 
 /**
  * Shows a preview of the movement path based on dice roll
@@ -1624,7 +1248,7 @@ export function highlightEndOfTurnCardBoxes(ctx) {
     }
     
     // Request animation frame for pulsing
-    requestAnimationFrame(() => drawBoard());
+    requestBoardRedraw();
 }
 
 /**
@@ -1679,7 +1303,7 @@ export function highlightDeck(ctx, pathColor) {
     ctx.fillText('Draw Card', (x1 + x2) / 2, (y1 + y2) / 2);
     
     // Request animation frame for pulsing
-    requestAnimationFrame(() => drawBoard());
+    requestBoardRedraw();
 }
 
 /**
@@ -1699,11 +1323,9 @@ function getNextStepCoordinates(currentCoords) {
     }
     
     // For choice points, use the first option (this is just a preview)
-    if (nextOptions.type === 'Choicepoint' && Array.isArray(nextOptions.choices) && nextOptions.choices.length > 0) {
-        const firstChoice = nextOptions.choices[0];
-        if (Array.isArray(firstChoice) && firstChoice.length >= 2) {
-            return { x: firstChoice[0], y: firstChoice[1] };
-        }
+    if (nextOptions.type === 'Choicepoint' && nextOptions.options.length > 0) {
+        const [x, y] = nextOptions.options[0].coordinates;
+        return { x, y };
     }
     
     // For regular steps and finish
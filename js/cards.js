@@ -2,10 +2,11 @@
 
 // ===== Imports =====
 import { PURPLE_CARDS, BLUE_CARDS, CYAN_CARDS, PINK_CARDS } from '../assets/Cards/Specialeventcards.js';
-import { updatePlayerResources } from './players.js';
-import { getPathColorFromCoords } from './board.js';
+import { updatePlayerResources, setPlayerSkipTurn, grantTemporaryImmunity, addCardToHand, removeCardFromHand, PLAYER_ROLES } from './players.js';
 import { PATH_COLORS } from './board-data.js';
-import { logMessage } from './ui.js';
+import { logCardDraw as recordCardDraw, logGameEvent } from './logging.js';
+import { random } from './rng.js';
+import { GAME_EVENTS, emit, emitAndWait, emitMessage } from './events.js';
 import formattedEndOfTurnCards from '../assets/Cards/Endofturncards.js';
 
 // ===== Constants =====
@@ -23,6 +24,9 @@ export const DECK_TYPES = {
     END_OF_TURN: 'end_of_turn'
 };
 
+// Effect types whose cards are kept in hand (gameoutline: trade and alliance cards are kept)
+const KEPT_EFFECT_TYPES = ['TRADE_OFFER', 'ALLIANCE_OFFER'];
+
 // Path colors for easier reference
 export const pathColors = {
     purple: PATH_COLORS.purple,
@@ -61,8 +65,16 @@ export const setupDecks = async () => {
         // Populate decks with cards
         populateDecks();
         
+        // Refuse to start with cards the effect registry cannot resolve
+        const validationReport = validateCardDefinitions(cardDecks);
+        reportCardValidation(validationReport);
+        if (validationReport.errors.length > 0) {
+            throw new Error(`${validationReport.errors.length} card definition error(s), see the card validation report`);
+        }
+        
         // Shuffle all decks
         shuffleAllDecks();
+        refreshDeckCounters();
         
         console.log("All card decks initialized and shuffled");
         return true;
@@ -117,7 +129,7 @@ export const shuffleDeck = (deckType) => {
     
     // Fisher-Yates shuffle algorithm
     for (let i = deck.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
+        const j = Math.floor(random() * (i + 1));
         [deck[i], deck[j]] = [deck[j], deck[i]];
     }
     
@@ -133,21 +145,6 @@ export const doesDeckExist = (deckType) => {
     return Boolean(cardDecks[deckType]) && Array.isArray(cardDecks[deckType]);
 };
 
-/**
- * Get the appropriate deck type for a space
- */
-export const getDeckTypeForSpace = (spaceDetails) => {
-    if (!spaceDetails) return null;
-    
-    // If it's a draw space, use the path color
-    if (spaceDetails.type === 'draw') {
-        const color = getPathColorFromCoords(spaceDetails.coords);
-        return color;
-    }
-    
-    return null;
-};
-
 /**
  * Get cards of a specific deck type
  * @param {string} deckType - Type of deck to get cards from
@@ -171,29 +168,68 @@ export function getEndOfTurnCards() {
  * @returns {Object|null} - The drawn card or null if no cards available
  */
 export function drawCard(deckType) {
-    const deck = cardDecks[deckType];
-    if (!deck || deck.length === 0) {
-        // If deck is empty, shuffle discard pile back into deck
-        if (discardPiles[deckType] && discardPiles[deckType].length > 0) {
-            cardDecks[deckType] = [...discardPiles[deckType]];
-            discardPiles[deckType] = [];
-            shuffleDeck(cardDecks[deckType]);
-            return drawCard(deckType); // Try drawing again
-        }
+    if (!cardDecks[deckType]) return null;
+    
+    // If deck is empty, shuffle discard pile back into deck
+    if (cardDecks[deckType].length === 0 && !reshuffleFromDiscard(deckType)) {
         return null;
     }
-    return deck.shift();
+    
+    const card = cardDecks[deckType].shift();
+    refreshDeckCounters();
+    return card;
 }
 
 /**
- * Log a card draw to the game log
- * @param {string} playerId - ID of the player who drew the card
+ * Refill an exhausted deck from its discard pile and shuffle it
+ * @param {string} deckType - The deck that ran out
+ * @returns {boolean} - True if the deck was refilled
+ */
+const reshuffleFromDiscard = (deckType) => {
+    const discarded = discardPiles[deckType] || [];
+    if (discarded.length === 0) {
+        emitMessage(`The ${deckType} deck is out of cards.`);
+        return false;
+    }
+    
+    cardDecks[deckType] = [...discarded];
+    discardPiles[deckType] = [];
+    shuffleDeck(deckType);
+    
+    emitMessage(`The ${deckType} deck ran out and was reshuffled from its discard pile.`);
+    logGameEvent('DECK_RESHUFFLED', { deckType, cardCount: cardDecks[deckType].length });
+    emit(GAME_EVENTS.DECK_RESHUFFLED, { deckType });
+    return true;
+};
+
+/**
+ * Count the cards left to draw in each deck
+ * @returns {Object} - Remaining card counts keyed by deck type
+ */
+export const getDeckCounts = () => Object.fromEntries(
+    Object.values(DECK_TYPES).map(deckType => [deckType, cardDecks[deckType].length])
+);
+
+/**
+ * Announce the current deck counts (the deck counter display listens)
+ */
+const refreshDeckCounters = () => {
+    emit(GAME_EVENTS.DECKS_CHANGED, { counts: getDeckCounts() });
+};
+
+/**
+ * Record a drawn card and show it to the table
+ * @param {Object} player - The player who drew the card
  * @param {Object} card - The card that was drawn
  * @param {string} deckType - Type of deck the card was drawn from
+ * @returns {Promise<Object>} The card, tagged with its deck type, once it has been read
  */
-export function logCardDraw(playerId, card, deckType) {
-    logMessage(`Player ${playerId} drew a ${card.name} card from the ${deckType} deck`, 'card');
-}
+export const revealDrawnCard = async (player, card, deckType) => {
+    const drawnCard = { ...card, deckType };
+    recordCardDraw(player.id, drawnCard, deckType);
+    await emitAndWait(GAME_EVENTS.CARD_DRAWN, { player, card: drawnCard, deckType });
+    return drawnCard;
+};
 
 /**
  * Checks if a player has temporary immunity
@@ -215,47 +251,6 @@ export function hasTemporaryImmunity(playerId) {
         });
 }
 
-/**
- * Allows a player to use their special ability
- * @param {string} playerId - ID of the player using their ability
- * @returns {Promise<boolean>} - True if ability was used successfully
- */
-export function useSpecialAbility(playerId) {
-    // Import the player function dynamically to avoid circular dependency
-    return import('./players.js')
-        .then(playersModule => {
-            if (typeof playersModule.useSpecialAbility === 'function') {
-                return playersModule.useSpecialAbility(playerId);
-            }
-            return false;
-        })
-        .catch(err => {
-            console.error('Error using special ability:', err);
-            return false;
-        });
-}
-
-/**
- * Displays a resource change effect in the UI
- * @param {string} playerId - ID of the player whose resources changed
- * @param {string} resourceType - Type of resource that changed (money, knowledge, influence)
- * @param {number} amount - Amount of change (positive or negative)
- */
-export function displayResourceChangeEffect(playerId, resourceType, amount) {
-    // Import the UI function dynamically to avoid circular dependency
-    import('./ui.js')
-        .then(uiModule => {
-            if (typeof uiModule.displayResourceChangeEffect === 'function') {
-                uiModule.displayResourceChangeEffect(playerId, resourceType, amount);
-            } else {
-                console.log(`Resource change: ${playerId} ${resourceType} ${amount > 0 ? '+' : ''}${amount}`);
-            }
-        })
-        .catch(err => {
-            console.error('Error displaying resource change effect:', err);
-        });
-}
-
 /**
  * Apply effects from an End of Turn card
  */
@@ -290,182 +285,365 @@ export const applyEndOfTurnCardEffects = (card, player) => {
 
 /**
  * Apply effects from a card to a player
+ * Effects run in order, each finishing (e.g. a token walk) before the next starts.
+ * Trade and alliance cards are kept in the player's hand instead, unless they are being played from it.
+ * Once resolved, the card goes back to the bottom of its deck, whether it was drawn or played from a hand.
  * @param {Object} card - The card with effects to apply
  * @param {Object} player - The player to apply effects to
+ * @param {Object} [options] - { fromHand: true } when the card is played from the player's hand
+ * @returns {Promise<boolean>} True if any effect was applied or the card was kept
  */
-export function applyCardEffects(card, player) {
+export async function applyCardEffects(card, player, { fromHand = false } = {}) {
     if (!card || !player) {
         console.error("Cannot apply card effects: Invalid card or player");
         return false;
     }
     
+    if (!fromHand && isKeptCard(card)) {
+        emitMessage(`${player.name} keeps ${card.name} to play on a later turn.`);
+        return addCardToHand(player.id, card);
+    }
+    
+    const applied = await resolveCardEffects(card, player);
+    
+    // Used cards go back to the bottom of their own deck
+    returnCardToDeck(card);
+    return applied;
+}
+
+/**
+ * Run every effect on a card for a player
+ * @param {Object} card - The card being resolved
+ * @param {Object} player - The player to apply effects to
+ * @returns {Promise<boolean>} True if any effect was applied
+ */
+const resolveCardEffects = async (card, player) => {
     console.log(`Applying effects of card ${card.name} to player ${player.name}`);
     
-    // Import player immunity functions
-    import('./players.js').then(players => {
-        // Helper function to apply effect with immunity check
-        const applyWithImmunityCheck = (effect) => {
-            let skipEffect = false;
-            
-            // Check for immunities based on effect type
-            if (effect.type === 'STEAL') {
-                // For resource theft, check immunity
-                if (effect.target === player.id && players.isImmuneToTheft(player, effect.resource)) {
-                    logMessage(`${player.name} is immune to ${effect.resource} theft!`);
-                    skipEffect = true;
-                }
-            }
-            else if (effect.type === 'SABOTAGE') {
-                // For sabotage, check Revolutionary immunity
-                if (effect.target === player.id && players.isImmuneToSabotage(player)) {
-                    logMessage(`${player.name} used Revolutionary ability to ignore sabotage!`);
-                    skipEffect = true;
-                }
-            }
-            else if (effect.type === 'FORCE_PATH_CHANGE') {
-                // For forced path change, check Artist immunity
-                if (!players.canBeForcePathChange(player)) {
-                    logMessage(`${player.name} cannot be forced to change paths as an Artist!`);
-                    skipEffect = true;
-                }
-            }
-            else if (effect.type === 'SKIP_TURN') {
-                // For skip turn, check Entrepreneur immunity
-                if (!players.forceSkipTurn(player)) {
-                    logMessage(`${player.name} never has to miss a turn as an Entrepreneur!`);
-                    skipEffect = true;
-                }
-            }
-            
-            // Apply the effect unless player is immune
-            if (!skipEffect) {
-                return applyEffect(effect, player);
-            }
-            
-            return false;
-        };
+    // Handle End of Turn cards (role-specific effects)
+    if (card.deckType === DECK_TYPES.END_OF_TURN) {
+        const roleEffect = getRoleEffect(card, player.role);
         
-        // Handle End of Turn cards (role-specific effects)
-        if (card.deckType === 'end_of_turn') {
-            // Get the effect specific to this player's role
-            const roleEffect = card.effects[player.role] || card.effects['ALL'];
-            
-            if (!roleEffect) {
-                console.log(`No effects found for ${player.role} in card ${card.name}`);
-                return false;
-            }
-            
-            // Apply the effect based on type with immunity check
-            return applyWithImmunityCheck(roleEffect);
+        if (!roleEffect) {
+            console.log(`No effects found for ${player.role} in card ${card.name}`);
+            return false;
         }
         
-        // Handle Special Event cards (array of effects)
-        if (Array.isArray(card.effects)) {
-            let appliedAny = false;
-            
-            // Apply each effect in the array with immunity checks
-            card.effects.forEach(effect => {
-                try {
-                    const success = applyWithImmunityCheck(effect);
-                    if (success) appliedAny = true;
-                } catch (error) {
-                    console.error(`Error applying card effect:`, error);
-                }
-            });
-            
-            return appliedAny;
+        return applyEffect(roleEffect, player, card);
+    }
+    
+    // Handle Special Event cards (array of effects)
+    if (Array.isArray(card.effects)) {
+        let appliedAny = false;
+        
+        for (const effect of card.effects) {
+            try {
+                const success = await applyEffect(effect, player, card);
+                if (success) appliedAny = true;
+            } catch (error) {
+                console.error(`Error applying card effect:`, error);
+            }
         }
         
-        // If effects format is unknown, try as a single effect
-        return applyWithImmunityCheck(card.effects);
-    });
-}
+        return appliedAny;
+    }
+    
+    // If effects format is unknown, try as a single effect
+    return applyEffect(card.effects, player, card);
+};
 
 // Create an alias for compatibility with singular naming
 export const applyCardEffect = applyCardEffects;
 
-// Helper function to apply a single effect
-function applyEffect(effect, player) {
+/**
+ * Check whether a card is kept in hand rather than resolved when drawn (trade and alliance cards)
+ * @param {Object} card - The card to check
+ * @returns {boolean} True if every effect on the card is a trade or alliance offer
+ */
+export const isKeptCard = (card) => {
+    if (!card || card.deckType === DECK_TYPES.END_OF_TURN || !Array.isArray(card.effects) || card.effects.length === 0) {
+        return false;
+    }
+    return card.effects.every(effect => effect && KEPT_EFFECT_TYPES.includes(effect.type));
+};
+
+/**
+ * Find a role's effect on an End of Turn card (card data uses 'Colonialist', players use 'COLONIALIST')
+ * @param {Object} card - End of Turn card
+ * @param {string} role - Player role
+ * @returns {Object|null} The role's effect, the 'ALL' effect, or null
+ */
+export const getRoleEffect = (card, role) => {
+    const effects = card.effects || {};
+    const roleKey = Object.keys(effects).find(key => key.toUpperCase() === String(role).toUpperCase());
+    return roleKey ? effects[roleKey] : (effects.ALL || null);
+};
+
+/**
+ * Apply a single effect through its registered handler
+ * @param {Object} effect - The effect to apply
+ * @param {Object} player - The player resolving the card
+ * @param {Object} [card] - The card the effect came from
+ * @returns {Promise<boolean>} True if the effect did something
+ */
+async function applyEffect(effect, player, card = null) {
     if (!effect || !player) {
         console.error("Cannot apply effect: Invalid effect or player");
         return false;
     }
     
-    console.log(`Applying effect type ${effect.type} to ${player.name}`);
-    
-    // Declare variables outside the switch to avoid lexical declaration errors
-    let money, knowledge, influence, direction, spaces;
+    const handler = effectHandlers.get(effect.type);
+    if (!handler) {
+        console.error(`Unknown effect type: ${effect.type}`);
+        return false;
+    }
+    if (!handler.apply) {
+        console.error(`No handler applies effect type: ${effect.type}`);
+        return false;
+    }
     
-    switch(effect.type) {
-        case 'RESOURCE_CHANGE':
-            // Handle resource changes
-            if (!effect.changes) return false;
-            
-            // Destructure outside the case block
-            ({ money = 0, knowledge = 0, influence = 0 } = effect.changes);
-            
-            // Update player resources
-            if (money) {
-                player.resources.money = Math.max(0, player.resources.money + money);
-                logMessage(`${player.name} ${money > 0 ? 'gained' : 'lost'} ${Math.abs(money)} Money`);
-                
-                // Animate resource change if animation function exists
-                if (typeof displayResourceChangeEffect === 'function') {
-                    displayResourceChangeEffect(player.id, 'money', money);
-                }
-            }
-            
-            if (knowledge) {
-                player.resources.knowledge = Math.max(0, player.resources.knowledge + knowledge);
-                logMessage(`${player.name} ${knowledge > 0 ? 'gained' : 'lost'} ${Math.abs(knowledge)} Knowledge`);
-                
-                // Animate resource change
-                if (typeof displayResourceChangeEffect === 'function') {
-                    displayResourceChangeEffect(player.id, 'knowledge', knowledge);
-                }
+    console.log(`Applying effect type ${effect.type} to ${player.name}`);
+    return Boolean(await handler.apply(effect, player, card));
+}
+
+// ===== Effect Registry =====
+// Every effect type a card can carry is registered here with a validator and a handler.
+// Validators run when the decks are built, so a card with an unknown or malformed effect
+// stops setup instead of failing the first time someone draws it. Movement and
+// player-vs-player effects are only validated here; engine.js registers their handlers.
+
+const effectHandlers = new Map();
+const RESOURCE_TYPES = ['money', 'knowledge', 'influence'];
+
+/**
+ * Register the handler for a card effect type. Registering a type again adds to what is
+ * already registered, so an effect's validator and its apply can come from different modules.
+ * @param {string} type - Effect type, e.g. 'RESOURCE_CHANGE'
+ * @param {Object} handler - { validate(effect) => Array<string>, apply(effect, player, card) => boolean|Promise<boolean> }, either optional
+ * @returns {boolean} True if registered
+ */
+export const registerEffectHandler = (type, handler) => {
+    const { validate, apply } = handler || {};
+    if (!type || (!validate && !apply) || [validate, apply].some(fn => fn && typeof fn !== 'function')) {
+        console.error(`registerEffectHandler: Invalid handler for ${type}`);
+        return false;
+    }
+    effectHandlers.set(type, { validate: () => [], ...effectHandlers.get(type), ...handler });
+    return true;
+};
+
+/**
+ * Check a single effect against its registered handler
+ * @param {Object} effect - The effect to check
+ * @returns {Array<string>} Problems found (empty when the effect is valid)
+ */
+export const validateEffect = (effect) => {
+    if (!effect || typeof effect !== 'object') return ['effect is missing'];
+    const handler = effectHandlers.get(effect.type);
+    if (!handler) return [`unknown effect type "${effect.type}"`];
+    return handler.validate(effect);
+};
+
+/**
+ * Check that a changes object only holds numeric amounts of known resources
+ * @param {Object} changes - e.g. { money: 3, influence: -2 }
+ * @returns {Array<string>} Problems found
+ */
+const validateResourceChanges = (changes) => {
+    if (!changes || typeof changes !== 'object') return ['changes are missing'];
+    return Object.entries(changes)
+        .filter(([resource, amount]) => !RESOURCE_TYPES.includes(resource) || typeof amount !== 'number')
+        .map(([resource, amount]) => `invalid change ${resource}: ${amount}`);
+};
+
+/**
+ * Check a positive amount field
+ * @param {*} value - Value to check
+ * @param {string} field - Field name for the message
+ * @returns {Array<string>} Problems found
+ */
+const validatePositiveInteger = (value, field) => {
+    return Number.isInteger(value) && value > 0 ? [] : [`${field} must be a positive whole number`];
+};
+
+/**
+ * Map a DRAW_CARD effect's deckType ('END_OF_TURN', 'purple', ...) to a deck key
+ * @param {Object} effect - The DRAW_CARD effect
+ * @returns {string|null} A DECK_TYPES value, or null if unknown
+ */
+const getDeckTypeFromEffect = (effect) => {
+    if (!effect.deckType) return null;
+    return DECK_TYPES[String(effect.deckType).toUpperCase()] || null;
+};
+
+registerEffectHandler('RESOURCE_CHANGE', {
+    validate: (effect) => validateResourceChanges(effect.changes),
+    apply: (effect, player, card) => {
+        const { money = 0, knowledge = 0, influence = 0 } = effect.changes;
+        const changes = { money, knowledge, influence };
+        
+        // Go through updatePlayerResources so the change is logged with its card
+        updatePlayerResources(
+            player.id,
+            changes,
+            card?.deckType === DECK_TYPES.END_OF_TURN ? 'CARD_END_OF_TURN' : 'CARD',
+            { cardName: card?.name || null }
+        );
+        
+        Object.entries(changes).forEach(([resource, amount]) => {
+            if (!amount) return;
+            const label = resource.charAt(0).toUpperCase() + resource.slice(1);
+            emitMessage(`${player.name} ${amount > 0 ? 'gained' : 'lost'} ${Math.abs(amount)} ${label}`);
+        });
+        
+        return true;
+    }
+});
+
+registerEffectHandler('MOVEMENT', {
+    validate: (effect) => {
+        if (effect.moveToAge) return typeof effect.moveToAge === 'string' ? [] : ['moveToAge must be an Age name'];
+        return Number.isInteger(effect.spaces) && effect.spaces !== 0 ? [] : ['spaces must be a non-zero whole number'];
+    }
+});
+
+registerEffectHandler('SABOTAGE', {
+    validate: (effect) => validateResourceChanges(effect.changes)
+});
+
+registerEffectHandler('STEAL', {
+    validate: (effect) => [
+        ...([...RESOURCE_TYPES, 'random'].includes(effect.resource) ? [] : [`unknown resource "${effect.resource}"`]),
+        ...validatePositiveInteger(effect.amount, 'amount')
+    ]
+});
+
+registerEffectHandler('STEAL_FROM_ALL', {
+    validate: (effect) => [
+        ...(RESOURCE_TYPES.includes(effect.resource) ? [] : [`unknown resource "${effect.resource}"`]),
+        ...validatePositiveInteger(effect.amount, 'amount')
+    ]
+});
+
+registerEffectHandler('SKIP_TURN', {
+    validate: (effect) => (!effect.target || effect.target === 'SELF') ? [] : [`unsupported target "${effect.target}"`],
+    apply: (effect, player, card) => {
+        const skipped = setPlayerSkipTurn(player.id, 1, card ? `CARD:${card.name}` : 'CARD');
+        emitMessage(skipped
+            ? `${player.name} will miss their next turn.`
+            : `${player.name} never has to miss a turn as an Entrepreneur!`);
+        return skipped;
+    }
+});
+
+registerEffectHandler('GRANT_IMMUNITY', {
+    validate: (effect) => validatePositiveInteger(effect.turns, 'turns'),
+    apply: (effect, player) => {
+        grantTemporaryImmunity(player.id, effect.turns);
+        emitMessage(`${player.name} is immune to negative effects for ${effect.turns} turn(s).`);
+        return true;
+    }
+});
+
+registerEffectHandler('DRAW_CARD', {
+    validate: (effect) => getDeckTypeFromEffect(effect) ? [] : [`unknown deckType "${effect.deckType}"`],
+    apply: async (effect, player) => {
+        const deckType = getDeckTypeFromEffect(effect);
+        const drawnCard = drawCard(deckType);
+        if (!drawnCard) {
+            emitMessage(`The ${deckType} deck is empty.`);
+            return false;
+        }
+        
+        emitMessage(`${player.name} draws another card: ${drawnCard.name}`);
+        return applyCardEffects(await revealDrawnCard(player, drawnCard, deckType), player);
+    }
+});
+
+registerEffectHandler('ALLIANCE_OFFER', {
+    validate: () => []
+});
+
+registerEffectHandler('TRADE_OFFER', {
+    validate: () => []
+});
+
+// ===== Card Validation =====
+// Schema checks run over every deck in setupDecks. Errors are things the effect registry
+// cannot resolve and stop setup; warnings are gaps in the card text or role coverage.
+
+/**
+ * Check every card in every deck against the card schema
+ * @param {Object} decks - Cards keyed by deck type
+ * @returns {Object} { errors, warnings, cardCount }, each problem being {deckType, cardName, message}
+ */
+export const validateCardDefinitions = (decks) => {
+    const report = { errors: [], warnings: [], cardCount: 0 };
+    const roleNames = Object.keys(PLAYER_ROLES);
+
+    Object.entries(decks).forEach(([deckType, cards]) => {
+        cards.forEach((card, index) => {
+            const cardName = card?.name || `#${index + 1}`;
+            const addError = (message) => report.errors.push({ deckType, cardName, message });
+            const addWarning = (message) => report.warnings.push({ deckType, cardName, message });
+            report.cardCount++;
+
+            if (!card || typeof card.name !== 'string' || card.name.trim() === '') addError('card has no name');
+            if (!card || typeof card.description !== 'string' || card.description.trim() === '') addWarning('card has no description');
+            if (!card || !card.effects) {
+                addError('card has no effects');
+                return;
             }
-            
-            if (influence) {
-                player.resources.influence = Math.max(0, player.resources.influence + influence);
-                logMessage(`${player.name} ${influence > 0 ? 'gained' : 'lost'} ${Math.abs(influence)} Influence`);
-                
-                // Animate resource change
-                if (typeof displayResourceChangeEffect === 'function') {
-                    displayResourceChangeEffect(player.id, 'influence', influence);
+
+            if (deckType !== DECK_TYPES.END_OF_TURN) {
+                if (!Array.isArray(card.effects) || card.effects.length === 0) {
+                    addError('special event card effects must be a non-empty list');
+                    return;
                 }
+                card.effects.forEach((effect, effectIndex) => {
+                    validateEffect(effect).forEach(problem => addError(`effect ${effectIndex + 1}: ${problem}`));
+                });
+                return;
             }
-            
-            return true;
-            
-        case 'MOVEMENT':
-            // Handle movement effects
-            if (effect.spaces) {
-                // Move player forward or backward by spaces
-                direction = effect.spaces > 0 ? 'forward' : 'backward';
-                spaces = Math.abs(effect.spaces);
-                
-                logMessage(`${player.name} moves ${direction} ${spaces} spaces`);
-                
-                // TODO: Implement actual movement logic
-                // This would use the presentJunctionChoices or movePlayer functions
-                
-                return true;
-            }
-            
-            if (effect.moveToAge) {
-                // Move player to a specific age/path
-                logMessage(`${player.name} moves to ${effect.moveToAge}`);
-                
-                return true;
-            }
-            
-            return false;
-            
-        default:
-            console.error(`Unknown effect type: ${effect.type}`);
-            return false;
+
+            // End of Turn cards hold one effect per role, keyed by role name in any casing
+            const roleKeys = Object.keys(card.effects);
+            roleKeys
+                .filter(key => key !== 'ALL' && !roleNames.includes(key.toUpperCase()))
+                .forEach(key => addWarning(`unknown role "${key}"`));
+            roleNames
+                .filter(role => !roleKeys.some(key => key.toUpperCase() === role) && !card.effects.ALL)
+                .forEach(role => addWarning(`no effect for ${role}`));
+            Object.entries(card.effects).forEach(([role, effect]) => {
+                validateEffect(effect).forEach(problem => addError(`${role}: ${problem}`));
+                if (effect && !effect.explanation) addWarning(`${role}: effect has no explanation`);
+            });
+        });
+    });
+
+    return report;
+};
+
+/**
+ * Print a card validation report to the console and announce it (the dev overlay listens)
+ * @param {Object} report - Report from validateCardDefinitions
+ */
+const reportCardValidation = (report) => {
+    const summary = `Card validation: ${report.cardCount} cards, ${report.errors.length} errors, ${report.warnings.length} warnings`;
+    const formatProblem = (problem) => `[${problem.deckType}] ${problem.cardName}: ${problem.message}`;
+
+    if (report.errors.length === 0 && report.warnings.length === 0) {
+        console.log(summary);
+        return;
     }
-}
+
+    console.groupCollapsed(summary);
+    report.errors.forEach(problem => console.error(formatProblem(problem)));
+    report.warnings.forEach(problem => console.warn(formatProblem(problem)));
+    console.groupEnd();
+
+    emit(GAME_EVENTS.CARDS_VALIDATED, { report });
+};
 
 /**
  * Discard a card to its appropriate discard pile
@@ -477,4 +655,61 @@ export function discardCard(card) {
         return;
     }
     discardPiles[card.deckType].push(card);
-}
\ No newline at end of file
+    refreshDeckCounters();
+}
+
+/**
+ * Return every card a player is still holding to the bottom of its deck, e.g. once they reach the Finish
+ * and can no longer play them
+ * @param {Object} player - The player whose hand is emptied
+ */
+export const returnHandToDecks = (player) => {
+    while (player?.cards?.length > 0) {
+        returnCardToDeck(removeCardFromHand(player.id, 0));
+    }
+};
+
+/**
+ * Put a used card back at the bottom of its deck
+ * @param {Object} card - The card to return
+ */
+export function returnCardToDeck(card) {
+    if (!card || !cardDecks[card.deckType]) {
+        console.error('Cannot return card to deck: Invalid card or missing deck type');
+        return;
+    }
+    cardDecks[card.deckType].push(card);
+    refreshDeckCounters();
+}
+
+// ===== Persistence =====
+
+/**
+ * Get a serializable copy of every deck and discard pile, preserving draw order
+ * @returns {Object} - { decks, discardPiles } keyed by deck type
+ */
+export const exportDeckState = () => ({
+    decks: JSON.parse(JSON.stringify(cardDecks)),
+    discardPiles: JSON.parse(JSON.stringify(discardPiles))
+});
+
+/**
+ * Restore decks and discard piles from a saved deck state
+ * @param {Object} deckState - State produced by exportDeckState
+ * @returns {boolean} - True if the decks were restored
+ */
+export const importDeckState = (deckState) => {
+    if (!deckState || !deckState.decks) {
+        console.error('Cannot import deck state: No saved decks found');
+        return false;
+    }
+
+    Object.values(DECK_TYPES).forEach(deckType => {
+        cardDecks[deckType] = [...(deckState.decks[deckType] || [])];
+        discardPiles[deckType] = [...((deckState.discardPiles || {})[deckType] || [])];
+    });
+
+    refreshDeckCounters();
+    console.log('Card decks restored from save');
+    return true;
+};
\ No newline at end of file
@@ -0,0 +1,1202 @@
+/**
+ * Engine Module for Critocracy
+ * The DOM-free core of the rules: game state, the turn state machine, the turn cycle, dice,
+ * movement, the card effects that move tokens or involve other players, alliances, trades,
+ * theft and final scoring. It reports what happens on the event bus (events.js) and asks
+ * human players for their choices through its prompts; game.js drives the flow from player
+ * input, and the UI, board and animations listen.
+ */
+
+// ===== Imports =====
+import {
+    getPlayers, getPlayerById, updatePlayerResources, resolveFinalStandings, markPlayerFinished,
+    grantTemporaryImmunity, decrementImmunityTurns, decrementTradeBlockTurns,
+    isImmuneToOpposingRole, hasTemporaryImmunity, isImmuneToTheft, isImmuneToSabotage,
+    canBeForcePathChange, isTradeBlocked, PLAYER_ROLES
+} from './players.js';
+import {
+    getNextStepOptions, findSpaceDetailsByCoords, getSpaceAt, getForwardSteps, getBackwardSteps,
+    getPathForAge, getEquivalentSpaceOnPath
+} from './board-graph.js';
+import { registerEffectHandler, drawCard, applyCardEffects, revealDrawnCard, returnHandToDecks } from './cards.js';
+import { logGameEvent, logPlayerAction, logPlayerMovement, logTurnStart, logTurnEnd } from './logging.js';
+import { rollDie, getSeed, pickRandom } from './rng.js';
+import { GAME_EVENTS, PROMPTS, emit, emitAndWait, emitMessage, ask } from './events.js';
+import { GAME_PHASES, TURN_STATES, ACTION_STATES, isLegalTransition, isActionAllowed } from './turn-states.js';
+
+// ===== Game State =====
+
+/**
+ * Build the state of a game that has not started yet
+ * @returns {Object} Fresh game state
+ */
+const createInitialState = () => ({
+    started: false,
+    ended: false,
+    gamePhase: GAME_PHASES.SETUP,
+    turnState: TURN_STATES.IDLE,
+    players: [],
+    totalPlayerCount: 0,
+    humanPlayerCount: 0,
+    currentPlayerIndex: -1,
+    turnOrder: [],
+    pendingActionData: null,
+    currentDiceRoll: 0,
+    currentTurn: 0,
+    currentRound: 1,
+    alliances: {},
+    rngSeed: getSeed()
+});
+
+// The live game state. game.js updates it as the turn flows; other modules only read it
+export const gameState = createInitialState();
+
+/**
+ * Get a copy of the current game state
+ * @returns {Object} Deep copy of the game state
+ */
+export const getGameState = () => JSON.parse(JSON.stringify(gameState));
+
+/**
+ * Replace the game state in place, so every module holding it sees the new game
+ * @param {Object} [values] - Values to start from instead of the defaults
+ * @returns {Object} The live game state
+ */
+export const resetGameState = (values = {}) => {
+    Object.keys(gameState).forEach(key => delete gameState[key]);
+    Object.assign(gameState, createInitialState(), values);
+    return gameState;
+};
+
+/**
+ * Get the player whose turn it is
+ * @returns {Object|undefined} The current player
+ */
+export const getCurrentPlayer = () => getPlayerById(gameState.currentPlayerId);
+
+// ===== Turn State Machine =====
+
+/**
+ * Move the turn to a new state. Moves the table in turn-states.js does not allow are
+ * refused and logged, and the turn stays where it was.
+ * @param {string} nextState - One of TURN_STATES
+ * @param {Object} [options]
+ * @param {boolean} [options.force=false] - Skip the table, for recovering a stalled turn; still logged
+ * @returns {boolean} True if the turn is now in nextState
+ */
+export const setTurnState = (nextState, { force = false } = {}) => {
+    const previousState = gameState.turnState;
+    if (previousState === nextState) return true;
+
+    if (force) {
+        logGameEvent('TURN_STATE_FORCED', {
+            playerId: gameState.currentPlayerId,
+            from: previousState,
+            to: nextState
+        });
+    } else if (!isLegalTransition(previousState, nextState)) {
+        console.error(`setTurnState: Illegal transition ${previousState} -> ${nextState}`);
+        logGameEvent('ILLEGAL_TURN_TRANSITION', {
+            playerId: gameState.currentPlayerId,
+            from: previousState,
+            to: nextState
+        });
+        return false;
+    }
+
+    gameState.turnState = nextState;
+    emit(GAME_EVENTS.TURN_STATE_CHANGED, { from: previousState, to: nextState, playerId: gameState.currentPlayerId });
+    return true;
+};
+
+/**
+ * Check whether a player may take an action right now
+ * @param {string} action - One of the ACTION_STATES keys in turn-states.js
+ * @param {string} [playerId] - Player asking; defaults to the current player
+ * @returns {boolean} True if the action is allowed
+ */
+export const canPerformAction = (action, playerId = gameState.currentPlayerId) => {
+    return Boolean(playerId) && playerId === gameState.currentPlayerId && isActionAllowed(action, gameState.turnState);
+};
+
+/**
+ * Check an action before carrying it out, logging why it was refused
+ * @param {string} action - One of the ACTION_STATES keys in turn-states.js
+ * @param {string} playerId - Player taking the action
+ * @returns {boolean} True if the action may go ahead
+ */
+export const guardAction = (action, playerId) => {
+    if (canPerformAction(action, playerId)) return true;
+
+    let reason = `not allowed while ${gameState.turnState}`;
+    if (!ACTION_STATES[action]) reason = 'unknown action';
+    else if (playerId !== gameState.currentPlayerId) reason = 'not this player\'s turn';
+    console.warn(`Rejected ${action} from ${playerId}: ${reason}`);
+    logGameEvent('ACTION_REJECTED', {
+        playerId,
+        action,
+        turnState: gameState.turnState,
+        reason
+    });
+    return false;
+};
+
+// ===== Turn Cycle =====
+
+/**
+ * Start a player's turn: count it, clear the last turn's roll and choices, and use up a skipped turn
+ * @param {Object} player - The player whose turn it is
+ * @returns {boolean} True if the player plays this turn, false if they have to skip it
+ */
+export const beginTurn = (player) => {
+    emitMessage(`It's ${player.name}'s turn.`);
+    gameState.currentTurn++;
+    logTurnStart(player.id, gameState.currentTurn);
+
+    gameState.currentDiceRoll = null;
+    gameState.currentChoices = [];
+    gameState.choicePointRemainingSteps = 0;
+    emit(GAME_EVENTS.TURN_STARTED, { player, turn: gameState.currentTurn, round: gameState.currentRound });
+
+    if (player.skipTurns > 0) {
+        emitMessage(`${player.name} must skip this turn (${player.skipTurns} remaining).`);
+        logPlayerAction(player.id, 'TURN_SKIPPED', {
+            turnNumber: gameState.currentTurn,
+            remainingSkips: player.skipTurns - 1
+        });
+        player.skipTurns--;
+        emit(GAME_EVENTS.PLAYERS_CHANGED);
+        return false;
+    }
+    return true;
+};
+
+/**
+ * Roll the die for a player's move
+ * @param {Object} player - The player rolling
+ * @returns {number} The roll
+ */
+export const rollDice = (player) => {
+    const roll = rollDie();
+    gameState.currentDiceRoll = roll;
+    gameState.movesRemaining = roll;
+    gameState.moveStartCoords = { ...player.currentCoords };
+
+    emitMessage(`${player.name} rolled a ${roll}!`, 'dice');
+    emit(GAME_EVENTS.DICE_ROLLED, { player, roll });
+    return roll;
+};
+
+/**
+ * Put a player's token on a space, keeping both coordinate fields in sync
+ * @param {Object} player - The player being moved
+ * @param {Object} coords - Board coordinates {x, y}
+ * @param {string} source - What moved the token: 'roll', 'choice' or 'card'
+ * @returns {Promise<void>} Resolves once listeners have shown the move
+ */
+export const moveToken = (player, coords, source) => {
+    const from = { ...player.currentCoords };
+    player.coords = { x: coords.x, y: coords.y };
+    player.currentCoords = { x: coords.x, y: coords.y };
+    return emitAndWait(GAME_EVENTS.TOKEN_MOVED, { player, from, to: { ...player.currentCoords }, source });
+};
+
+/**
+ * Close a player's turn
+ * @param {Object} player - The player whose turn is over
+ */
+export const endTurn = (player) => {
+    logTurnEnd(player.id, gameState.currentTurn);
+    player.hasDrawnEndOfTurnCard = false;
+    emit(GAME_EVENTS.TURN_ENDED, { player, turn: gameState.currentTurn });
+};
+
+/**
+ * Start a new round: count down immunities and trade blocks and end expired alliances
+ */
+const startRound = () => {
+    gameState.currentRound++;
+    emitMessage(`--- Starting Round ${gameState.currentRound} ---`);
+    logGameEvent('ROUND_START', {
+        roundNumber: gameState.currentRound,
+        playerCount: gameState.turnOrder.length
+    });
+
+    decrementImmunityTurns();
+    decrementTradeBlockTurns();
+    expireAlliances();
+    emit(GAME_EVENTS.ROUND_STARTED, { round: gameState.currentRound });
+};
+
+/**
+ * Hand the turn to the next player who has not finished, starting a new round when the
+ * turn order wraps around
+ * @returns {Object|null} The new current player, or null if nobody is left to play
+ */
+export const advanceTurnOrder = () => {
+    const currentIndex = gameState.turnOrder.indexOf(gameState.currentPlayerId);
+    if (currentIndex === gameState.turnOrder.length - 1) {
+        startRound();
+    }
+
+    let nextIndex = (currentIndex + 1) % gameState.turnOrder.length;
+    let nextPlayer = getPlayerById(gameState.turnOrder[nextIndex]);
+    let loopCheck = 0;
+
+    while (nextPlayer && nextPlayer.finished && loopCheck < gameState.turnOrder.length) {
+        emitMessage(`Player ${nextPlayer.name} has finished, skipping.`);
+        logGameEvent('PLAYER_SKIPPED', {
+            playerId: nextPlayer.id,
+            reason: 'PLAYER_FINISHED'
+        });
+
+        nextIndex = (nextIndex + 1) % gameState.turnOrder.length;
+        nextPlayer = getPlayerById(gameState.turnOrder[nextIndex]);
+        loopCheck++;
+    }
+
+    if (loopCheck >= gameState.turnOrder.length || !nextPlayer) {
+        return null;
+    }
+
+    gameState.currentPlayerId = nextPlayer.id;
+    return nextPlayer;
+};
+
+// ===== Movement =====
+
+// Space types a rolled move stops on, even with steps left
+const STOPPING_SPACE_TYPES = ['draw', 'special_event'];
+
+// What the turn does once a rolled move has stopped, from resolveMoveEnd
+export const MOVE_OUTCOMES = {
+    FINISHED: 'finished',              // The player reached the Finish
+    CHOICEPOINT: 'choicepoint',        // The player picks a branch, then moves on
+    DRAW: 'draw',                      // The player draws from the deck of the space's path
+    END_OF_TURN_CARD: 'endOfTurnCard'  // Only the End of Turn card is left
+};
+
+/**
+ * Walk a player's token along the board for a roll, one space at a time. The walk stops
+ * early in front of a Choicepoint, on a Draw or Special Event space, and at the Finish.
+ * @param {Object} player - The player moving
+ * @param {number} steps - Spaces to move
+ * @returns {Promise<Object>} {reason, stepsTaken, finalCoords}, reason being 'steps_complete',
+ *   'interrupt_<space type>', 'interrupt_choicepoint', 'interrupt_finish', 'end_of_path' or 'error_<problem>'
+ */
+export const moveAlongPath = async (player, steps) => {
+    if (!player || !player.currentCoords) {
+        console.error("moveAlongPath: Invalid player/coords.");
+        return { reason: 'error_invalid_player', stepsTaken: 0 };
+    }
+
+    let stepsTaken = 0;
+    const stop = (reason) => {
+        console.log(`MOVE: Stopped at (${player.currentCoords.x},${player.currentCoords.y}). Reason: ${reason}, Steps: ${stepsTaken}/${steps}`);
+        return { reason, stepsTaken, finalCoords: { ...player.currentCoords } };
+    };
+    console.log(`MOVE: Start move ${player.id} from (${player.currentCoords.x},${player.currentCoords.y}) for ${steps} steps.`);
+
+    while (stepsTaken < steps) {
+        const nextOptions = getNextStepOptions(player.currentCoords);
+        switch (nextOptions.type) {
+            case 'Error':
+            case 'End':
+                console.warn(`MOVE: Cannot move from (${player.currentCoords.x},${player.currentCoords.y}). Options:`, nextOptions);
+                return stop(nextOptions.type === 'End' ? 'end_of_path' : 'error_blocked');
+            case 'LandedOnFinish':
+                return stop('interrupt_finish');
+            case 'Choicepoint':
+                return stop('interrupt_choicepoint');
+            case 'Regular':
+            case 'Finish':
+                break;
+            default:
+                console.error(`MOVE: Unexpected nextOptions type: ${nextOptions.type}.`);
+                return stop('error_unexpected_option');
+        }
+
+        const [x, y] = nextOptions.nextCoords;
+        const spaceType = (findSpaceDetailsByCoords({ x, y })?.Type || '').toLowerCase();
+
+        // The player's position moves at once; the token catches up on screen
+        await moveToken(player, { x, y }, 'roll');
+        stepsTaken++;
+
+        if (nextOptions.type === 'Finish') return stop('interrupt_finish');
+        if (STOPPING_SPACE_TYPES.includes(spaceType)) return stop(`interrupt_${spaceType}`);
+    }
+    return stop('steps_complete');
+};
+
+/**
+ * Settle a rolled move where it stopped: log it, mark a player who reached the Finish, and
+ * put the turn in the state for whatever comes next
+ * @param {Object} player - The player who moved
+ * @param {Object} [result] - {reason, stepsTaken} from moveAlongPath
+ * @returns {Object|null} {type, options, deckType}, type being one of MOVE_OUTCOMES; null if the turn had already moved on
+ */
+export const resolveMoveEnd = (player, { reason = 'unknown', stepsTaken = 0 } = {}) => {
+    // A move that finishes after its turn was recovered has nothing left to resolve
+    if (gameState.turnState !== TURN_STATES.MOVING) {
+        console.warn(`END OF MOVE ignored: Turn is ${gameState.turnState}, not moving.`);
+        return null;
+    }
+
+    console.log(`END OF MOVE: Player ${player.name} finished movement sequence at coords:`, player.currentCoords, `Reason: ${reason}, Steps in sequence: ${stepsTaken}`);
+
+    // Record where the move ended so the log can be replayed
+    logPlayerMovement(player.id, gameState.moveStartCoords || { ...player.currentCoords }, { ...player.currentCoords }, stepsTaken);
+    gameState.moveStartCoords = null;
+
+    const spaceDetails = findSpaceDetailsByCoords(player.currentCoords);
+    if (!spaceDetails) {
+        console.error("END OF MOVE: Could not find space details for landing position!", player.currentCoords);
+    }
+
+    const spaceType = (spaceDetails?.Type || 'unknown').toLowerCase();
+    const pathColor = spaceDetails?.pathColor?.toUpperCase();
+    console.log(`END OF MOVE: Landed on space type: ${spaceType}, Path Color: ${pathColor}`);
+
+    if (reason === 'interrupt_finish' || spaceDetails?.type === 'finish') {
+        markPlayerFinished(player.id);
+        returnHandToDecks(player);
+        return { type: MOVE_OUTCOMES.FINISHED };
+    }
+
+    if (reason.startsWith('error_')) {
+        console.error(`END OF MOVE: Movement sequence ended with error: ${reason}`);
+    }
+
+    // Stopped at a Choicepoint with steps left: choose a path, then keep moving
+    const stepsLeft = (gameState.movesRemaining || 0) - stepsTaken;
+    if (reason === 'interrupt_choicepoint' && stepsLeft > 0) {
+        const nextOptions = getNextStepOptions(player.currentCoords);
+        if (nextOptions.type === 'Choicepoint') {
+            // Taking the chosen branch is the first of the remaining steps
+            gameState.choicePointRemainingSteps = stepsLeft - 1;
+            gameState.movesRemaining = stepsLeft - 1;
+            setTurnState(TURN_STATES.AWAITING_CHOICEPOINT);
+            gameState.currentChoices = nextOptions.options;
+            return { type: MOVE_OUTCOMES.CHOICEPOINT, options: nextOptions.options };
+        }
+    }
+
+    if (spaceType === 'draw') {
+        if (pathColor) {
+            gameState.pendingActionData = {
+                requiredDeckType: pathColor,
+                playerId: player.id,
+                nextPhase: 'AWAITING_EOT_CLICK'
+            };
+            setTurnState(TURN_STATES.AWAITING_PATH_CARD);
+            return { type: MOVE_OUTCOMES.DRAW, deckType: pathColor };
+        }
+        console.error("END OF MOVE: Draw space has no path color!", spaceDetails);
+    }
+
+    return { type: MOVE_OUTCOMES.END_OF_TURN_CARD };
+};
+
+/**
+ * Move a player onto the space they chose at the Start or a Choicepoint and put them on its path
+ * @param {Object} player - The player choosing
+ * @param {Object} choice - {type, coordinates: [x, y], pathColor} from gameState.currentChoices
+ * @returns {Promise<void>} Resolves once the token is there
+ */
+export const takePathChoice = async (player, choice) => {
+    setTurnState(TURN_STATES.MOVING);
+    console.log(`Player ${player.name} chose to move to [${choice.coordinates}]`);
+    const fromCoords = { ...player.coords };
+    const [x, y] = choice.coordinates;
+    const moved = moveToken(player, { x, y }, 'choice');
+    logPlayerMovement(player.id, fromCoords, player.coords, 1);
+    await moved;
+
+    if (choice.pathColor) {
+        player.currentPath = choice.pathColor;
+        logPlayerAction(player.id, 'PATH_CHOSEN', {
+            pathColor: choice.pathColor,
+            coordinates: choice.coordinates,
+            choiceType: choice.type || 'unknown'
+        });
+        emitMessage(`${player.name} chose the ${choice.pathColor} path.`);
+    }
+};
+
+// ===== Alliances =====
+
+/**
+ * Form a one-round alliance between two players, who are both immune for a turn
+ * @param {Object} playerA - The proposing player
+ * @param {Object} playerB - The accepting player
+ */
+export const formAlliance = (playerA, playerB) => {
+    console.log(`Initiating alliance between ${playerA.name} (${playerA.role}) and ${playerB.name} (${playerB.role})`);
+
+    const allianceId = `${playerA.id}-${playerB.id}`;
+    gameState.alliances[allianceId] = {
+        players: [playerA.id, playerB.id],
+        formedInRound: gameState.currentRound,
+        duration: 1 // Alliance lasts for 1 full round
+    };
+    playerA.currentAlliancePartnerId = playerB.id;
+    playerB.currentAlliancePartnerId = playerA.id;
+    logGameEvent('ALLIANCE_FORMED', {
+        allianceId,
+        players: [playerA.id, playerB.id],
+        formedInRound: gameState.currentRound
+    });
+
+    grantTemporaryImmunity(playerA.id, 1);
+    grantTemporaryImmunity(playerB.id, 1);
+
+    emitMessage(`${playerA.name} and ${playerB.name} have formed a temporary alliance!`);
+    emitMessage(`Both players are immune to negative effects for 1 turn.`);
+    emit(GAME_EVENTS.PLAYERS_CHANGED);
+};
+
+/**
+ * Checks if two players are currently in an alliance with each other.
+ * @param {string} player1Id - The ID of the first player.
+ * @param {string} player2Id - The ID of the second player.
+ * @returns {boolean} - True if the players are in an alliance, false otherwise.
+ */
+export const isInAlliance = (player1Id, player2Id) => {
+    return (`${player1Id}-${player2Id}` in gameState.alliances) || (`${player2Id}-${player1Id}` in gameState.alliances);
+};
+
+/**
+ * End every alliance that has lasted its full duration
+ */
+const expireAlliances = () => {
+    const expired = Object.entries(gameState.alliances)
+        .filter(([, alliance]) => gameState.currentRound - alliance.formedInRound >= alliance.duration);
+
+    expired.forEach(([allianceId, alliance]) => {
+        const player1 = getPlayerById(alliance.players[0]);
+        const player2 = getPlayerById(alliance.players[1]);
+        if (player1 && player2) {
+            player1.currentAlliancePartnerId = null;
+            player2.currentAlliancePartnerId = null;
+            emitMessage(`The alliance between ${player1.name} and ${player2.name} has ended.`);
+        }
+        logGameEvent('ALLIANCE_ENDED', {
+            allianceId,
+            players: alliance.players,
+            formedInRound: alliance.formedInRound,
+            endedInRound: gameState.currentRound
+        });
+        delete gameState.alliances[allianceId];
+    });
+
+    if (expired.length > 0) {
+        console.log(`Removed ${expired.length} expired alliances.`);
+        emit(GAME_EVENTS.PLAYERS_CHANGED);
+    }
+};
+
+// ===== Trades and Theft =====
+
+/**
+ * Check that a player holds enough of a resource for their side of a trade
+ * @param {string} playerId - ID of the player
+ * @param {Object} details - {resource, amount}
+ * @returns {boolean} True if the player can pay
+ */
+export const checkResourceAvailability = (playerId, details) => {
+    if (!details || !details.resource || details.amount <= 0) return true;
+    const player = getPlayerById(playerId);
+    if (!player) return false;
+    return (player.resources[details.resource] || 0) >= details.amount;
+};
+
+/**
+ * Move the traded resources between two players
+ * @param {string} playerAId - The player who made the offer
+ * @param {string} playerBId - The player who accepted it
+ * @param {Object} detailsA - What A gives {resource, amount}
+ * @param {Object} detailsB - What B gives {resource, amount}
+ * @param {boolean} [isSwap=false] - Swaps exchange the same amount of each player's chosen resource
+ */
+export const executeTrade = (playerAId, playerBId, detailsA, detailsB, isSwap = false) => {
+    const playerA = getPlayerById(playerAId);
+    const playerB = getPlayerById(playerBId);
+
+    if (!playerA || !playerB) {
+        console.error("Cannot execute trade: Player not found.");
+        return;
+    }
+
+    console.log(`Executing trade between ${playerA.name} and ${playerB.name}...`);
+
+    if (isSwap) {
+        const resourceA = detailsA.resource;
+        const resourceB = detailsB?.resource || resourceA;
+        const amountA = detailsA.amount;
+
+        updatePlayerResources(playerAId, { [resourceA]: -amountA }, 'TRADE');
+        updatePlayerResources(playerBId, { [resourceA]: amountA }, 'TRADE');
+        updatePlayerResources(playerBId, { [resourceB]: -amountA }, 'TRADE');
+        updatePlayerResources(playerAId, { [resourceB]: amountA }, 'TRADE');
+        emitMessage(`${playerA.name} swapped ${amountA} ${resourceA} for ${amountA} ${resourceB} with ${playerB.name}.`);
+    } else {
+        updatePlayerResources(playerAId, { [detailsA.resource]: -detailsA.amount }, 'TRADE');
+        updatePlayerResources(playerBId, { [detailsA.resource]: detailsA.amount }, 'TRADE');
+        updatePlayerResources(playerBId, { [detailsB.resource]: -detailsB.amount }, 'TRADE');
+        updatePlayerResources(playerAId, { [detailsB.resource]: detailsB.amount }, 'TRADE');
+        emitMessage(`${playerA.name} gives ${detailsA.amount} ${detailsA.resource} to ${playerB.name} in exchange for ${detailsB.amount} ${detailsB.resource}.`);
+    }
+};
+
+/**
+ * Lists the resources a thief could take from a victim right now
+ * @param {Object} thief - The stealing player
+ * @param {Object} victim - The player being stolen from
+ * @returns {Array<string>} Resource names
+ */
+export const getStealableResources = (thief, victim) => {
+    if (isImmuneToOpposingRole(victim, thief) || hasTemporaryImmunity(victim.id)) return [];
+    return ['money', 'knowledge', 'influence'].filter(resource =>
+        (victim.resources[resource] || 0) > 0 && !isImmuneToTheft(victim, resource)
+    );
+};
+
+/**
+ * Moves up to an amount of one resource from a victim to a thief, after the victim's immunities
+ * @param {Object} thief - The stealing player
+ * @param {Object} victim - The player being stolen from
+ * @param {string} resource - 'money', 'knowledge' or 'influence'
+ * @param {number} amount - Most that can be taken
+ * @param {Object} [card] - The card behind the theft, for logging
+ * @returns {number} The amount actually taken
+ */
+export const stealFromPlayer = (thief, victim, resource, amount, card = null) => {
+    if (isImmuneToOpposingRole(victim, thief)) {
+        emitMessage(`${victim.name} is immune to attacks from the ${PLAYER_ROLES[thief.role]?.name || thief.role}!`);
+        return 0;
+    }
+    if (hasTemporaryImmunity(victim.id)) {
+        emitMessage(`${victim.name} is protected by temporary immunity!`);
+        return 0;
+    }
+    if (isImmuneToTheft(victim, resource)) {
+        emitMessage(`${victim.name} is immune to ${resource} theft!`);
+        return 0;
+    }
+
+    const taken = Math.min(amount, victim.resources[resource] || 0);
+    if (taken <= 0) {
+        emitMessage(`${victim.name} has no ${resource} to steal.`);
+        return 0;
+    }
+
+    const metadata = {
+        cardName: card?.name || null,
+        thiefId: thief.id,
+        victimId: victim.id
+    };
+    updatePlayerResources(victim.id, { [resource]: -taken }, 'CARD_STEAL', metadata);
+    updatePlayerResources(thief.id, { [resource]: taken }, 'CARD_STEAL', metadata);
+    logPlayerAction(thief.id, 'STEAL', {
+        victimId: victim.id,
+        resource,
+        amount: taken,
+        cardName: card?.name || null
+    });
+    emitMessage(`${thief.name} steals ${taken} ${resource} from ${victim.name}.`);
+    return taken;
+};
+
+// ===== Card Effects =====
+// Card effects that move tokens or involve other players. cards.js validates them and
+// calls these through the handlers registered at the end of this module.
+
+/**
+ * Picks the other player a card effect applies to: humans choose, CPUs pick at random
+ * @param {Object} player - The player resolving the card
+ * @param {string} description - What will happen to the chosen player
+ * @param {Function} [isPreferred] - CPUs pick among players passing this check when any do
+ * @returns {Promise<Object|null>} The chosen player, or null if there is nobody to choose
+ */
+export const chooseEffectTarget = async (player, description, isPreferred = null) => {
+    const otherPlayers = getPlayers().filter(p => p.id !== player.id && !p.finished);
+    if (otherPlayers.length === 0) return null;
+
+    if (!player.isHuman) {
+        const preferred = isPreferred ? otherPlayers.filter(isPreferred) : [];
+        const target = pickRandom(preferred.length > 0 ? preferred : otherPlayers);
+        emitMessage(`${player.name} targets ${target.name}.`);
+        return target;
+    }
+
+    return ask(PROMPTS.CHOOSE_PLAYER, { player, candidates: otherPlayers, description });
+};
+
+/**
+ * Decides which way a card movement goes where the path splits
+ * @param {Object} player - The player being moved
+ * @param {Array<Object>} options - Possible steps [{x, y, pathColor}]
+ * @param {string} pathColor - Color of the path the player is on
+ * @param {boolean} isBackward - True when walking backward
+ * @returns {Promise<Object>} The chosen step
+ */
+const chooseCardMovementStep = async (player, options, pathColor, isBackward) => {
+    // Walking back, stay on the path the player came along when that is unambiguous
+    if (isBackward) {
+        const samePath = options.filter(option => option.pathColor === pathColor);
+        if (samePath.length === 1) return samePath[0];
+    }
+
+    if (!player.isHuman) {
+        return pickRandom(options);
+    }
+
+    emitMessage(`${player.name}, choose which way to go.`);
+    const chosen = await ask(PROMPTS.CHOOSE_STEP, {
+        player,
+        options: options.map(option => ({
+            type: 'junction',
+            coordinates: [option.x, option.y],
+            pathColor: option.pathColor,
+            step: option
+        }))
+    });
+    return chosen?.step || options[0];
+};
+
+/**
+ * Standardizes a space's path color to a deck type
+ * @param {string} pathColor - Path color in any casing
+ * @returns {string|null} The deck type, or null if there is no such deck
+ */
+const getStandardizedPathColor = (pathColor) => {
+    if (!pathColor) return null;
+    const lowerPathColor = pathColor.toLowerCase();
+    const validColors = ['purple', 'blue', 'cyan', 'pink', 'end_of_turn'];
+    return validColors.includes(lowerPathColor) ? lowerPathColor : null;
+};
+
+/**
+ * Applies the space a card movement ended on: Finish marks the player finished,
+ * a Draw space draws and resolves a card from that path's deck
+ * @param {Object} player - The player who was moved
+ * @param {Object|null} space - The space they landed on
+ */
+const resolveCardMovementLanding = async (player, space) => {
+    if (!space) return;
+
+    if (space.Type === 'Finish') {
+        markPlayerFinished(player.id);
+        returnHandToDecks(player);
+        emitMessage(`${player.name} has reached the Finish!`);
+        emit(GAME_EVENTS.PLAYERS_CHANGED);
+        return;
+    }
+
+    if (space.Type !== 'Draw') return;
+
+    const pathColor = getStandardizedPathColor(space.pathColor);
+    const card = pathColor ? drawCard(pathColor) : null;
+    if (!card) {
+        console.warn(`Card movement: Could not draw from ${space.pathColor} deck`);
+        return;
+    }
+
+    emitMessage(`${player.name} landed on a ${pathColor} Draw space.`);
+    await applyCardEffects(await revealDrawnCard(player, card, pathColor), player);
+    emit(GAME_EVENTS.PLAYERS_CHANGED);
+};
+
+/**
+ * Relocates a player onto another Age's path at the same relative progress.
+ * Players who cannot be forced to change paths (the Artist) stay where they are.
+ * @param {Object} player - The player who drew the card
+ * @param {Object} effect - The MOVEMENT effect ({target, moveToAge})
+ * @returns {Promise<Object|null>} {playerId, stepsTaken, landedOn} or null if nobody moved
+ */
+const moveToAge = async (player, effect) => {
+    const targetPath = getPathForAge(effect.moveToAge);
+    if (!targetPath) {
+        console.error(`moveToAge: Unknown Age "${effect.moveToAge}"`);
+        return null;
+    }
+
+    const mover = effect.target === 'OTHER'
+        ? await chooseEffectTarget(player, `Choose a player to send to ${effect.moveToAge}.`)
+        : player;
+    if (!mover || mover.finished) {
+        emitMessage(`Nobody is moved to ${effect.moveToAge}.`);
+        return null;
+    }
+
+    if (!canBeForcePathChange(mover)) {
+        emitMessage(`${mover.name} cannot be forced to change paths and stays put.`);
+        return null;
+    }
+
+    // Shared spaces belong to more than one path, so the path the player is on comes first
+    const currentColor = getSpaceAt(mover.coords, mover.currentPath)?.pathColor || null;
+    if (currentColor === targetPath[0].pathColor) {
+        emitMessage(`${mover.name} is already in ${effect.moveToAge}.`);
+        return null;
+    }
+
+    const destination = getEquivalentSpaceOnPath(mover.coords, targetPath, currentColor);
+    if (!destination) {
+        console.error(`moveToAge: No matching space for ${mover.name} on ${effect.moveToAge}`);
+        return null;
+    }
+
+    const fromCoords = { ...mover.coords };
+    const [x, y] = destination.coordinates[0];
+    await moveToken(mover, { x, y }, 'card');
+    mover.currentPath = targetPath[0].pathColor;
+
+    logPlayerMovement(mover.id, fromCoords, mover.coords, 0);
+    emitMessage(`${mover.name} is moved to ${effect.moveToAge}.`);
+    emit(GAME_EVENTS.PLAYERS_CHANGED);
+
+    return { playerId: mover.id, stepsTaken: 0, landedOn: destination.Type };
+};
+
+/**
+ * Moves a player along the board for a MOVEMENT card effect, one space at a time.
+ * Positive spaces follow Next links; negative spaces walk back along the links into each space.
+ * Choicepoints (and merges, when walking back) ask the moving player for a direction.
+ * The walk stops early at the Start or Finish space.
+ * @param {Object} player - The player who drew the card
+ * @param {Object} effect - The MOVEMENT effect ({target, spaces})
+ * @returns {Promise<Object|null>} {playerId, stepsTaken, landedOn} or null if nobody moved
+ */
+const resolveCardMovement = async (player, effect) => {
+    if (!player || !effect) {
+        console.error("resolveCardMovement: Invalid player or effect");
+        return null;
+    }
+
+    if (effect.moveToAge) {
+        return moveToAge(player, effect);
+    }
+
+    const spaces = parseInt(effect.spaces, 10);
+    if (!spaces) {
+        emitMessage("Unsupported card movement effect.");
+        return null;
+    }
+
+    const direction = spaces > 0 ? 'forward' : 'back';
+    const mover = effect.target === 'OTHER'
+        ? await chooseEffectTarget(player, `Choose a player to move ${direction} ${Math.abs(spaces)} spaces.`)
+        : player;
+    if (!mover) {
+        emitMessage("No player could be moved.");
+        return null;
+    }
+    if (mover.finished) {
+        emitMessage(`${mover.name} has already finished and cannot be moved.`);
+        return null;
+    }
+
+    emitMessage(`${mover.name} moves ${direction} ${Math.abs(spaces)} spaces.`);
+
+    const fromCoords = { ...mover.coords };
+    let pathColor = getSpaceAt(mover.coords, mover.currentPath)?.pathColor || null;
+    let stepsTaken = 0;
+
+    while (stepsTaken < Math.abs(spaces)) {
+        const options = spaces > 0 ? getForwardSteps(mover.coords) : getBackwardSteps(mover.coords);
+        if (options.length === 0) break;
+
+        const nextStep = options.length === 1
+            ? options[0]
+            : await chooseCardMovementStep(mover, options, pathColor, spaces < 0);
+
+        await moveToken(mover, nextStep, 'card');
+        pathColor = nextStep.pathColor || pathColor;
+        stepsTaken++;
+
+        const spaceType = getSpaceAt(mover.coords, pathColor)?.Type;
+        if (spaceType === 'Finish' || spaceType === 'Start') break;
+    }
+
+    if (stepsTaken === 0) {
+        emitMessage(`${mover.name} cannot move ${direction} from here.`);
+        return null;
+    }
+
+    if (pathColor) mover.currentPath = pathColor;
+    logPlayerMovement(mover.id, fromCoords, mover.coords, stepsTaken);
+    emit(GAME_EVENTS.PLAYERS_CHANGED);
+
+    const landedOn = getSpaceAt(mover.coords, pathColor);
+    await resolveCardMovementLanding(mover, landedOn);
+
+    return { playerId: mover.id, stepsTaken, landedOn: landedOn?.Type || null };
+};
+
+/**
+ * Resolves a SABOTAGE effect. The drawing player picks a target, then the target's
+ * protections are checked in order: opposing role, temporary immunity and finally the
+ * Revolutionary's once-per-game ignore (only used up if nothing else blocked the attack).
+ * @param {Object} player - The player who drew the card
+ * @param {Object} effect - The SABOTAGE effect ({target, changes})
+ * @param {Object} [card] - The card the effect came from, for logging
+ * @returns {Promise<boolean>} True if the target lost resources
+ */
+const resolveSabotage = async (player, effect, card = null) => {
+    if (!player || !effect || !effect.changes) {
+        console.error("resolveSabotage: Invalid player or effect");
+        return false;
+    }
+
+    const changeText = Object.entries(effect.changes)
+        .map(([resource, amount]) => `${amount} ${resource}`)
+        .join(', ');
+
+    const target = await chooseEffectTarget(
+        player,
+        `Sabotage: choose a player to lose ${changeText}.`,
+        candidate => !isImmuneToOpposingRole(candidate, player) && !hasTemporaryImmunity(candidate.id)
+    );
+    if (!target) {
+        emitMessage(`${player.name} has nobody to sabotage.`);
+        return false;
+    }
+
+    if (isImmuneToOpposingRole(target, player)) {
+        emitMessage(`${target.name} is immune to attacks from the ${PLAYER_ROLES[player.role]?.name || player.role}!`);
+        return false;
+    }
+    if (hasTemporaryImmunity(target.id)) {
+        emitMessage(`${target.name} is protected by temporary immunity!`);
+        return false;
+    }
+    if (isImmuneToSabotage(target)) {
+        emitMessage(`${target.name} used Revolutionary ability to ignore sabotage!`);
+        emit(GAME_EVENTS.PLAYERS_CHANGED);
+        return false;
+    }
+
+    updatePlayerResources(target.id, effect.changes, 'CARD_SABOTAGE', {
+        cardName: card?.name || null,
+        sourcePlayerId: player.id,
+        sourcePlayerName: player.name
+    });
+    logPlayerAction(player.id, 'SABOTAGE', {
+        targetId: target.id,
+        changes: effect.changes,
+        cardName: card?.name || null
+    });
+    emitMessage(`${player.name} sabotages ${target.name}: ${changeText}.`);
+    return true;
+};
+
+/**
+ * Resolves a STEAL effect: the drawing player picks a victim and takes up to the amount
+ * of one resource ('random' picks a resource the victim can actually lose, if any).
+ * @param {Object} player - The player who drew the card
+ * @param {Object} effect - The STEAL effect ({target, resource, amount})
+ * @param {Object} [card] - The card the effect came from, for logging
+ * @returns {Promise<boolean>} True if anything was stolen
+ */
+const resolveSteal = async (player, effect, card = null) => {
+    if (!player || !effect || !effect.resource || !(effect.amount > 0)) {
+        console.error("resolveSteal: Invalid player or effect");
+        return false;
+    }
+
+    const resourceLabel = effect.resource === 'random' ? 'a random resource' : effect.resource;
+    const victim = await chooseEffectTarget(
+        player,
+        `Steal ${effect.amount} ${resourceLabel}: choose a player to steal from.`,
+        candidate => {
+            const stealable = getStealableResources(player, candidate);
+            return effect.resource === 'random' ? stealable.length > 0 : stealable.includes(effect.resource);
+        }
+    );
+    if (!victim) {
+        emitMessage(`${player.name} has nobody to steal from.`);
+        return false;
+    }
+
+    let resource = effect.resource;
+    if (resource === 'random') {
+        const stealable = getStealableResources(player, victim);
+        resource = pickRandom(stealable.length > 0 ? stealable : ['money', 'knowledge', 'influence']);
+    }
+
+    return stealFromPlayer(player, victim, resource, effect.amount, card) > 0;
+};
+
+/**
+ * Resolves a STEAL_FROM_ALL effect: the drawing player takes up to the amount from every other player
+ * @param {Object} player - The player who drew the card
+ * @param {Object} effect - The STEAL_FROM_ALL effect ({resource, amount})
+ * @param {Object} [card] - The card the effect came from, for logging
+ * @returns {boolean} True if anything was stolen
+ */
+const resolveStealFromAll = (player, effect, card = null) => {
+    if (!player || !effect || !effect.resource || !(effect.amount > 0)) {
+        console.error("resolveStealFromAll: Invalid player or effect");
+        return false;
+    }
+
+    const victims = getPlayers().filter(p => p.id !== player.id && !p.finished);
+    let totalTaken = 0;
+    victims.forEach(victim => {
+        totalTaken += stealFromPlayer(player, victim, effect.resource, effect.amount, card);
+    });
+
+    emitMessage(`${player.name} stole ${totalTaken} ${effect.resource} in total.`);
+    return totalTaken > 0;
+};
+
+/**
+ * Resolves an ALLIANCE_OFFER effect: the drawing player proposes an alliance to a player of their choice.
+ * CPU players always accept (outline: CPUs agree to anything offered); human partners are asked.
+ * @param {Object} player - The player who drew the card
+ * @param {Object} effect - The ALLIANCE_OFFER effect
+ * @param {Object} [card] - The card the effect came from, for logging
+ * @returns {Promise<boolean>} True if an alliance was formed
+ */
+const resolveAllianceOffer = async (player, effect, card = null) => {
+    if (player.currentAlliancePartnerId) {
+        emitMessage(`${player.name} is already in an alliance.`);
+        return false;
+    }
+
+    const partner = await chooseEffectTarget(
+        player,
+        'Choose a player to offer an alliance to.',
+        candidate => !candidate.currentAlliancePartnerId
+    );
+    if (!partner) {
+        emitMessage(`${player.name} has nobody to ally with.`);
+        return false;
+    }
+    if (partner.currentAlliancePartnerId) {
+        emitMessage(`${partner.name} is already in an alliance.`);
+        return false;
+    }
+
+    emitMessage(`${player.name} offers an alliance to ${partner.name}.`);
+    const accepted = partner.isHuman
+        ? Boolean(await ask(PROMPTS.ANSWER_ALLIANCE, { proposer: player, partner }))
+        : true;
+
+    logGameEvent('ALLIANCE_OFFER', {
+        proposerId: player.id,
+        partnerId: partner.id,
+        accepted,
+        cardName: card?.name || null
+    });
+
+    if (!accepted) {
+        emitMessage(`${partner.name} declines the alliance.`);
+        return false;
+    }
+
+    formAlliance(player, partner);
+    return true;
+};
+
+/**
+ * Applies the target player's answer to a trade offer
+ * @param {boolean} accepted - Whether the target accepted
+ * @param {string} sourcePlayerId - The player who made the offer
+ * @param {string} targetPlayerId - The player it was made to
+ * @param {Object} offerDetails - What the source gives {resource, amount}
+ * @param {Object} requestDetails - What the source asks for {resource, amount}
+ * @param {boolean} isSwap - Whether the trade is a swap
+ * @returns {boolean} True if the trade was carried out
+ */
+const settleTrade = (accepted, sourcePlayerId, targetPlayerId, offerDetails, requestDetails, isSwap) => {
+    const sourcePlayer = getPlayerById(sourcePlayerId);
+    const targetPlayer = getPlayerById(targetPlayerId);
+    let traded = false;
+
+    // According to game specs, CPU players always agree to anything offered by human players
+    if (targetPlayer && !targetPlayer.isHuman && sourcePlayer && sourcePlayer.isHuman) {
+        accepted = true;
+        emitMessage(`${targetPlayer.name} (CPU) accepts the offer from ${sourcePlayer.name}.`);
+    }
+
+    gameState.tradePending = false;
+    if (accepted) {
+        if (!isSwap && !checkResourceAvailability(targetPlayerId, requestDetails)) {
+            emitMessage(`${targetPlayer?.name || 'Target player'} accepted but cannot afford. Trade cancelled.`);
+        } else {
+            emitMessage(`Trade accepted between ${sourcePlayer?.name || sourcePlayerId} and ${targetPlayer?.name || targetPlayerId}.`);
+            executeTrade(sourcePlayerId, targetPlayerId, offerDetails, requestDetails, isSwap);
+            traded = true;
+        }
+    } else {
+        emitMessage(`Trade rejected by ${targetPlayer?.name || targetPlayerId}.`);
+    }
+    emit(GAME_EVENTS.PLAYERS_CHANGED);
+    return traded;
+};
+
+/**
+ * Puts a trade offer to another player, once both sides can pay their part
+ * @param {Object} sourcePlayer - The player making the offer
+ * @param {Object} targetPlayer - The player it is made to
+ * @param {Object} offerDetails - What the source gives {resource, amount}
+ * @param {Object} requestDetails - What the source asks for {resource, amount}
+ * @param {boolean} [isSwap=false] - Swaps exchange the same amount of each player's chosen resource
+ * @returns {Promise<boolean>} True if the trade was carried out
+ */
+const offerTrade = async (sourcePlayer, targetPlayer, offerDetails, requestDetails, isSwap = false) => {
+    console.log(`Initiating trade: ${sourcePlayer.role} -> ${targetPlayer.role}`);
+    console.log('Offer:', offerDetails, 'Request:', requestDetails, 'Swap:', isSwap);
+
+    if (isTradeBlocked(sourcePlayer.id) || isTradeBlocked(targetPlayer.id)) {
+        emitMessage(`Trade between ${sourcePlayer.name} and ${targetPlayer.name} is blocked.`);
+        return false;
+    }
+
+    const canSourceAfford = checkResourceAvailability(sourcePlayer.id, offerDetails);
+    const canTargetAfford = checkResourceAvailability(targetPlayer.id, requestDetails);
+
+    if (isSwap && (!canSourceAfford || !canTargetAfford)) {
+        emitMessage(`${sourcePlayer.role} cannot initiate swap with ${targetPlayer.role}: Insufficient resources for one or both parties.`);
+        console.log("Swap failed: Insufficient resources.");
+        return false;
+    }
+    if (!isSwap && !canSourceAfford) {
+        emitMessage(`${sourcePlayer.role} cannot make offer to ${targetPlayer.role}: Insufficient resources.`);
+        console.log("Trade failed: Source cannot afford offer.");
+        return false;
+    }
+
+    if (!targetPlayer.isHuman) {
+        const aiAccepts = isSwap ? canTargetAfford : true;
+        console.log(`AI ${targetPlayer.role} decision: ${aiAccepts}`);
+        if (!aiAccepts) {
+            settleTrade(false, sourcePlayer.id, targetPlayer.id, offerDetails, requestDetails, isSwap);
+            emitMessage(`${targetPlayer.role} (AI) rejected the trade offer from ${sourcePlayer.role}.`);
+            return false;
+        }
+        return settleTrade(true, sourcePlayer.id, targetPlayer.id, offerDetails, requestDetails, isSwap);
+    }
+
+    console.log(`Prompting human player ${targetPlayer.role} for trade...`);
+    const accepted = await ask(PROMPTS.ANSWER_TRADE, {
+        source: sourcePlayer,
+        target: targetPlayer,
+        offer: offerDetails,
+        request: requestDetails,
+        isSwap
+    });
+    return settleTrade(Boolean(accepted), sourcePlayer.id, targetPlayer.id, offerDetails, requestDetails, isSwap);
+};
+
+/**
+ * Resolves a TRADE_OFFER effect: a human player composes an offer and it is put to the
+ * chosen partner. CPU players do not start trades on their own.
+ * @param {Object} player - The player who drew the card
+ * @param {Object} effect - The TRADE_OFFER effect
+ * @param {Object} [card] - The card the effect came from, for logging
+ * @returns {Promise<boolean>} True if a trade was completed
+ */
+const resolveTradeOffer = async (player, effect, card = null) => {
+    if (isTradeBlocked(player.id)) {
+        emitMessage(`${player.name} is blocked from trading.`);
+        return false;
+    }
+
+    const partners = getPlayers().filter(p => p.id !== player.id && !p.finished);
+    if (!partners.some(p => !isTradeBlocked(p.id))) {
+        emitMessage(`${player.name} has nobody to trade with.`);
+        return false;
+    }
+
+    if (!player.isHuman) {
+        emitMessage(`${player.name} passes on the trade offer.`);
+        return false;
+    }
+
+    const proposal = await ask(PROMPTS.COMPOSE_TRADE, {
+        player,
+        partners,
+        checks: { isTradeBlocked, canAfford: checkResourceAvailability }
+    });
+    if (!proposal) {
+        emitMessage(`${player.name} decided not to trade.`);
+        return false;
+    }
+
+    logGameEvent('TRADE_OFFER', {
+        sourcePlayerId: player.id,
+        targetPlayerId: proposal.partnerId,
+        offer: proposal.offer,
+        request: proposal.request,
+        isSwap: proposal.isSwap,
+        cardName: card?.name || null
+    });
+
+    return offerTrade(player, getPlayerById(proposal.partnerId), proposal.offer, proposal.request, proposal.isSwap);
+};
+
+// ===== Scoring =====
+
+/**
+ * End the game, score it and announce the results
+ * @returns {Object|null} Final standings from resolveFinalStandings, or null if the game had already ended
+ */
+export const finishGame = () => {
+    if (gameState.gamePhase === GAME_PHASES.FINISHED) return null;
+
+    gameState.gamePhase = GAME_PHASES.FINISHED;
+    setTurnState(TURN_STATES.GAME_OVER);
+    gameState.currentPlayerId = null;
+    console.log("Game Over!");
+    emitMessage("Game Over!");
+
+    const results = resolveFinalStandings();
+    console.log("Final Standings:", results.standings);
+
+    results.standings.filter(entry => entry.eliminated).forEach(entry => {
+        emitMessage(`${entry.name} is eliminated: ${entry.eliminationReason}.`);
+    });
+    if (results.isDraw) {
+        emitMessage(`The game is a draw between ${results.winners.map(w => w.name).join(' and ')}.`);
+    } else if (results.winners.length === 1) {
+        emitMessage(`${results.winners[0].name} wins with ${results.winners[0].total} total resources!`);
+    } else {
+        emitMessage("Every player was eliminated. Nobody wins.");
+    }
+
+    logGameEvent('GAME_OVER', {
+        totalRounds: gameState.currentRound,
+        totalTurns: gameState.currentTurn,
+        isDraw: results.isDraw,
+        winnerIds: results.winners.map(w => w.id),
+        rankings: results.standings.map(entry => ({
+            playerId: entry.id,
+            playerName: entry.name,
+            playerRole: entry.role,
+            rank: entry.rank,
+            total: entry.total,
+            finished: entry.finished,
+            finishPosition: entry.finishPosition,
+            eliminated: entry.eliminated,
+            eliminationReason: entry.eliminationReason,
+            resources: { ...entry.resources }
+        }))
+    });
+
+    emit(GAME_EVENTS.GAME_OVER, { results });
+    return results;
+};
+
+// ===== Effect Handlers =====
+// cards.js validates these effects when the decks are built; resolving them is left to the rules here
+
+registerEffectHandler('MOVEMENT', { apply: (effect, player) => resolveCardMovement(player, effect) });
+registerEffectHandler('SABOTAGE', { apply: (effect, player, card) => resolveSabotage(player, effect, card) });
+registerEffectHandler('STEAL', { apply: (effect, player, card) => resolveSteal(player, effect, card) });
+registerEffectHandler('STEAL_FROM_ALL', { apply: (effect, player, card) => resolveStealFromAll(player, effect, card) });
+registerEffectHandler('ALLIANCE_OFFER', { apply: (effect, player, card) => resolveAllianceOffer(player, effect, card) });
+registerEffectHandler('TRADE_OFFER', { apply: (effect, player, card) => resolveTradeOffer(player, effect, card) });
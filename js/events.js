@@ -0,0 +1,133 @@
+/**
+ * Event Bus for Critocracy
+ * The rules announce what happened through typed events and the UI, board rendering and
+ * animations listen for them, so the rules never call into the DOM themselves. Choices a
+ * human player has to make are asked as prompts, which the UI answers.
+ * Nothing in this module touches the DOM.
+ */
+
+// ===== Event Types =====
+
+// Things that happened in the game, emitted by the rules
+export const GAME_EVENTS = {
+    TURN_STARTED: 'turnStarted',           // {player, turn, round}
+    TURN_ENDED: 'turnEnded',               // {player, turn}
+    TURN_STATE_CHANGED: 'turnStateChanged', // {from, to, playerId}
+    ROUND_STARTED: 'roundStarted',         // {round}
+    DICE_ROLLED: 'diceRolled',             // {player, roll}
+    TOKEN_MOVED: 'tokenMoved',             // {player, from, to, source} - awaited, so the token can finish its walk
+    CARD_DRAWN: 'cardDrawn',               // {player, card, deckType} - awaited, so the card can be read
+    RESOURCES_CHANGED: 'resourcesChanged', // {player, changes, source, metadata}
+    PLAYERS_CHANGED: 'playersChanged',     // {} - anything else shown on the player panels changed
+    DECKS_CHANGED: 'decksChanged',         // {counts}
+    DECK_RESHUFFLED: 'deckReshuffled',     // {deckType}
+    CARDS_VALIDATED: 'cardsValidated',     // {report}
+    BOARD_VALIDATED: 'boardValidated',     // {report} - dev mode only
+    TURN_STALLED: 'turnStalled',           // {snapshot, options} - from the turn watchdog
+    CHOICES_OFFERED: 'choicesOffered',     // {player, choices} - spaces a human can click to choose a path
+    CHOICES_CLEARED: 'choicesCleared',     // {}
+    TURN_ORDER_ROLLED: 'turnOrderRolled',  // {rolls, isFinal}
+    GAME_SET_UP: 'gameSetUp',              // {} - a new or resumed game is on the board
+    MESSAGE: 'message',                    // {text, type}
+    GAME_OVER: 'gameOver'                  // {results}
+};
+
+// Questions the rules put to a human player, answered through ask by whoever listens (the UI)
+export const PROMPTS = {
+    CHOOSE_PLAYER: 'choosePlayer',         // {player, candidates, description} -> the chosen player or null
+    CHOOSE_STEP: 'chooseStep',             // {player, options} -> the option clicked where a card move splits
+    COMPOSE_TRADE: 'composeTrade',         // {player, partners, checks} -> {partnerId, offer, request, isSwap} or null
+    ANSWER_TRADE: 'answerTrade',           // {source, target, offer, request, isSwap} -> true to accept
+    ANSWER_ALLIANCE: 'answerAlliance',     // {proposer, partner} -> true to accept
+    TURN_SUMMARY: 'turnSummary'            // {summary, autoClose} -> resolves once the recap is closed
+};
+
+// Things the player did on the board, emitted by the board and handled by the game flow
+export const INPUT_EVENTS = {
+    DECK_CLICKED: 'deckClicked',                      // {deckType}
+    END_OF_TURN_BOX_CLICKED: 'endOfTurnBoxClicked',   // {boxNumber}
+    MOVE_TARGET_CLICKED: 'moveTargetClicked'          // {coords}
+};
+
+// ===== Subscriptions =====
+
+const listeners = new Map();
+
+/**
+ * Listen for an event
+ * @param {string} type - One of GAME_EVENTS, INPUT_EVENTS or PROMPTS
+ * @param {Function} listener - Called with the event payload; may return a promise
+ * @returns {Function} Call to stop listening
+ */
+export const on = (type, listener) => {
+    if (typeof listener !== 'function') {
+        console.error(`on: Listener for ${type} is not a function`);
+        return () => {};
+    }
+    if (!listeners.has(type)) listeners.set(type, new Set());
+    listeners.get(type).add(listener);
+    return () => off(type, listener);
+};
+
+/**
+ * Stop listening for an event
+ * @param {string} type - Event type
+ * @param {Function} listener - The listener passed to on
+ */
+export const off = (type, listener) => {
+    listeners.get(type)?.delete(listener);
+};
+
+// ===== Emitting =====
+
+/**
+ * Tell every listener about an event. A failing listener is reported and skipped.
+ * @param {string} type - Event type
+ * @param {Object} [payload] - Event details
+ * @returns {Array} Whatever the listeners returned
+ */
+export const emit = (type, payload = {}) => {
+    return [...(listeners.get(type) || [])].map(listener => {
+        try {
+            return listener(payload);
+        } catch (error) {
+            console.error(`Error in ${type} listener:`, error);
+            return null;
+        }
+    });
+};
+
+/**
+ * Tell every listener about an event and wait for the promises they return
+ * @param {string} type - Event type
+ * @param {Object} [payload] - Event details
+ * @returns {Promise<void>} Resolves once every listener has finished
+ */
+export const emitAndWait = async (type, payload = {}) => {
+    await Promise.all(emit(type, payload).map(result => Promise.resolve(result).catch(error => {
+        console.error(`Error in ${type} listener:`, error);
+    })));
+};
+
+/**
+ * Ask a question and wait for the answer
+ * @param {string} type - One of PROMPTS
+ * @param {Object} [payload] - What is being asked
+ * @returns {Promise<*>} The first answer a listener gave, or null if nobody answered
+ */
+export const ask = async (type, payload = {}) => {
+    const answers = await Promise.all(emit(type, payload).map(answer => Promise.resolve(answer).catch(error => {
+        console.error(`Error in ${type} listener:`, error);
+        return null;
+    })));
+    return answers.find(answer => answer !== undefined && answer !== null) ?? null;
+};
+
+/**
+ * Post a line to the game log
+ * @param {string} text - The message
+ * @param {string} [type='info'] - Message style
+ */
+export const emitMessage = (text, type = 'info') => {
+    emit(GAME_EVENTS.MESSAGE, { text, type });
+};
@@ -1,170 +1,45 @@
 // Game Module for Critocracy
-// Handles core game logic, game flow, and state management
+// Drives the game flow from player input: setup, turn order, turns, saves and recovery. The rules live in engine.js
 
 // ===== Imports =====
 import { 
     resetPlayers, getPlayers, getPlayerById, 
-    updatePlayerResources, markPlayerFinished, 
-    getPlayerRanking,
-    grantTemporaryImmunity, decrementImmunityTurns, 
-    decrementTradeBlockTurns,
-    useSpecialAbility,
-    createPlayer
+    allPlayersFinished, useSpecialAbility, createPlayer,
+    removeCardFromHand, PLAYER_ROLES
 } from './players.js';
-import { 
-    setupBoard, getNextStepOptions, 
-    startMoveAnimation, highlightPlayerChoices, getPathColorFromCoords,
-    highlightEndOfTurnCardBoxes, refreshPlayerTokens,
-    synchronizePlayerCoordinates, findSpaceDetailsByCoords,
-    drawBoard, managePlayerTokens
-} from './board.js';
-import { 
-    setupDecks, drawCard, 
-    applyCardEffects
-} from './cards.js';
+import { setupBoard, drawBoard, managePlayerTokens } from './board.js';
+import { getNextStepOptions, getPathColorFromCoords } from './board-graph.js';
+import { setupDecks, drawCard, applyCardEffects, revealDrawnCard } from './cards.js';
 import { START_SPACE } from './board-data.js';
+import { initLogging, logGameEvent, logPlayerAction, getTurnSummary } from './logging.js';
 import {
-    logMessage, updatePlayerInfo,
-    updateGameControls, showCardPopup, promptForTradeResponse,
-    hideDiceRollAnimation, updateGameComponents,
-    highlightChoices, createPlayerTokenElements,
-    showEndGameScreen, clearHighlights,
-    showDiceRollAnimation
-} from './ui.js';
+    saveGame, autosaveGame, loadSnapshot, applySnapshot,
+    downloadGameFile, readGameFile
+} from './save.js';
+import { rollDie, randomInt, pickRandom } from './rng.js';
 import {
-    logGameEvent, logPlayerAction, 
-    logTurnStart, logCardDraw, logTurnEnd
-} from './logging.js';
+    gameState, resetGameState, getCurrentPlayer,
+    setTurnState, guardAction, canPerformAction,
+    beginTurn, rollDice, endTurn, advanceTurnOrder,
+    MOVE_OUTCOMES, moveAlongPath, resolveMoveEnd, takePathChoice,
+    chooseEffectTarget, finishGame
+} from './engine.js';
+import { GAME_EVENTS, INPUT_EVENTS, PROMPTS, on, emit, emitMessage, ask } from './events.js';
+import { GAME_PHASES, TURN_STATES } from './turn-states.js';
+import { RECOVERY_OPTIONS, startWatchdog, getRecoveryOptions } from './watchdog.js';
 
 // Helper function for delay
 function delay(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
 }
 
-// Helper function to show messages
-function showMessage(message) {
-    logMessage(message);
-}
-
-// Helper function to simulate CPU deck click
-async function simulateCpuDeckClick(pathColor) {
-    return drawCard(pathColor);
-}
-
-// Helper function to stop deck highlight
-function stopDeckHighlight() {
-    clearHighlights();
-}
-
-// Helper function to show card
-async function showCard(card, pathColor, player, callback) {
-    await showCardPopup(card);
-    if (callback) callback();
-}
-
-// Helper function to hide card
-function hideCard() {
-    // This is handled by the UI module
-}
-
-// Helper function to apply card effect
-async function applyCardEffect(card, player) {
-    return applyCardEffects(card, player);
-}
-
-// Helper function to draw end of turn card
-async function drawEndOfTurnCard(player) {
-    const card = drawCard('end_of_turn');
-    if (card) {
-        await showCardPopup(card);
-        await applyCardEffects(card, player);
-    }
-}
-
-// Helper function to prompt for junction choice
-function promptForJunctionChoice(options, callback) {
-    // This is handled by the UI module
-    highlightChoices(options);
-    
-    // Set up a one-time click handler for the board
-    const handleBoardClick = (event) => {
-        const rect = event.target.getBoundingClientRect();
-        const x = event.clientX - rect.left;
-        const y = event.clientY - rect.top;
-        
-        // Find the closest choice to the click
-        let closestChoice = null;
-        let minDistance = Infinity;
-        
-        options.forEach(option => {
-            const distance = Math.sqrt(
-                Math.pow(option.coords.x - x, 2) + 
-                Math.pow(option.coords.y - y, 2)
-            );
-            
-            if (distance < minDistance) {
-                minDistance = distance;
-                closestChoice = option;
-            }
-        });
-        
-        // If a choice is within a reasonable distance, select it
-        if (closestChoice && minDistance <= 30) {
-            // Remove the click handler
-            document.getElementById('board-canvas')?.removeEventListener('click', handleBoardClick);
-            // Call the callback with the chosen option
-            callback(closestChoice);
-        }
-    };
-    
-    // Add the click handler
-    document.getElementById('board-canvas')?.addEventListener('click', handleBoardClick);
-}
-
-// Helper function to handle human move click
-function handleHumanMoveClick(coords) {
-    resolveBoardClick(coords);
-}
-
-// Helper function to simulate CPU choicepoint
-function simulateCpuChoicepoint(player) {
-    const options = getNextStepOptions(player.coords);
-    if (options && options.options) {
-        const choice = options.options[0];
-        resolvePlayerChoice(player.id, choice);
-    }
-}
-
-// Create a global game handlers object for board interactions
-export const gameHandlers = {
-    handleEndOfTurnCardDraw,
-    handleSpecialEventCardDraw
-};
-
-// Make the handlers available on the window object
-window.gameHandlers = gameHandlers;
-
-// ===== Game State =====
-let gameState = {
-    started: false,
-    ended: false,
-    currentPhase: 'SETUP',
-    players: [],
-    totalPlayerCount: 0,
-    humanPlayerCount: 0,
-    currentPlayerIndex: -1,
-    turnOrder: [],
-    pendingActionData: null,
-    currentDiceRoll: 0
-};
-
-// Make gameState accessible from window for cross-module communication
-window.gameState = gameState;
-
-// Function to get a copy of the current game state (Deep Copy is Safer)
-export function getGameState() {
-    return JSON.parse(JSON.stringify(gameState));
-}
+// ===== Board Input =====
+// The board reports clicks on the bus rather than calling into this module
+on(INPUT_EVENTS.END_OF_TURN_BOX_CLICKED, ({ boxNumber }) => {
+    handlePlayerAction(gameState.currentPlayerId, 'DRAW_END_OF_TURN_CARD', { cardBoxNumber: boxNumber });
+});
+on(INPUT_EVENTS.DECK_CLICKED, ({ deckType }) => handleDeckClick(deckType));
+on(INPUT_EVENTS.MOVE_TARGET_CLICKED, ({ coords }) => handleMoveClick(coords));
 
 // ===== Game Initialization =====
 
@@ -180,27 +55,17 @@ export function getGameState() {
 
 export async function initializeGame(players) {
     console.log("Initializing game...");
-    logMessage("Setting up new game...");
+    emitMessage("Setting up new game...");
 
     try {
-        // Reset players and game state
-        resetPlayers();
-        gameState = {
-            started: false,
-            ended: false,
-            currentPhase: 'SETUP',
-            players: [],
-            totalPlayerCount: 0,
-            humanPlayerCount: 0,
-            currentPlayerIndex: -1,
-            turnOrder: [],
-            pendingActionData: null,
-            currentDiceRoll: 0
-        };
+        // Reset game state; the players passed in were registered by the setup screen
+        resetGameState();
 
         // Set up the board and decks
         await setupBoard();
-        await setupDecks();
+        if (!await setupDecks()) {
+            throw new Error("Card decks failed to load");
+        }
 
         // Add players to game state
         if (Array.isArray(players) && players.length > 0) {
@@ -221,6 +86,7 @@ export async function initializeGame(players) {
             gameState.totalPlayerCount = validPlayers.length;
             gameState.humanPlayerCount = validPlayers.filter(p => p.isHuman).length;
             gameState.turnOrder = validPlayers.map(p => p.id);
+            initLogging(validPlayers);
             console.log(`Added ${validPlayers.length} players to game state`);
         } else {
             throw new Error("No valid players provided");
@@ -228,12 +94,10 @@ export async function initializeGame(players) {
 
         // Set game state
         gameState.started = true;
-        gameState.currentPhase = 'PLAYER_TURN';
         gameState.currentPlayerIndex = 0;
 
         // Update UI
-        updateGameComponents();
-        updatePlayerInfo();
+        emit(GAME_EVENTS.GAME_SET_UP);
 
         // Draw initial board state
         drawBoard();
@@ -266,32 +130,10 @@ function prepareTurnForPlayer(player) {
         return;
     }
     console.log(`--- Preparing turn for ${player.name} ---`);
-    logMessage(`It's ${player.name}'s turn.`);
-    
-    // Increment the game turn counter
-    gameState.currentTurn++;
-    
-    // Log the turn start
-    logTurnStart(player.id, gameState.currentTurn);
-
-    gameState.currentDiceRoll = null;
-    gameState.currentChoices = [];
-    gameState.choicePointRemainingSteps = 0;
-    clearHighlights();
-    hideDiceRollAnimation();
 
-    if (player.skipTurns > 0) {
-        logMessage(`${player.name} must skip this turn (${player.skipTurns} remaining).`);
-        
-        // Log the skipped turn
-        logPlayerAction(player.id, 'TURN_SKIPPED', {
-            turnNumber: gameState.currentTurn,
-            remainingSkips: player.skipTurns - 1
-        });
-        
-        player.skipTurns--;
-        updatePlayerInfo();
-        gameState.turnState = 'TURN_ENDED';
+    // Counts the turn and uses up a skipped turn
+    if (!beginTurn(player)) {
+        setTurnState(TURN_STATES.TURN_ENDED);
         advanceToNextPlayer();
         return;
     }
@@ -300,14 +142,14 @@ function prepareTurnForPlayer(player) {
     const startY = START_SPACE.coordinates[1];
     if (player.coords.x === startX && player.coords.y === startY) {
         console.log(`${player.name} is at Start. Needs to choose a path.`);
-        logMessage(`${player.name}, choose your starting path.`);
-        gameState.turnState = 'AWAITING_START_CHOICE';
+        emitMessage(`${player.name}, choose your starting path.`);
+        setTurnState(TURN_STATES.AWAITING_START_CHOICE);
         gameState.currentChoices = Object.entries(START_SPACE.nextCoordOptions).map(([color, coords]) => ({
             type: 'start',
             coordinates: coords,
             pathColor: color 
         }));
-        highlightChoices(gameState.currentChoices);
+        emit(GAME_EVENTS.CHOICES_OFFERED, { player, choices: gameState.currentChoices });
         
         // Log the available choices
         logGameEvent('START_PATH_CHOICE_REQUIRED', {
@@ -318,9 +160,7 @@ function prepareTurnForPlayer(player) {
         
         if (!player.isHuman) {
             // Add randomness to AI path choice
-            const choices = [...gameState.currentChoices];
-            const choiceIndex = Math.floor(Math.random() * choices.length);
-            const choice = choices[choiceIndex];
+            const choice = pickRandom(gameState.currentChoices);
             console.log(`AI ${player.name} chooses path: ${choice.pathColor}`);
             
             // Add human-like delay (800-1200ms)
@@ -329,18 +169,23 @@ function prepareTurnForPlayer(player) {
         }
     } else {
         console.log(`${player.name} can roll the dice.`);
-        logMessage(`${player.name}, roll the dice!`);
-        gameState.turnState = 'AWAITING_ROLL';
+        emitMessage(`${player.name}, roll the dice!`);
+        setTurnState(TURN_STATES.AWAITING_ROLL);
 
         if (!player.isHuman) {
             console.log(`AI ${player.name} rolling dice...`);
             // Add human-like delay (800-1200ms)
             const delay = 800 + Math.floor(Math.random() * 400);
-            setTimeout(() => handlePlayerAction(player.id, 'ROLL_DICE'), delay);
+            setTimeout(async () => {
+                // CPUs play any cards they kept before rolling
+                while (player.cards.length > 0) {
+                    await playKeptCard(player, 0);
+                }
+                handlePlayerAction(player.id, 'ROLL_DICE');
+            }, delay);
         }
     }
-    updatePlayerInfo();
-    updateGameControls();
+    emit(GAME_EVENTS.PLAYERS_CHANGED);
 }
 
 // Main function to handle player actions
@@ -351,9 +196,8 @@ export async function handlePlayerAction(playerId, actionType, actionParams = {}
         return false;
     }
     
-    // Validate it's this player's turn
-    if (playerId !== gameState.currentPlayerId) {
-        console.error(`Cannot handle action: Not ${player.name}'s turn`);
+    // Validate it's this player's turn and the turn is ready for this action
+    if (!guardAction(actionType, playerId)) {
         return false;
     }
     
@@ -374,11 +218,6 @@ export async function handlePlayerAction(playerId, actionType, actionParams = {}
             
             case 'DRAW_PATH_CARD':
                 // Handle drawing a card from a path deck (purple, blue, cyan, pink)
-                if (gameState.turnState !== 'AWAITING_PATH_CARD') {
-                    console.error(`Cannot draw path card: Invalid game state ${gameState.turnState}`);
-                    return false;
-                }
-                
                 deckColor = actionParams.deckColor || player.currentPath;
                 if (!deckColor) {
                     console.error(`Cannot draw path card: No deck color specified`);
@@ -391,37 +230,23 @@ export async function handlePlayerAction(playerId, actionType, actionParams = {}
                     console.error(`Failed to draw card from ${deckColor} deck`);
                     return false;
                 }
+                setTurnState(TURN_STATES.RESOLVING_CARD);
                 
                 // Show the card with animation
-                await handleCardDisplay(pathCard, deckColor, player);
+                await revealDrawnCard(player, pathCard, deckColor);
                 
                 // Apply card effects
-                applyCardEffects(pathCard, player);
+                await applyCardEffects(pathCard, player);
                 
                 // Move to end of turn card phase
-                gameState.turnState = 'AWAITING_END_OF_TURN_CARD';
-                
-                // For human players, prompt to draw end of turn card
-                if (player.isHuman) {
-                    logMessage('Click on an End of Turn card to draw');
-                } else {
-                    // CPU draws end of turn card automatically
-                    setTimeout(() => {
-                        handlePlayerAction(playerId, 'DRAW_END_OF_TURN_CARD');
-                    }, 1500);
-                }
+                promptEndOfTurnCard(player);
                 
                 return true;
             
             case 'DRAW_END_OF_TURN_CARD':
                 // Handle drawing an end of turn card
-                if (gameState.turnState !== 'AWAITING_END_OF_TURN_CARD' && gameState.turnState !== 'ACTION_COMPLETE') {
-                    console.error(`Cannot draw end of turn card: Invalid game state ${gameState.turnState}`);
-                    return false;
-                }
-                
                 // For human players, they can select which end of turn box to draw from
-                boxNumber = player.isHuman ? (actionParams.cardBoxNumber || 1) : Math.floor(Math.random() * 2) + 1;
+                boxNumber = player.isHuman ? (actionParams.cardBoxNumber || 1) : randomInt(1, 2);
                 
                 // Draw card from end of turn deck
                 eotCard = drawCard('end_of_turn', boxNumber);
@@ -429,22 +254,22 @@ export async function handlePlayerAction(playerId, actionType, actionParams = {}
                     console.error(`Failed to draw end of turn card from box ${boxNumber}`);
                     return false;
                 }
+                // Mark it drawn now, so a turn that stalls while it resolves is not offered another
+                player.hasDrawnEndOfTurnCard = true;
+                setTurnState(TURN_STATES.RESOLVING_CARD);
                 
                 // Show the card with animation
-                await handleCardDisplay(eotCard, 'end_of_turn', player);
+                await revealDrawnCard(player, eotCard, 'end_of_turn');
                 
-                // Apply card effects
-                applyCardEffects(eotCard, player);
+                // Apply card effects before the turn can end
+                await applyCardEffects(eotCard, player);
                 
-                // End turn
-                gameState.turnState = 'ACTION_COMPLETE';
+                // Only ending the turn is left
+                setTurnState(TURN_STATES.ACTION_COMPLETE);
                 
-                // Mark that player has drawn their end of turn card
-                player.hasDrawnEndOfTurnCard = true;
-                
-                // For human players, enable end turn button
+                // For human players, the end turn button and any kept cards are now enabled
                 if (player.isHuman) {
-                    updateGameControls();
+                    emit(GAME_EVENTS.PLAYERS_CHANGED);
                 } else {
                     // Add human-like delay (800-1200ms)
                     const delay = 800 + Math.floor(Math.random() * 400);
@@ -457,26 +282,13 @@ export async function handlePlayerAction(playerId, actionType, actionParams = {}
             
             case 'END_TURN':
                 // Handle ending the current player's turn
-                if (gameState.turnState !== 'ACTION_COMPLETE') {
-                    console.error(`Cannot end turn: Invalid game state ${gameState.turnState}`);
-                    return false;
-                }
-                
-                // Reset turn-specific flags
-                player.hasDrawnEndOfTurnCard = false;
-                
-                // Move to the next player
+                // Move to the next player (this also resets the End of Turn card flag)
                 advanceToNextPlayer();
                 
                 return true;
             
             case 'USE_ABILITY':
                 // Handle player using their role-specific ability
-                if (gameState.turnState !== 'AWAITING_ROLL' && gameState.turnState !== 'ACTION_COMPLETE') {
-                    console.error(`Cannot use ability: Invalid game state ${gameState.turnState}`);
-                    return false;
-                }
-                
                 // Check if ability already used
                 if (player.abilityUsed) {
                     console.error(`Cannot use ability: Already used this game`);
@@ -484,29 +296,64 @@ export async function handlePlayerAction(playerId, actionType, actionParams = {}
                 }
                 
                 // Handle role-specific abilities
-                success = usePlayerAbility(player);
+                success = await usePlayerAbility(player);
                 
                 if (success) {
                     // Mark ability as used
                     player.abilityUsed = true;
-                    updateGameControls();
                 }
                 
                 return success;
             
+            case 'PLAY_KEPT_CARD':
+                // Handle playing a trade or alliance card from the player's hand
+                return playKeptCard(player, actionParams.cardIndex);
+            
             default:
                 console.error(`Unknown action type: ${actionType}`);
                 return false;
         }
     } catch (error) {
         console.error(`Error during ${player.name}'s turn (State: ${gameState.turnState}):`, error);
-        logMessage(`Error during ${player.name}'s turn: ${error.message}`);
-        gameState.turnState = 'TURN_ENDED';
+        emitMessage(`Error during ${player.name}'s turn: ${error.message}`);
+        setTurnState(TURN_STATES.TURN_ENDED);
         setTimeout(() => advanceToNextPlayer(), 500);
         return false;
     }
 }
 
+/**
+ * Plays a kept card from a player's hand.
+ * @param {Object} player - The player playing the card
+ * @param {number} cardIndex - Position of the card in the player's hand
+ * @returns {Promise<boolean>} True if the card was played
+ */
+async function playKeptCard(player, cardIndex) {
+    const card = removeCardFromHand(player.id, cardIndex);
+    if (!card) {
+        console.error(`Cannot play kept card: ${player.name} has no card at position ${cardIndex}`);
+        return false;
+    }
+
+    // Hold the turn while the card resolves; trade responses would otherwise mark the action complete
+    const resumeState = gameState.turnState;
+    setTurnState(TURN_STATES.PLAYING_KEPT_CARD);
+
+    emitMessage(`${player.name} plays ${card.name} from their hand.`);
+    logPlayerAction(player.id, 'KEPT_CARD_PLAYED', {
+        cardName: card.name,
+        deckType: card.deckType,
+        turnNumber: gameState.currentTurn
+    });
+
+    // Resolving the card also returns it to the bottom of its deck
+    await applyCardEffects(card, player, { fromHand: true });
+
+    setTurnState(resumeState);
+    emit(GAME_EVENTS.PLAYERS_CHANGED);
+    return true;
+}
+
 /**
  * Handles clicks on the game board, primarily for making choices.
  * Called from UI event listeners.
@@ -542,10 +389,8 @@ export function resolveBoardClick(coords) {
         return;
     }
 
-    const currentState = gameState.turnState;
-    if (!['AWAITING_START_CHOICE', 'AWAITING_CHOICEPOINT'].includes(currentState)) {
-        console.log(`resolveBoardClick ignored: Current turn state ${currentState} doesn't allow board choices.`);
-        console.log(`Valid states for choices are: AWAITING_START_CHOICE, AWAITING_CHOICEPOINT`);
+    if (!canPerformAction('CHOOSE_PATH', playerId)) {
+        console.log(`resolveBoardClick ignored: Current turn state ${gameState.turnState} doesn't allow board choices.`);
         return;
     }
 
@@ -587,41 +432,10 @@ export function resolveBoardClick(coords) {
     } else {
         console.log("resolveBoardClick: Click not close enough to any choice.");
         // Optional: Highlight choices again to remind the player of valid options
-        highlightChoices(choices);
+        emit(GAME_EVENTS.CHOICES_OFFERED, { player, choices });
     }
 }
 
-/**
- * Handles drawing an End of Turn card
- * @param {number} boxNumber - Which End of Turn card box was clicked (1 or 2)
- */
-async function handleEndOfTurnCardDraw(boxNumber) {
-    console.log(`handleEndOfTurnCardDraw: Box ${boxNumber}`);
-    
-    if (gameState.turnState !== 'AWAITING_END_OF_TURN_CARD') {
-        console.warn("Cannot draw End of Turn card at this time");
-        return;
-    }
-    
-    const player = getPlayerById(gameState.currentPlayerId);
-    if (!player) {
-        console.error("Current player not found");
-        return;
-    }
-    
-    logMessage(`${player.name} draws an End of Turn card.`);
-    
-    // Draw a random card from the End of Turn deck
-    const endOfTurnCard = drawCard('end_of_turn');
-    if (!endOfTurnCard) {
-        logMessage("No End of Turn cards available.");
-        return;
-    }
-    
-    // Show card to player
-    await handleCardDisplay(endOfTurnCard, 'end_of_turn', player);
-}
-
 // Function to handle resolving player choice for path selection or junctions
 export function resolvePlayerChoice(playerId, choice) {
     const player = getPlayerById(playerId);
@@ -630,39 +444,16 @@ export function resolvePlayerChoice(playerId, choice) {
         return;
     }
 
-    // Allow choices during any phase when appropriate turn states are active
-    // We don't need to check the game phase since the turn state is more specific
-    const validTurnStates = ['AWAITING_START_CHOICE', 'AWAITING_CHOICEPOINT'];
-    
-    if (!validTurnStates.includes(gameState.turnState)) {
-        console.error(`Cannot resolve player choice during turn state: ${gameState.turnState}`);
-        console.log(`Valid turn states for choices are: ${validTurnStates.join(', ')}`);
+    if (!guardAction('CHOOSE_PATH', playerId)) {
         return;
     }
 
-    // Update player position
-    console.log(`Player ${player.name} chose to move to [${choice.coordinates}]`);
-    player.coords = { x: choice.coordinates[0], y: choice.coordinates[1] };
-    
-    // Synchronize coordinates and refresh tokens
-    synchronizePlayerCoordinates(player);
-    createPlayerTokenElements();
-    refreshPlayerTokens();
-    
-    // Show animation if needed
-    if (typeof startMoveAnimation === 'function') {
-        startMoveAnimation(player, 0, () => {
-            // Process the player's choice
-            processChoice(player, choice);
-        });
-    } else {
-        // Process the player's choice without animation
-        processChoice(player, choice);
-    }
+    // Update player position, then carry on once the token is there
+    takePathChoice(player, choice).then(() => processChoice(player, choice));
 }
 
 /**
- * Processes a player's choice at a junction or start space
+ * Carries the turn on after a player's choice at a junction or start space
  * @param {Object} player - The player making the choice
  * @param {Object} choice - The choice object containing path and coordinates
  */
@@ -674,29 +465,17 @@ function processChoice(player, choice) {
 
     console.log(`Processing choice for ${player.name}:`, choice);
     
-    // Update the player's current path if a choice was made
-    if (choice.pathColor) {
-        player.currentPath = choice.pathColor;
-        
-        // Log the choice of path
-        logPlayerAction(player.id, 'PATH_CHOSEN', {
-            pathColor: choice.pathColor,
-            coordinates: choice.coordinates,
-            choiceType: choice.type || 'unknown'
-        });
-        
-        logMessage(`${player.name} chose the ${choice.pathColor} path.`);
-    }
+    // Clear highlights now the choice is made
+    emit(GAME_EVENTS.CHOICES_CLEARED);
     
     // Handle different types of choices
     if (choice.type === 'start') {
         // Player has chosen a starting path
         console.log(`${player.name} has chosen their starting path: ${choice.pathColor}`);
         
-        // Move to action complete state after choice is made
-        gameState.turnState = 'ACTION_COMPLETE';
-        updateGameControls();
-    } 
+        // Choosing the path is the move; the End of Turn card follows
+        promptEndOfTurnCard(player);
+    }
     else if (choice.type === 'junction' || choice.type === 'choicepoint') {
         // Player has chosen a path at a junction
         console.log(`${player.name} has chosen a path at a junction: ${choice.pathColor}`);
@@ -704,14 +483,10 @@ function processChoice(player, choice) {
         // If there are remaining steps after the choice point, continue movement
         if (gameState.choicePointRemainingSteps > 0) {
             console.log(`${player.name} has ${gameState.choicePointRemainingSteps} steps remaining after junction`);
+            gameState.moveStartCoords = { ...player.currentCoords };
             // Continue movement with remaining steps
             setTimeout(() => {
-                startMoveAnimation(player, gameState.choicePointRemainingSteps, () => {
-                    handleEndOfMove({ 
-                        reason: 'junction_complete', 
-                        stepsTaken: gameState.choicePointRemainingSteps 
-                    });
-                });
+                moveAlongPath(player, gameState.choicePointRemainingSteps).then(handleEndOfMove);
             }, 500);
         } else {
             // No remaining steps, end the move
@@ -723,103 +498,77 @@ function processChoice(player, choice) {
     } else {
         // Unknown choice type, end the move
         console.warn(`Unknown choice type: ${choice.type}`);
-        gameState.turnState = 'ACTION_COMPLETE';
-        updateGameControls();
+        promptEndOfTurnCard(player);
     }
-    
-    // Clear highlights after choice is made
-    clearHighlights();
 }
 
 /**
- * Process the result of player movement, handling different space types and interactions.
+ * Carries the turn on from where a move stopped: the engine settles the space,
+ * then the player chooses a branch or draws, or the turn moves on
  * @param {Object} completionData - Object containing { reason, stepsTaken }
  */
-async function handleEndOfMove(completionData = { reason: 'unknown', stepsTaken: 0 }) {
-    const { reason, stepsTaken } = completionData;
+async function handleEndOfMove(completionData) {
     const player = getCurrentPlayer();
     if (!player) {
         console.error("No current player found");
         return;
     }
-    
-    console.log(`END OF MOVE: Player ${player.name} finished movement sequence at coords:`, player.currentCoords, `Reason: ${reason}, Steps in sequence: ${stepsTaken}`);
-
-    const spaceDetails = findSpaceDetailsByCoords(player.currentCoords);
-    console.log("END OF MOVE: Landed on space details:", spaceDetails);
-
-    if (!spaceDetails) {
-        console.error("END OF MOVE: Could not find space details for landing position!", player.currentCoords);
-    }
 
-    const spaceType = (spaceDetails?.Type || 'unknown').toLowerCase();
-    const pathColor = spaceDetails?.pathColor?.toUpperCase();
-    console.log(`END OF MOVE: Landed on space type: ${spaceType}, Path Color: ${pathColor}`);
+    const outcome = resolveMoveEnd(player, completionData);
+    if (!outcome) return;
 
-    if (reason === 'finished') {
-        console.log("END OF MOVE: Player reached Finish space.");
-        markPlayerFinished(player);
-        if (allPlayersFinished(getPlayers())) {
-            await triggerGameOver();
-        } else {
-            await advanceToNextPlayer();
-        }
-        return;
-    }
-
-    if (reason && reason.startsWith('error_')) {
-        console.error(`END OF MOVE: Movement sequence ended with error: ${reason}`);
-    }
+    switch (outcome.type) {
+        case MOVE_OUTCOMES.FINISHED:
+            console.log("END OF MOVE: Player reached Finish space.");
+            if (allPlayersFinished()) {
+                finishGame();
+            } else {
+                await advanceToNextPlayer();
+            }
+            return;
 
-    if (spaceType === 'draw' || reason === 'landed_on_draw') {
-        if (!pathColor) {
-            console.error("END OF MOVE: Draw space has no path color!", spaceDetails);
-        } else {
-            gameState.currentPhase = 'AWAITING_CARD_CLICK';
-            gameState.pendingActionData = {
-                requiredDeckType: pathColor,
-                playerId: player.id,
-                nextPhase: 'AWAITING_EOT_CLICK'
-            };
-            console.log(`END OF MOVE: Setting up for ${pathColor} card draw. Next is EOT card.`);
+        case MOVE_OUTCOMES.CHOICEPOINT:
+            handleChoicePoint(player.id, outcome.options);
+            return;
 
+        case MOVE_OUTCOMES.DRAW:
+            console.log(`END OF MOVE: Setting up for ${outcome.deckType} card draw. Next is EOT card.`);
             if (player.isHuman) {
-                highlightDeckRegions(pathColor, true);
-                showMessage(`Click the ${pathColor} deck to draw a card`);
+                emitMessage(`Click the ${outcome.deckType} deck to draw a card`);
             } else {
-                console.log(`END OF MOVE: AI landed on draw space ${pathColor}. Simulating click.`);
-                await delay(1200);
-                highlightDeckRegions(pathColor, false);
-                await delay(800);
-                const card = await simulateCpuDeckClick(pathColor);
-                stopDeckHighlight();
-                
-                if (card) {
-                    showCard(card, pathColor, player, async () => {
-                        hideCard();
-                        await applyCardEffect(card, player);
-                        updatePlayerInfo();
-                        console.log("END OF MOVE: AI finished path card, now drawing EOT card.");
-                        await drawEndOfTurnCard(player);
-                    });
-                } else {
-                    console.warn(`END OF MOVE: AI could not draw ${pathColor} card (empty?). Proceeding to EOT.`);
-                    await drawEndOfTurnCard(player);
-                }
+                console.log(`END OF MOVE: AI landed on draw space ${outcome.deckType}. Simulating click.`);
+                await delay(2000);
+                await handlePlayerAction(player.id, 'DRAW_PATH_CARD', { deckColor: outcome.deckType.toLowerCase() });
             }
             return;
-        }
+
+        default:
+            console.log("END OF MOVE: Not a draw space (or draw failed). Proceeding to End of Turn card.");
+            promptEndOfTurnCard(player);
+    }
+}
+
+/**
+ * Moves the turn on to the End of Turn card: humans click a deck, CPUs draw on their own
+ * @param {Object} player - The current player
+ */
+function promptEndOfTurnCard(player) {
+    setTurnState(TURN_STATES.AWAITING_END_OF_TURN_CARD);
+
+    if (player.isHuman) {
+        emitMessage('Click on an End of Turn card to draw');
+    } else {
+        setTimeout(() => {
+            handlePlayerAction(player.id, 'DRAW_END_OF_TURN_CARD');
+        }, 1500);
     }
-    
-    console.log("END OF MOVE: Not a draw space (or draw failed). Proceeding to End of Turn card.");
-    await drawEndOfTurnCard(player);
 }
 
 /**
  * Ends the current player's turn and advances to the next.
  * Handles round start logic (immunity, alliances).
  */
-function advanceToNextPlayer() {
+async function advanceToNextPlayer() {
     console.log(`--- advanceToNextPlayer ---`);
     const currentPlayerId = gameState.currentPlayerId;
     if (!currentPlayerId) return;
@@ -827,59 +576,27 @@ function advanceToNextPlayer() {
     const currentPlayer = getPlayerById(currentPlayerId);
     
     // First, make sure the player draws an End of Turn card before advancing to the next player
-    if (currentPlayer && !currentPlayer.hasDrawnEndOfTurnCard && !currentPlayer.finished) {
-        handleEndOfTurnCardDraw(Math.floor(Math.random() * 2) + 1);
+    // (skipped and aborted turns, which end as TURN_ENDED, draw none)
+    if (currentPlayer && !currentPlayer.hasDrawnEndOfTurnCard && !currentPlayer.finished && gameState.turnState !== TURN_STATES.TURN_ENDED) {
+        promptEndOfTurnCard(currentPlayer);
         return; // We'll resume advancing to the next player after the card effect is resolved
     }
     
-    // Log the end of the turn
     if (currentPlayer) {
-        logTurnEnd(currentPlayer.id, gameState.currentTurn);
-        
-        // Reset the end of turn card flag for the next turn
-        currentPlayer.hasDrawnEndOfTurnCard = false;
-    }
+        endTurn(currentPlayer);
 
-    const currentPlayerIndex = gameState.turnOrder.indexOf(currentPlayerId);
-    
-    if (currentPlayerIndex === gameState.turnOrder.length - 1) {
-        gameState.currentRound++;
-        logMessage(`--- Starting Round ${gameState.currentRound} ---`);
-        
-        // Log the start of a new round
-        logGameEvent('ROUND_START', {
-            roundNumber: gameState.currentRound,
-            playerCount: gameState.turnOrder.length
-        });
-        
-        decrementImmunityTurns();
-        decrementTradeBlockTurns();
-        
-        // Check for and clean up expired alliances
-        checkAndRemoveExpiredAlliances();
-    }
-
-    let nextPlayerIndex = (currentPlayerIndex + 1) % gameState.turnOrder.length;
-    let nextPlayerId = gameState.turnOrder[nextPlayerIndex];
-    let nextPlayer = getPlayerById(nextPlayerId);
-    let loopCheck = 0;
+        // Recap the turn before control passes on; CPU recaps close on their own
+        setTurnState(TURN_STATES.TURN_SUMMARY);
+        const summary = getTurnSummary(currentPlayer.id, gameState.currentTurn);
+        await ask(PROMPTS.TURN_SUMMARY, { summary, autoClose: !currentPlayer.isHuman });
 
-    while (nextPlayer && nextPlayer.finished && loopCheck < gameState.turnOrder.length) {
-        logMessage(`Player ${nextPlayer.name} has finished, skipping.`);
-        
-        // Log skipping a finished player
-        logGameEvent('PLAYER_SKIPPED', {
-            playerId: nextPlayer.id,
-            reason: 'PLAYER_FINISHED'
-        });
-        
-        nextPlayerIndex = (nextPlayerIndex + 1) % gameState.turnOrder.length;
-        nextPlayerId = gameState.turnOrder[nextPlayerIndex];
-        nextPlayer = getPlayerById(nextPlayerId);
-        loopCheck++;
+        // The turn may have been advanced by a recovery while the summary was up
+        if (gameState.turnState !== TURN_STATES.TURN_SUMMARY) return;
+        setTurnState(TURN_STATES.IDLE);
     }
 
-    if (loopCheck >= gameState.turnOrder.length || !nextPlayer) {
+    const nextPlayer = advanceTurnOrder();
+    if (!nextPlayer) {
         console.warn("advanceToNextPlayer: All remaining players seem finished. Triggering game over.");
         
         // Log the game is ending because all players are finished
@@ -887,298 +604,240 @@ function advanceToNextPlayer() {
             reason: 'ALL_PLAYERS_FINISHED'
         });
         
-        triggerGameOver();
+        finishGame();
         return;
     }
     
-    gameState.currentPlayerId = nextPlayerId;
     console.log(`Advancing turn. New player: ${nextPlayer.name}`);
 
+    // Autosave between turns so the game can be resumed from here
+    autosaveGame(gameState);
+
     prepareTurnForPlayer(nextPlayer);
 }
 
+// ===== Stall Recovery =====
+
 /**
- * Checks for and removes any alliances that have expired based on their duration.
+ * Gets a stalled turn moving again with one of the options the turn watchdog offered.
+ * @param {string} option - One of RECOVERY_OPTIONS.
+ * @returns {boolean} True if the recovery was started.
  */
-function checkAndRemoveExpiredAlliances() {
-    const alliancesToRemove = [];
-    
-    // Identify alliances that have expired
-    Object.entries(gameState.alliances).forEach(([allianceId, alliance]) => {
-        const roundsActive = gameState.currentRound - alliance.formedInRound;
-        if (roundsActive >= alliance.duration) {
-            alliancesToRemove.push(allianceId);
-            
-            // Log the ending of the alliance
-            const player1 = getPlayerById(alliance.players[0]);
-            const player2 = getPlayerById(alliance.players[1]);
-            if (player1 && player2) {
-                logMessage(`The alliance between ${player1.name} and ${player2.name} has ended.`);
-            }
-        }
-    });
-    
-    // Remove expired alliances
-    alliancesToRemove.forEach(id => {
-        delete gameState.alliances[id];
+export function recoverStalledTurn(option) {
+    const player = getCurrentPlayer();
+    if (!player || !getRecoveryOptions().includes(option)) {
+        console.error(`recoverStalledTurn: ${option} is not available in turn state ${gameState.turnState}`);
+        return false;
+    }
+
+    logGameEvent('TURN_RECOVERED', {
+        playerId: player.id,
+        option,
+        turnState: gameState.turnState,
+        turnNumber: gameState.currentTurn
     });
-    
-    if (alliancesToRemove.length > 0) {
-        console.log(`Removed ${alliancesToRemove.length} expired alliances.`);
+
+    switch (option) {
+        case RECOVERY_OPTIONS.RETRY_STEP:
+            emitMessage(`Retrying the stalled step of ${player.name}'s turn.`);
+            retryTurnStep(player);
+            return true;
+
+        case RECOVERY_OPTIONS.SKIP_TO_END_OF_TURN_CARD:
+            emitMessage(`Skipping ${player.name} ahead to their End of Turn card.`);
+            setTurnState(TURN_STATES.AWAITING_END_OF_TURN_CARD, { force: true });
+            promptEndOfTurnCard(player);
+            return true;
+
+        case RECOVERY_OPTIONS.ADVANCE_TO_NEXT_PLAYER:
+            emitMessage(`Ending ${player.name}'s stalled turn.`);
+            setTurnState(TURN_STATES.TURN_ENDED, { force: true });
+            advanceToNextPlayer();
+            return true;
+
+        default:
+            return false;
     }
 }
 
 /**
- * Checks if two players are currently in an alliance with each other.
- * @param {string} player1Id - The ID of the first player.
- * @param {string} player2Id - The ID of the second player.
- * @returns {boolean} - True if the players are in an alliance, false otherwise.
+ * Takes the step the turn is waiting on again: CPUs act, humans are prompted again,
+ * and an unfinished roll or move is settled where the token stands.
+ * @param {Object} player - The current player.
  */
-export function isInAlliance(player1Id, player2Id) {
-    // Check both possible alliance combinations (player1-player2 or player2-player1)
-    const allianceId1 = `${player1Id}-${player2Id}`;
-    const allianceId2 = `${player2Id}-${player1Id}`;
-    
-    return (allianceId1 in gameState.alliances) || (allianceId2 in gameState.alliances);
-}
+function retryTurnStep(player) {
+    const isCpu = !player.isHuman;
+    switch (gameState.turnState) {
+        case TURN_STATES.AWAITING_START_CHOICE:
+            if (isCpu) resolvePlayerChoice(player.id, pickRandom(gameState.currentChoices));
+            else emit(GAME_EVENTS.CHOICES_OFFERED, { player, choices: gameState.currentChoices });
+            break;
 
-/**
- * Ends the game and displays the results.
- */
-function triggerGameOver() {
-    console.log("--- triggerGameOver ---");
-    if (gameState.gamePhase === 'FINISHED') return;
-
-    gameState.gamePhase = 'FINISHED';
-    gameState.turnState = null;
-    gameState.currentPlayerId = null;
-    console.log("Game Over!");
-    logMessage("Game Over!");
-
-    const finalRankings = getPlayerRanking();
-    console.log("Final Rankings:", finalRankings);
-    
-    // Log the game over event with final rankings
-    logGameEvent('GAME_OVER', {
-        totalRounds: gameState.currentRound,
-        totalTurns: gameState.currentTurn,
-        rankings: finalRankings.map(player => ({
-            playerId: player.id,
-            playerName: player.name,
-            playerRole: player.role,
-            finished: player.finished,
-            resources: { ...player.resources }
-        }))
-    });
+        case TURN_STATES.AWAITING_CHOICEPOINT:
+            if (isCpu) resolvePlayerChoice(player.id, gameState.currentChoices[0]);
+            else emit(GAME_EVENTS.CHOICES_OFFERED, { player, choices: gameState.currentChoices });
+            break;
 
-    showEndGameScreen(finalRankings);
-    updateGameControls();
-}
+        case TURN_STATES.ROLLING:
+            // The roll never landed, so it is taken again
+            setTurnState(TURN_STATES.AWAITING_ROLL, { force: true });
+            if (isCpu) handlePlayerAction(player.id, 'ROLL_DICE');
+            break;
 
-export function initiateTrade(sourcePlayer, targetPlayer, offerDetails, requestDetails, isSwap = false) {
-    console.log(`Initiating trade: ${sourcePlayer.role} -> ${targetPlayer.role}`);
-    console.log('Offer:', offerDetails, 'Request:', requestDetails, 'Swap:', isSwap);
+        case TURN_STATES.AWAITING_ROLL:
+            if (isCpu) handlePlayerAction(player.id, 'ROLL_DICE');
+            break;
 
-    const canSourceAfford = checkResourceAvailability(sourcePlayer.id, offerDetails);
-    const canTargetAfford = checkResourceAvailability(targetPlayer.id, requestDetails);
+        case TURN_STATES.MOVING:
+            handleEndOfMove({ reason: 'recovered', stepsTaken: 0 });
+            break;
 
-    if (isSwap) {
-        if (!canSourceAfford || !canTargetAfford) {
-            logMessage(`${sourcePlayer.role} cannot initiate swap with ${targetPlayer.role}: Insufficient resources for one or both parties.`);
-            console.log("Swap failed: Insufficient resources.");
-            return;
-        }
-    } else {
-        if (!canSourceAfford) {
-            logMessage(`${sourcePlayer.role} cannot make offer to ${targetPlayer.role}: Insufficient resources.`);
-            console.log("Trade failed: Source cannot afford offer.");
-            return;
-        }
-    }
+        case TURN_STATES.AWAITING_PATH_CARD:
+            if (isCpu) {
+                handlePlayerAction(player.id, 'DRAW_PATH_CARD', {
+                    deckColor: gameState.pendingActionData?.requiredDeckType?.toLowerCase()
+                });
+            }
+            break;
 
-    if (targetPlayer.isAI) {
-        const aiAccepts = isSwap ? canTargetAfford : true;
-        console.log(`AI ${targetPlayer.role} decision: ${aiAccepts}`);
-        if (aiAccepts) {
-            handleTradeResponse(true, sourcePlayer.id, targetPlayer.id, offerDetails, requestDetails, isSwap);
-        } else {
-             handleTradeResponse(false, sourcePlayer.id, targetPlayer.id, offerDetails, requestDetails, isSwap);
-             logMessage(`${targetPlayer.role} (AI) rejected the trade offer from ${sourcePlayer.role}.`);
-        }
-    } else {
-        console.log(`Prompting human player ${targetPlayer.role} for trade...`);
-        promptForTradeResponse(sourcePlayer, targetPlayer, offerDetails, requestDetails, isSwap, 
-            (accepted) => handleTradeResponse(accepted, sourcePlayer.id, targetPlayer.id, offerDetails, requestDetails, isSwap)
-        );
+        case TURN_STATES.AWAITING_END_OF_TURN_CARD:
+            if (isCpu) handlePlayerAction(player.id, 'DRAW_END_OF_TURN_CARD');
+            break;
+
+        case TURN_STATES.ACTION_COMPLETE:
+            if (isCpu) handlePlayerAction(player.id, 'END_TURN');
+            break;
+
+        default:
+            console.warn(`retryTurnStep: Nothing to retry in turn state ${gameState.turnState}`);
     }
-    updateGameControls();
 }
 
-export function handleTradeResponse(accepted, sourcePlayerId, targetPlayerId, offerDetails, requestDetails, isSwap) {
-    const sourcePlayer = getPlayerById(sourcePlayerId);
-    const targetPlayer = getPlayerById(targetPlayerId);
-    
-    // According to game specs, CPU players always agree to anything offered by human players
-    if (targetPlayer && !targetPlayer.isHuman && sourcePlayer && sourcePlayer.isHuman) {
-        accepted = true;
-        logMessage(`${targetPlayer.name} (CPU) accepts the offer from ${sourcePlayer.name}.`);
-    }
-    
-    gameState.tradePending = false;
-    if (accepted) {
-         if (!isSwap && !checkResourceAvailability(targetPlayerId, requestDetails)) {
-             logMessage(`${targetPlayer?.name || 'Target player'} accepted but cannot afford. Trade cancelled.`);
-             gameState.turnState = 'ACTION_COMPLETE';
-         } else {
-             logMessage(`Trade accepted between ${sourcePlayer?.name || sourcePlayerId} and ${targetPlayer?.name || targetPlayerId}.`);
-             executeTrade(sourcePlayerId, targetPlayerId, offerDetails, requestDetails, isSwap);
-             gameState.turnState = 'ACTION_COMPLETE';
-         }
-    } else {
-         logMessage(`Trade rejected by ${targetPlayer?.name || targetPlayerId}.`);
-         gameState.turnState = 'ACTION_COMPLETE';
-    }
-     updatePlayerInfo();
-     updateGameControls();
+// ===== Save & Resume =====
+
+// A resumed game restarts the saved player's turn, so saves are only taken before anything
+// in that turn has happened
+const SAVEABLE_TURN_STATES = [TURN_STATES.AWAITING_ROLL, TURN_STATES.AWAITING_START_CHOICE];
+
+/**
+ * Checks that the current turn has not moved past its start, telling the player if it has.
+ * @returns {boolean} True if the game can be saved now.
+ */
+function isAtTurnStart() {
+    if (SAVEABLE_TURN_STATES.includes(gameState.turnState)) return true;
+    emitMessage("The game can only be saved at the start of a turn, before the dice are rolled.", 'error');
+    return false;
 }
 
-function executeTrade(playerAId, playerBId, detailsA, detailsB, isSwap = false) {
-    const playerA = getPlayerById(playerAId);
-    const playerB = getPlayerById(playerBId);
-    
-    if (!playerA || !playerB) {
-        console.error("Cannot execute trade: Player not found.");
-        return;
+/**
+ * Saves the current game into a named localStorage slot.
+ * @param {string} slotName - Name of the save slot.
+ * @returns {boolean} True if the game was saved.
+ */
+export function saveCurrentGame(slotName) {
+    if (!gameState.started || gameState.ended) {
+        emitMessage("There is no game in progress to save.", 'error');
+        return false;
     }
-    
-    console.log(`Executing trade between ${playerA.name} and ${playerB.name}...`);
-    
-    if (isSwap) {
-        // For swaps, both players exchange the same resource
-        const resourceA = detailsA.resource;
-        const amountA = detailsA.amount;
-        
-        // Handle the swap in one transaction
-        updatePlayerResources(playerAId, { [resourceA]: -amountA });
-        updatePlayerResources(playerBId, { [resourceA]: amountA });
-        logMessage(`${playerA.name} swapped ${amountA} ${resourceA} with ${playerB.name}.`);
+    if (!isAtTurnStart()) return false;
+
+    const saved = saveGame(slotName, gameState);
+    if (saved) {
+        emitMessage(`Game saved to "${slotName}".`);
+        logGameEvent('GAME_SAVED', { slotName, turnNumber: gameState.currentTurn });
     } else {
-        // For regular trades, players exchange different resources
-        updatePlayerResources(playerAId, { [detailsA.resource]: -detailsA.amount });
-        updatePlayerResources(playerBId, { [detailsA.resource]: detailsA.amount });
-        updatePlayerResources(playerBId, { [detailsB.resource]: -detailsB.amount });
-        updatePlayerResources(playerAId, { [detailsB.resource]: detailsB.amount });
-        logMessage(`${playerA.name} gives ${detailsA.amount} ${detailsA.resource} to ${playerB.name} in exchange for ${detailsB.amount} ${detailsB.resource}.`);
+        emitMessage(`Could not save game to "${slotName}".`, 'error');
     }
+    return saved;
 }
 
-function checkResourceAvailability(playerId, details) {
-     if (!details || !details.resource || details.amount <= 0) return true;
-     const player = getPlayerById(playerId);
-     if (!player) return false;
-     const currentAmount = player.resources[details.resource] || 0;
-     return currentAmount >= details.amount;
+/**
+ * Restores a saved game and restarts the saved player's turn.
+ * @param {string} slotName - Name of the save slot.
+ * @returns {Promise<boolean>} True if the game was resumed.
+ */
+export async function resumeSavedGame(slotName) {
+    console.log(`Resuming saved game from slot "${slotName}"...`);
+    return restoreFromSnapshot(loadSnapshot(slotName), `save "${slotName}"`);
 }
 
-export function handleCardMovement(player, effect) {
-     console.warn("handleCardMovement needs review/implementation.");
-     if (effect.spaces) {
-         startMoveAnimation(player, parseInt(effect.spaces, 10), () => {
-             handleEndOfMove({ 
-                 reason: 'card_movement', 
-                 stepsTaken: parseInt(effect.spaces, 10) 
-             });
-         });
-     } else {
-         logMessage("Unsupported card movement effect.");
-     }
-}
+/**
+ * Downloads the current game as a versioned JSON file.
+ * @returns {boolean} True if the file was created.
+ */
+export function downloadCurrentGame() {
+    if (!gameState.started) {
+        emitMessage("There is no game in progress to download.", 'error');
+        return false;
+    }
+    if (!isAtTurnStart()) return false;
 
-export function initiateAlliance(playerA, playerB) {
-    console.log(`Initiating alliance between ${playerA.name} (${playerA.role}) and ${playerB.name} (${playerB.role})`);
-    
-    // Store the alliance in the game state to track it
-    const allianceId = `${playerA.id}-${playerB.id}`;
-    gameState.alliances[allianceId] = {
-        players: [playerA.id, playerB.id],
-        formedInRound: gameState.currentRound,
-        duration: 1 // Alliance lasts for 1 full round
-    };
-    
-    // Grant temporary immunity to both players
-    grantTemporaryImmunity(playerA.id, 1);
-    grantTemporaryImmunity(playerB.id, 1);
-    
-    // Log the alliance formation
-    logMessage(`${playerA.name} and ${playerB.name} have formed a temporary alliance!`);
-    logMessage(`Both players are immune to negative effects for 1 turn.`);
-    
-    updatePlayerInfo();
+    const fileName = downloadGameFile(gameState);
+    if (!fileName) {
+        emitMessage("Could not create the game file.", 'error');
+        return false;
+    }
+
+    logGameEvent('GAME_FILE_EXPORTED', { fileName, turnNumber: gameState.currentTurn });
+    emitMessage(`Game downloaded as ${fileName}.`);
+    return true;
 }
 
-// Add this helper function to standardize path color handling
-function getStandardizedPathColor(pathColor) {
-    if (!pathColor) return null;
-    const lowerPathColor = pathColor.toLowerCase();
-    const validColors = ['purple', 'blue', 'cyan', 'pink', 'end_of_turn'];
-    return validColors.includes(lowerPathColor) ? lowerPathColor : null;
+/**
+ * Loads a game from a JSON file produced by downloadCurrentGame.
+ * @param {File} file - The file chosen by the user.
+ * @returns {Promise<boolean>} True if the game was resumed.
+ */
+export async function loadGameFromFile(file) {
+    console.log(`Loading game file ${file && file.name}...`);
+    const snapshot = await readGameFile(file);
+    return restoreFromSnapshot(snapshot, `file "${file && file.name}"`);
 }
 
-// Update handleSpecialEventCardDraw to use standardized path color and show card
-export async function handleSpecialEventCardDraw(player, pathColor) {
-    if (!player || !pathColor) {
-        console.error('Invalid parameters for handleSpecialEventCardDraw');
-        return;
+/**
+ * Applies a snapshot to every module and prepares the saved player's turn.
+ * @param {object|null} snapshot - Snapshot from save.js.
+ * @param {string} sourceLabel - Where the snapshot came from, for messages.
+ * @returns {Promise<boolean>} True if the game was resumed.
+ */
+async function restoreFromSnapshot(snapshot, sourceLabel) {
+    const savedState = applySnapshot(snapshot);
+    if (!savedState) {
+        emitMessage(`Could not load ${sourceLabel}.`, 'error');
+        return false;
     }
 
-    const standardizedPathColor = getStandardizedPathColor(pathColor);
-    if (!standardizedPathColor) {
-        console.error(`Invalid path color: ${pathColor}`);
-        return;
+    resetGameState({
+        ...savedState,
+        alliances: savedState.alliances || {},
+        currentRound: savedState.currentRound || 1,
+        players: getPlayers(),
+        pendingActionData: null,
+        turnState: TURN_STATES.IDLE
+    });
+
+    // prepareTurnForPlayer increments the turn, so step back for saves taken during a turn
+    if (!snapshot.atTurnBoundary) {
+        gameState.currentTurn = Math.max(0, (gameState.currentTurn || 0) - 1);
     }
 
-    // Draw card from the appropriate deck
-    const card = drawCard(standardizedPathColor);
-    if (!card) {
-        console.error(`Failed to draw card from ${standardizedPathColor} deck`);
-        return;
+    const player = getPlayerById(gameState.currentPlayerId);
+    if (!player) {
+        console.error(`restoreFromSnapshot: Saved current player ${gameState.currentPlayerId} not found.`);
+        return false;
     }
 
-    // Log the card draw
-    logCardDraw(player.id, card, standardizedPathColor);
-    
-    // Make sure the card has the deckType property and show it
-    const fullCard = { ...card, deckType: standardizedPathColor };
-    await new Promise(resolve => {
-        showCardPopup(fullCard, resolve);
-    });
+    await setupBoard();
+    drawBoard();
+    managePlayerTokens(gameState.players);
+    emit(GAME_EVENTS.GAME_SET_UP);
 
-    logGameEvent('CARD_DRAWN', {
-        playerId: player.id,
-        cardName: card.name,
-        deckType: standardizedPathColor
-    });
+    logGameEvent('GAME_RESUMED', { source: sourceLabel, turnNumber: gameState.currentTurn + 1 });
+    emitMessage(`Resumed ${sourceLabel}.`);
+    startWatchdog();
 
-    // Mark that card has been drawn and update game state
-    player.drewSpecialEventCard = true;
-    gameState.turnState = 'AWAITING_END_OF_TURN_CARD';
-    
-    // For human players, prompt to draw end of turn card
-    if (player.isHuman) {
-        logMessage('Click on an End of Turn Card to draw.');
-        // Get canvas context and pass it to highlightEndOfTurnCardBoxes
-        const ctx = document.getElementById('board-canvas')?.getContext('2d');
-        if (ctx) {
-            highlightEndOfTurnCardBoxes(ctx);
-        } else {
-            console.error('Could not get canvas context for highlighting card boxes');
-        }
-    } else {
-        // Auto-draw for CPU players after a delay
-        setTimeout(() => {
-            handleEndOfTurnCardDraw(Math.floor(Math.random() * 2) + 1);
-        }, 2000);
-    }
+    prepareTurnForPlayer(player);
+    return true;
 }
 
 /**
@@ -1226,7 +885,7 @@ export function handleMoveClick(coords) {
             moveResult 
         });
     } else {
-        logMessage("Invalid move. Please select a valid space.");
+        emitMessage("Invalid move. Please select a valid space.");
     }
 }
 
@@ -1237,30 +896,36 @@ export function handleMoveClick(coords) {
 export function handleDeckClick(deckName) {
     console.log("handleDeckClick:", deckName);
     
-    // Get the current player using the current player ID from game state
-    const currentPlayerId = gameState.currentPlayerId;
-    const currentPlayer = getPlayerById(currentPlayerId);
-    
+    const currentPlayer = getCurrentPlayer();
     if (!currentPlayer) {
         console.error("No current player found");
-        logMessage("Cannot draw cards: No active player.");
+        emitMessage("Cannot draw cards: No active player.");
+        return;
+    }
+    if (!currentPlayer.isHuman) {
+        console.log(`handleDeckClick ignored: ${currentPlayer.name} is not human.`);
         return;
     }
 
-    console.log("Current player:", currentPlayer.name, currentPlayer.id);
+    // Path decks are only drawn from after landing on a Draw space
+    if (!guardAction('DRAW_PATH_CARD', currentPlayer.id)) {
+        emitMessage("You can only draw from a path deck after landing on a Draw space.");
+        return;
+    }
 
-    // Check if player is allowed to draw from this deck based on game state
-    if (gameState.turnState !== 'AWAITING_ROLL' && gameState.turnState !== 'ACTION_COMPLETE') {
-        logMessage(`You can only draw cards at the start of your turn or after completing an action.`);
+    // ...and only from the deck matching that space
+    const requiredDeck = gameState.pendingActionData?.requiredDeckType?.toLowerCase();
+    const deckColor = deckName.toLowerCase();
+    if (requiredDeck && deckColor !== requiredDeck) {
+        emitMessage(`Draw from the ${requiredDeck} deck.`);
         return;
     }
 
-    // Draw a card from the deck using the current player and deck name
-    handleSpecialEventCardDraw(currentPlayer, deckName);
+    handlePlayerAction(currentPlayer.id, 'DRAW_PATH_CARD', { deckColor });
 }
 
 /**
- * Handle player reaching a choice point on the board
+ * Asks the player at a choice point for a branch: CPUs take the first, humans click one
  * @param {string} playerId - ID of the player at the choice point
  * @param {Array} options - Array of possible path options
  */
@@ -1276,10 +941,6 @@ export function handleChoicePoint(playerId, options) {
         return;
     }
     
-    // Update game state to indicate we're waiting for a choice
-    gameState.turnState = 'AWAITING_CHOICEPOINT';
-    gameState.currentChoices = options;
-    
     // If it's a CPU player, automatically choose
     if (!player.isHuman) {
         // CPU players always choose the first option
@@ -1290,10 +951,10 @@ export function handleChoicePoint(playerId, options) {
     }
     
     // For human players, highlight the choice options on the board
-    highlightPlayerChoices(options);
+    emit(GAME_EVENTS.CHOICES_OFFERED, { player, choices: options });
     
     // Show message to the player
-    logMessage(`${player.name}, choose your path by clicking on one of the highlighted spaces.`);
+    emitMessage(`${player.name}, choose your path by clicking on one of the highlighted spaces.`);
 }
 
 /**
@@ -1305,11 +966,14 @@ async function usePlayerAbility(player) {
     if (!player) return false;
     
     try {
-        // Call the useSpecialAbility function from cards.js
-        const success = await useSpecialAbility(player.id);
+        // The Revolutionary's ability is aimed at another player, chosen before it is used
+        const target = PLAYER_ROLES[player.role]?.abilityIdentifier === 'sabotageImmunity'
+            ? await chooseEffectTarget(player, "Choose a player to reduce their Influence by 5:")
+            : null;
+        const success = useSpecialAbility(player.id, target);
         
         if (success) {
-            logMessage(`${player.name} used their special ability!`);
+            emitMessage(`${player.name} used their special ability!`);
             
             // Mark ability as used for this turn
             player.abilityUsed = true;
@@ -1321,7 +985,7 @@ async function usePlayerAbility(player) {
             
             return true;
         } else {
-            logMessage(`${player.name} could not use their special ability.`);
+            emitMessage(`${player.name} could not use their special ability.`);
             return false;
         }
     } catch (error) {
@@ -1330,28 +994,6 @@ async function usePlayerAbility(player) {
     }
 }
 
-/**
- * Shows a card to the player and returns a promise that resolves when the card is closed
- * @param {Object} card - The card to show
- * @param {string} deckType - The type of deck the card was drawn from
- * @param {Object} player - The player who drew the card
- * @returns {Promise<void>} - Resolves when the card is closed
- */
-async function handleCardDisplay(card, deckType, player) {
-    // First, log the card draw
-    logCardDraw(player.id, card, deckType);
-    
-    // Make sure the card has the deckType property
-    const fullCard = { ...card, deckType };
-    
-    // Use showCardPopup from ui.js
-    return new Promise(resolve => {
-        showCardPopup(fullCard, () => {
-            resolve();
-        });
-    });
-}
-
 // Function to handle dice roll actions
 export async function handleDiceRoll(playerId) {
     const player = getPlayerById(playerId);
@@ -1362,48 +1004,31 @@ export async function handleDiceRoll(playerId) {
     
     console.log(`Handling dice roll for ${player.name}`);
     
-    // Only allow dice rolls in the appropriate state
-    if (gameState.turnState !== 'AWAITING_ROLL') {
-        console.error(`Cannot roll dice: Invalid game state ${gameState.turnState}`);
+    // Only allow dice rolls in the appropriate state, and only once
+    if (!guardAction('ROLL_DICE', playerId)) {
         return false;
     }
-    
-    // Show dice roll animation
-    showDiceRollAnimation(true);
+    // The dice start rolling on screen
+    setTurnState(TURN_STATES.ROLLING);
     
     // Add a small delay for the animation
     await new Promise(resolve => setTimeout(resolve, 1000));
     
-    // Roll the dice
-    const diceResult = Math.floor(Math.random() * 6) + 1;
+    // Roll the dice; the dice display shows the result
+    const diceResult = rollDice(player);
     
-    // Show the final result
-    showDiceRollAnimation(false, diceResult);
+    // Update game state before moving, as a blocked move can end straight away
+    setTurnState(TURN_STATES.MOVING);
     
-    // Log the result
-    logMessage(`${player.name} rolled a ${diceResult}!`, 'dice');
-    
-    // Start the movement animation
-    startMoveAnimation(player, diceResult, (result) => handleEndOfMove({ 
-        reason: 'dice_roll', 
-        stepsTaken: diceResult,
-        moveResult: result 
-    }));
-    
-    // Update game state
-    gameState.currentDiceRoll = diceResult;
-    gameState.movesRemaining = diceResult;
-    gameState.turnState = 'MOVING';
-    
-    // Update UI
-    updateGameComponents();
+    // Walk the token along the board
+    moveAlongPath(player, diceResult).then(handleEndOfMove);
     
     return true;
 }
 
 /**
  * Determine turn order by rolling dice for each player
- * Human players will be prompted to roll, CPU players will roll automatically
+ * Each player's roll is made for them after a short pause
  * @returns {Promise<boolean>} True if the turn order was successfully determined
  */
 export async function determineTurnOrder() {
@@ -1420,44 +1045,25 @@ export async function determineTurnOrder() {
     const rollResults = {};
     
     // Set game phase to turn order determination
-    gameState.gamePhase = 'TURN_ORDER_DETERMINATION';
+    gameState.gamePhase = GAME_PHASES.TURN_ORDER_DETERMINATION;
     
     // Function to handle individual player rolls
     const handlePlayerRoll = (player) => {
         return new Promise(resolve => {
-            // For human players, show roll button and wait for click
+            // Human players' rolls are made for them
             if (player.isHuman) {
-                // Show message to prompt human player
-                logMessage(`${player.name}, click to roll the dice`);
-                
-                // This should be handled by the UI - the human player clicks the roll button
-                // and the UI will call the rollForTurnOrder function
-                
-                // Listen for the roll (this would be handled by UI event listeners)
-                window.currentTurnOrderRollCallback = (result) => {
+                setTimeout(() => {
+                    const result = rollDie();
                     rollResults[player.id] = result;
-                    logMessage(`${player.name} rolled ${result}!`, 'dice');
+                    emitMessage(`${player.name} rolled ${result}!`, 'dice');
                     resolve();
-                };
-                
-                // Enable roll button for this player (UI should handle this)
-                if (window.ui && typeof window.ui.enableTurnOrderRollButton === 'function') {
-                    window.ui.enableTurnOrderRollButton(player.id);
-                } else {
-                    // If no UI handler, simulate a roll automatically as fallback
-                    setTimeout(() => {
-                        const result = Math.floor(Math.random() * 6) + 1;
-                        rollResults[player.id] = result;
-                        logMessage(`${player.name} rolled ${result}!`, 'dice');
-                        resolve();
-                    }, 500);
-                }
+                }, 500);
             } else {
                 // For CPU players, automatically roll after a slight delay
                 setTimeout(() => {
-                    const result = Math.floor(Math.random() * 6) + 1;
+                    const result = rollDie();
                     rollResults[player.id] = result;
-                    logMessage(`${player.name} (CPU) rolled ${result}!`, 'dice');
+                    emitMessage(`${player.name} (CPU) rolled ${result}!`, 'dice');
                     resolve();
                 }, 800 + Math.random() * 500); // Random delay between 800-1300ms
             }
@@ -1470,7 +1076,7 @@ export async function determineTurnOrder() {
             await handlePlayerRoll(player);
             
             // Update UI to show current roll results
-            updateTurnOrderDisplay(rollResults);
+            emit(GAME_EVENTS.TURN_ORDER_ROLLED, { rolls: rollResults, isFinal: false });
         }
     };
     
@@ -1480,12 +1086,12 @@ export async function determineTurnOrder() {
     // Handle ties by re-rolling just for tied players
     let tiedPlayers = findTiedPlayers(rollResults);
     while (tiedPlayers.length > 1) {
-        logMessage("Ties detected! Re-rolling for tied players...");
+        emitMessage("Ties detected! Re-rolling for tied players...");
         
         // Re-roll for tied players only
         for (const player of tiedPlayers) {
             await handlePlayerRoll(player);
-            updateTurnOrderDisplay(rollResults);
+            emit(GAME_EVENTS.TURN_ORDER_ROLLED, { rolls: rollResults, isFinal: false });
         }
         
         // Check for ties again
@@ -1504,14 +1110,14 @@ export async function determineTurnOrder() {
     gameState.currentPlayerId = gameState.turnOrder[0];
     
     // Log the determined turn order
-    logMessage("Turn order determined!");
+    emitMessage("Turn order determined!");
     gameState.turnOrder.forEach((playerId, index) => {
         const player = getPlayerById(playerId);
-        logMessage(`${index + 1}. ${player.name} (${rollResults[playerId]})`);
+        emitMessage(`${index + 1}. ${player.name} (${rollResults[playerId]})`);
     });
     
     // Update UI to reflect final turn order
-    updateTurnOrderDisplay(rollResults, true);
+    emit(GAME_EVENTS.TURN_ORDER_ROLLED, { rolls: rollResults, isFinal: true });
     
     // Log game event
     logGameEvent('TURN_ORDER_DETERMINED', {
@@ -1523,7 +1129,8 @@ export async function determineTurnOrder() {
     });
     
     // Set game phase back to playing
-    gameState.gamePhase = 'PLAYING';
+    gameState.gamePhase = GAME_PHASES.PLAYING;
+    startWatchdog();
     
     // Start first player's turn
     prepareTurnForPlayer(getPlayerById(gameState.currentPlayerId));
@@ -1549,169 +1156,6 @@ function findTiedPlayers(rollResults) {
     return tiedPlayers.length > 1 ? tiedPlayers : [];
 }
 
-/**
- * Update the turn order display in the UI
- * @param {Object} rollResults - Object mapping player IDs to roll results
- * @param {boolean} isFinal - Whether this is the final display after all rolls
- */
-function updateTurnOrderDisplay(rollResults, isFinal = false) {
-    // This function should be implemented in the UI module
-    // It should update the UI to show the current roll results
-    if (window.ui && typeof window.ui.updateTurnOrderDisplay === 'function') {
-        window.ui.updateTurnOrderDisplay(rollResults, isFinal);
-    } else {
-        console.log("Turn order display update:", rollResults, isFinal ? "(Final)" : "");
-    }
-}
-
-/**
- * Function for UI to call when a human player rolls for turn order
- * @param {string} playerId - ID of the player rolling
- * @returns {number} The dice roll result
- */
-export function rollForTurnOrder(playerId) {
-    const player = getPlayerById(playerId);
-    if (!player) {
-        console.error(`Cannot roll for turn order: Player ${playerId} not found`);
-        return 0;
-    }
-    
-    // Roll the dice
-    const result = Math.floor(Math.random() * 6) + 1;
-    
-    // If there's a callback waiting for this roll, invoke it
-    if (typeof window.currentTurnOrderRollCallback === 'function') {
-        window.currentTurnOrderRollCallback(result);
-        window.currentTurnOrderRollCallback = null;
-    }
-    
-    return result;
-}
-
-/**
- * Handles the step-by-step movement sequence for a player.
- * @param {object} player - The player object to move.
- * @param {number} stepsRemaining - Number of steps left to take.
- * @param {function} onSequenceComplete - Callback function when sequence finishes or is interrupted.
- */
-export async function executeMoveSequence(player, stepsRemaining, onSequenceComplete) {
-    console.log(`MOVE SEQ: Player ${player.name}, Steps Remaining: ${stepsRemaining}, Coords: (${player.currentCoords.x.toFixed(1)}, ${player.currentCoords.y.toFixed(1)})`);
-
-    if (stepsRemaining <= 0) {
-        console.log(`MOVE SEQ: No steps remaining.`);
-        onSequenceComplete({ reason: 'move_complete', stepsTaken: 0 });
-        return;
-    }
-
-    const optionsResult = getNextStepOptions(player.currentCoords);
-    console.log("MOVE SEQ: Next options result:", optionsResult);
-
-    let nextCoords;
-    let nextCoordsArray;
-
-    switch (optionsResult.type) {
-        case 'Error':
-            console.error(`MOVE SEQ Error: ${optionsResult.message}. Stopping movement.`);
-            onSequenceComplete({ reason: `error_${optionsResult.message.toLowerCase().replace(/\s+/g, '_')}`, stepsTaken: 0 });
-            return;
-
-        case 'Choicepoint':
-            console.log(`MOVE SEQ: Reached Choicepoint/Junction.`);
-            gameState.currentPhase = 'AWAITING_JUNCTION_CHOICE';
-            gameState.pendingActionData = {
-                playerId: player.id,
-                validNextCoords: optionsResult.options.map(opt => ({ x: opt[0], y: opt[1] })),
-                remainingSteps: stepsRemaining - 1
-            };
-
-            if (player.isHuman) {
-                console.log("MOVE SEQ: Prompting human for junction choice.");
-                const uiOptions = optionsResult.options.map(optCoords => ({
-                    text: `Option at (${optCoords[0].toFixed(0)}, ${optCoords[1].toFixed(0)})`,
-                    coords: { x: optCoords[0], y: optCoords[1] },
-                    color: 'grey'
-                }));
-                promptForJunctionChoice(uiOptions, (chosenOptionData) => {
-                    handleHumanMoveClick(chosenOptionData.coords);
-                });
-            } else {
-                console.log("MOVE SEQ: Simulating AI junction choice.");
-                simulateCpuChoicepoint(player);
-            }
-            return;
-
-        case 'Finish':
-        case 'LandedOnFinish':
-            console.log(`MOVE SEQ: Reached or landed on Finish.`);
-            if (optionsResult.nextCoords) {
-                const finishCoords = { x: optionsResult.nextCoords[0], y: optionsResult.nextCoords[1] };
-                await animateTokenToPosition(player, finishCoords, 500, () => {
-                    onSequenceComplete({ reason: 'finished', stepsTaken: 1 });
-                });
-            } else {
-                onSequenceComplete({ reason: 'finished', stepsTaken: 0 });
-            }
-            return;
-
-        case 'End':
-            console.warn(`MOVE SEQ: Reached end of path with no defined next step.`);
-            onSequenceComplete({ reason: 'path_end', stepsTaken: 0 });
-            return;
-            
-        case 'Start':
-            console.warn(`MOVE SEQ: Unexpectedly got Start state during move sequence.`);
-            onSequenceComplete({ reason: 'error_unexpected_start', stepsTaken: 0 });
-            return;
-
-        case 'Regular':
-            nextCoordsArray = optionsResult.nextCoords;
-            nextCoords = { x: nextCoordsArray[0], y: nextCoordsArray[1] };
-            console.log(`MOVE SEQ: Moving to next regular space: (${nextCoords.x.toFixed(1)}, ${nextCoords.y.toFixed(1)})`);
-
-            await animateTokenToPosition(player, nextCoords, 500, async () => {
-                console.log(`MOVE SEQ: Step animation complete. Player now at:`, player.currentCoords);
-                
-                const landedSpaceDetails = findSpaceDetailsByCoords(player.currentCoords);
-                const landedSpaceType = landedSpaceDetails?.Type?.toLowerCase() || 'unknown';
-                
-                if (landedSpaceType === 'draw') {
-                    console.log(`MOVE SEQ: Landed on a 'Draw' space after step. Stopping sequence.`);
-                    onSequenceComplete({ reason: 'landed_on_draw', stepsTaken: 1 }); 
-                } else {
-                    await executeMoveSequence(player, stepsRemaining - 1, onSequenceComplete);
-                }
-            });
-            break;
-
-        default:
-            console.error(`MOVE SEQ: Unhandled optionsResult type: ${optionsResult.type}`);
-            onSequenceComplete({ reason: 'error_unknown_path_state', stepsTaken: 0 });
-            return;
-    }
-}
-
-function getCurrentPlayer() {
-    return getPlayerById(gameState.currentPlayerId);
-}
-
-function allPlayersFinished(players) {
-    return players.every(player => player.finished);
-}
-
-function highlightDeckRegions(pathColor, highlight) {
-    // This should be implemented in the UI module
-    if (window.ui && typeof window.ui.highlightDeckRegions === 'function') {
-        window.ui.highlightDeckRegions(pathColor, highlight);
-    }
-}
-
-function animateTokenToPosition(player, coords, duration, callback) {
-    // This should be implemented in the UI module
-    if (window.ui && typeof window.ui.animateTokenToPosition === 'function') {
-        window.ui.animateTokenToPosition(player, coords, duration, callback);
-    }
-}
-
 /**
  * Sets up the role selection phase and assigns random turn order
  * @returns {Object} Object containing success status and turn order
@@ -1748,17 +1192,17 @@ export function setupRoleSelectionPhase() {
     }
     
     // Log players
-    logMessage("Players in the game:");
+    emitMessage("Players in the game:");
     players.forEach(player => {
         const playerType = player.isHuman ? "Human" : "AI";
-        logMessage(`${player.name} (${playerType}) - ${player.role}`);
+        emitMessage(`${player.name} (${playerType}) - ${player.role}`);
     });
     
     // Create turn order
     const turnOrder = players.map(player => player.id);
     
     // Update the game state
-    gameState.currentPhase = 'ROLE_SELECTION';
+    gameState.gamePhase = GAME_PHASES.ROLE_SELECTION;
     gameState.currentPlayerId = turnOrder[0];
     gameState.players = players; // Add players to game state
     gameState.totalPlayerCount = players.length;
@@ -1778,8 +1222,7 @@ export function setupRoleSelectionPhase() {
     });
     
     // Update UI
-    updateGameControls();
-    updatePlayerInfo();
+    emit(GAME_EVENTS.PLAYERS_CHANGED);
     
     return { success: true, turnOrder, players }; // Return players array for initialization
 }
@@ -0,0 +1,178 @@
+/**
+ * Headless Module for Critocracy
+ * Lets the game modules run without a browser page: the DOM is replaced by inert stand-ins
+ * and timers run on a virtual clock, so CPU turns play out at full speed.
+ * Install the environment before importing any other game module.
+ */
+
+// ===== Inert DOM =====
+
+/**
+ * Build a stand-in that accepts any property read, write or call the UI code makes
+ * @returns {Proxy} An object that is also a no-op function
+ */
+const createInertNode = () => {
+    const store = {};
+    let node;
+    node = new Proxy(function inertNode() {}, {
+        get: (target, key) => {
+            if (key === 'then') return undefined; // never look like a promise
+            if (key === Symbol.toPrimitive) return () => 0;
+            if (key === Symbol.iterator) return function* () {};
+            if (key in store) return store[key];
+            return node;
+        },
+        set: (target, key, value) => {
+            store[key] = value;
+            return true;
+        },
+        apply: () => node
+    });
+    return node;
+};
+
+const createHeadlessDocument = () => {
+    const node = createInertNode();
+    return {
+        getElementById: () => createInertNode(),
+        querySelector: () => createInertNode(),
+        querySelectorAll: () => [],
+        getElementsByClassName: () => [],
+        createElement: () => createInertNode(),
+        addEventListener: () => {},
+        removeEventListener: () => {},
+        body: node,
+        head: node,
+        documentElement: node,
+        readyState: 'complete'
+    };
+};
+
+/**
+ * Build an image that reports itself loaded as soon as it is given a source
+ * @returns {Object} Image stand-in
+ */
+const createHeadlessImage = () => {
+    const image = { complete: false, width: 0, height: 0, onload: null, onerror: null };
+    let source = '';
+    Object.defineProperty(image, 'src', {
+        get: () => source,
+        set: (value) => {
+            source = value;
+            setTimeout(() => {
+                image.complete = true;
+                if (typeof image.onload === 'function') image.onload();
+            }, 0);
+        }
+    });
+    return image;
+};
+
+// ===== Virtual Clock =====
+
+const clock = {
+    now: 0,
+    nextId: 1,
+    timers: []
+};
+
+const scheduleTimer = (fn, ms, args, interval = null) => {
+    const id = clock.nextId++;
+    clock.timers.push({ id, at: clock.now + Math.max(0, Number(ms) || 0), fn, args, interval });
+    return id;
+};
+
+const cancelTimer = (id) => {
+    clock.timers = clock.timers.filter(timer => timer.id !== id);
+};
+
+/**
+ * Run the earliest pending timer
+ * @returns {boolean} False if nothing was pending
+ */
+const runNextTimer = () => {
+    if (clock.timers.length === 0) return false;
+
+    clock.timers.sort((a, b) => a.at - b.at || a.id - b.id);
+    const timer = clock.timers.shift();
+    clock.now = timer.at;
+    if (timer.interval !== null) {
+        clock.timers.push({ ...timer, at: clock.now + Math.max(1, timer.interval) });
+    }
+
+    try {
+        if (typeof timer.fn === 'function') timer.fn(...timer.args);
+    } catch (error) {
+        console.error('Headless timer failed:', error);
+    }
+    return true;
+};
+
+// ===== Public API =====
+
+let realDefer = null;
+
+/**
+ * Replace browser globals with headless stand-ins and a virtual clock
+ * @param {Object} [options] - {quiet: true to silence console.log/info/warn}
+ */
+export const installHeadlessEnvironment = ({ quiet = true } = {}) => {
+    if (realDefer) return;
+
+    const realSetTimeout = globalThis.setTimeout;
+    realDefer = typeof globalThis.setImmediate === 'function'
+        ? globalThis.setImmediate
+        : (fn) => realSetTimeout(fn, 0);
+
+    if (typeof globalThis.window === 'undefined') globalThis.window = globalThis;
+    globalThis.document = createHeadlessDocument();
+    globalThis.localStorage = { getItem: () => null, setItem: () => {}, removeItem: () => {} };
+    globalThis.sessionStorage = globalThis.localStorage;
+    if (typeof globalThis.location === 'undefined') globalThis.location = { search: '' };
+    globalThis.Audio = function Audio() { return createInertNode(); };
+    globalThis.Image = function Image() { return createHeadlessImage(); };
+    globalThis.addEventListener = () => {};
+    globalThis.alert = () => {};
+    globalThis.getComputedStyle = () => createInertNode();
+
+    globalThis.setTimeout = (fn, ms, ...args) => scheduleTimer(fn, ms, args);
+    globalThis.setInterval = (fn, ms, ...args) => scheduleTimer(fn, ms, args, Number(ms) || 0);
+    globalThis.clearTimeout = cancelTimer;
+    globalThis.clearInterval = cancelTimer;
+    globalThis.requestAnimationFrame = (fn) => scheduleTimer(fn, 16, [clock.now + 16]);
+    globalThis.cancelAnimationFrame = cancelTimer;
+
+    if (quiet) {
+        console.log = () => {};
+        console.info = () => {};
+        console.warn = () => {};
+        console.groupCollapsed = () => {};
+        console.groupEnd = () => {};
+    }
+};
+
+/**
+ * Advance the virtual clock until a condition holds, letting promises settle between timers
+ * @param {Function} isDone - Checked after every timer
+ * @param {number} [maxTimers=200000] - Give up after this many timers
+ * @returns {Promise<boolean>} True if the condition was met, false if the game stalled or ran too long
+ */
+export const runUntil = async (isDone, maxTimers = 200000) => {
+    for (let count = 0; count < maxTimers; count++) {
+        // A real macrotask lets every pending promise chain run before the next timer
+        await new Promise(resolve => realDefer(resolve));
+        if (isDone()) return true;
+        if (!runNextTimer()) {
+            await new Promise(resolve => realDefer(resolve));
+            return isDone();
+        }
+    }
+    return isDone();
+};
+
+/**
+ * Drop every pending timer, e.g. between simulated games
+ */
+export const resetVirtualClock = () => {
+    clock.timers = [];
+};
@@ -0,0 +1,320 @@
+/**
+ * Log Panel Module for Critocracy
+ * Browse, filter, search and export the game log
+ */
+
+// ===== Imports =====
+import { getPlayers, getPlayerById } from './players.js';
+import { getFilteredGameLog } from './logging.js';
+import { downloadTextFile } from './save.js';
+import { escapeHtml } from './ui.js';
+
+// ===== Module State =====
+const panelState = {
+    playerId: '',
+    type: '',
+    fromTurn: '',
+    toTurn: '',
+    search: '',
+    collapsedTurns: new Set()
+};
+
+// ===== Formatting =====
+
+/**
+ * Get the player an entry is about, if any
+ * @param {Object} entry - Game log entry
+ * @returns {string|null} Player ID
+ */
+const getEntryPlayerId = (entry) => entry.playerId || entry.data?.playerId || null;
+
+/**
+ * Get an entry's type as used by the type filter, e.g. 'EVENT:RESOURCE_CHANGE'
+ * @param {Object} entry - Game log entry
+ * @returns {string} Filter key
+ */
+const getEntryTypeKey = (entry) => entry.type === 'ACTION'
+    ? `ACTION:${entry.actionType}`
+    : `EVENT:${entry.eventType}`;
+
+/**
+ * Describe a log entry in one line of plain text
+ * @param {Object} entry - Game log entry
+ * @returns {string} Description
+ */
+const describeLogEntry = (entry) => {
+    const data = entry.data || {};
+    const playerId = getEntryPlayerId(entry);
+    const name = getPlayerById(playerId)?.name || data.metadata?.playerName || data.playerName || playerId || '';
+    const formatChanges = (changes = {}) => Object.entries(changes)
+        .map(([resource, amount]) => `${amount > 0 ? '+' : ''}${amount} ${resource}`)
+        .join(', ');
+
+    if (entry.type === 'ACTION') {
+        switch (entry.actionType) {
+            case 'MOVEMENT': return `${name} moved ${data.spaces} space(s)`;
+            case 'CARD_DRAW': return `${name} drew ${data.cardName} from the ${data.deckType} deck`;
+            default: return `${name}: ${entry.actionType.replace(/_/g, ' ').toLowerCase()}`;
+        }
+    }
+
+    switch (entry.eventType) {
+        case 'RESOURCE_CHANGE': {
+            const cause = data.metadata?.cardName ? `${data.metadata.cardName}, ` : '';
+            return `${name}: ${formatChanges(data.changes)} (${cause}${String(data.source).toLowerCase()})`;
+        }
+        case 'TURN_START': return `Turn ${data.turnNumber} starts for ${name}`;
+        case 'TURN_END': return `Turn ${data.turnNumber} ends for ${name}`;
+        default: {
+            const details = JSON.stringify(data);
+            return `${entry.eventType.replace(/_/g, ' ').toLowerCase()}${details === '{}' ? '' : ` ${details.slice(0, 120)}`}`;
+        }
+    }
+};
+
+/**
+ * Get the log entries that match the panel's current filters
+ * @returns {Array} Matching entries in log order
+ */
+const getVisibleEntries = () => {
+    const [kind, typeName] = panelState.type ? panelState.type.split(':') : [];
+    const entries = getFilteredGameLog({
+        playerId: panelState.playerId || undefined,
+        eventType: kind === 'EVENT' ? typeName : undefined,
+        actionType: kind === 'ACTION' ? typeName : undefined,
+        fromTurn: panelState.fromTurn === '' ? undefined : Number(panelState.fromTurn),
+        toTurn: panelState.toTurn === '' ? undefined : Number(panelState.toTurn)
+    });
+
+    const search = panelState.search.trim().toLowerCase();
+    if (!search) return entries;
+    return entries.filter(entry =>
+        describeLogEntry(entry).toLowerCase().includes(search) ||
+        getEntryTypeKey(entry).toLowerCase().includes(search)
+    );
+};
+
+// ===== Export =====
+
+/**
+ * Format entries as plain text, one line per entry
+ * @param {Array} entries - Log entries
+ * @returns {string} Text log
+ */
+export const formatLogAsText = (entries) => entries.map(entry =>
+    `[Turn ${entry.turn}] ${new Date(entry.timestamp).toLocaleTimeString()} ${getEntryTypeKey(entry)}: ${describeLogEntry(entry)}`
+).join('\n');
+
+/**
+ * Format entries as CSV with a header row. Cells that a spreadsheet would read as a formula
+ * (starting with =, +, - or @) are prefixed with an apostrophe so they open as text.
+ * @param {Array} entries - Log entries
+ * @returns {string} CSV text
+ */
+export const formatLogAsCsv = (entries) => {
+    const escape = (value) => {
+        const text = String(value ?? '');
+        const safeText = /^[=+\-@]/.test(text) ? `'${text}` : text;
+        return `"${safeText.replace(/"/g, '""')}"`;
+    };
+    const rows = entries.map(entry => [
+        entry.turn,
+        new Date(entry.timestamp).toISOString(),
+        entry.type,
+        entry.type === 'ACTION' ? entry.actionType : entry.eventType,
+        getPlayerById(getEntryPlayerId(entry))?.name || getEntryPlayerId(entry) || '',
+        describeLogEntry(entry),
+        JSON.stringify(entry.data || {})
+    ].map(escape).join(','));
+
+    return [['turn', 'time', 'kind', 'type', 'player', 'description', 'data'].join(','), ...rows].join('\n');
+};
+
+/**
+ * Download the filtered view as a text or CSV file
+ * @param {string} format - 'txt' or 'csv'
+ */
+const exportVisibleLog = (format) => {
+    const entries = getVisibleEntries();
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    if (format === 'csv') {
+        downloadTextFile(`critocracy-log-${stamp}.csv`, formatLogAsCsv(entries), 'text/csv');
+    } else {
+        downloadTextFile(`critocracy-log-${stamp}.txt`, formatLogAsText(entries));
+    }
+};
+
+// ===== Rendering =====
+
+/**
+ * Redraw the entry list, grouped into collapsible turns
+ */
+const renderEntries = () => {
+    const list = document.getElementById('log-panel-entries');
+    if (!list) return;
+
+    const entries = getVisibleEntries();
+    const turns = new Map();
+    entries.forEach(entry => {
+        if (!turns.has(entry.turn)) turns.set(entry.turn, []);
+        turns.get(entry.turn).push(entry);
+    });
+
+    document.getElementById('log-panel-count').textContent = `${entries.length} entries`;
+    list.innerHTML = turns.size === 0 ? '<p>No log entries match.</p>' : [...turns.entries()].map(([turn, turnEntries]) => `
+        <details class="log-panel-turn" data-turn="${turn}" ${panelState.collapsedTurns.has(turn) ? '' : 'open'}>
+            <summary>Turn ${turn} (${turnEntries.length})</summary>
+            <ul>
+                ${turnEntries.map(entry => `
+                    <li class="log-entry-${escapeHtml(entry.type.toLowerCase())}">
+                        <span class="log-entry-type">${escapeHtml(entry.type === 'ACTION' ? entry.actionType : entry.eventType)}</span>
+                        ${escapeHtml(describeLogEntry(entry))}
+                    </li>
+                `).join('')}
+            </ul>
+        </details>
+    `).join('');
+
+    // Remember which turns the player folded away between redraws
+    list.querySelectorAll('.log-panel-turn').forEach(section => {
+        section.addEventListener('toggle', () => {
+            const turn = Number(section.dataset.turn);
+            if (section.open) panelState.collapsedTurns.delete(turn);
+            else panelState.collapsedTurns.add(turn);
+        });
+    });
+};
+
+/**
+ * Open the log panel
+ */
+export const showLogPanel = () => {
+    let panel = document.getElementById('log-panel');
+    if (!panel) {
+        panel = document.createElement('div');
+        panel.id = 'log-panel';
+        document.body.appendChild(panel);
+    }
+
+    if (!document.getElementById('log-panel-styles')) {
+        addLogPanelStyles();
+    }
+
+    const allEntries = getFilteredGameLog();
+    const typeKeys = [...new Set(allEntries.map(getEntryTypeKey))].sort();
+    const playerOptions = getPlayers().map(player =>
+        `<option value="${escapeHtml(player.id)}" ${player.id === panelState.playerId ? 'selected' : ''}>${escapeHtml(player.name)}</option>`
+    ).join('');
+    const typeOptions = typeKeys.map(key =>
+        `<option value="${escapeHtml(key)}" ${key === panelState.type ? 'selected' : ''}>${escapeHtml(key.replace(':', ': '))}</option>`
+    ).join('');
+
+    panel.innerHTML = `
+        <div class="log-panel-header">
+            <h3>Game Log</h3>
+            <span id="log-panel-count"></span>
+            <button id="log-panel-close-btn">Close</button>
+        </div>
+        <div class="log-panel-filters">
+            <select id="log-filter-player"><option value="">All players</option>${playerOptions}</select>
+            <select id="log-filter-type"><option value="">All types</option>${typeOptions}</select>
+            <label>Turns <input type="number" id="log-filter-from" min="0" value="${panelState.fromTurn}" placeholder="from">
+                - <input type="number" id="log-filter-to" min="0" value="${panelState.toTurn}" placeholder="to"></label>
+            <input type="search" id="log-filter-search" value="${escapeHtml(panelState.search)}" placeholder="Search">
+            <button id="log-export-txt-btn">Export Text</button>
+            <button id="log-export-csv-btn">Export CSV</button>
+        </div>
+        <div id="log-panel-entries"></div>
+    `;
+
+    const bindFilter = (id, key) => {
+        document.getElementById(id).addEventListener('input', (e) => {
+            panelState[key] = e.target.value;
+            renderEntries();
+        });
+    };
+    bindFilter('log-filter-player', 'playerId');
+    bindFilter('log-filter-type', 'type');
+    bindFilter('log-filter-from', 'fromTurn');
+    bindFilter('log-filter-to', 'toTurn');
+    bindFilter('log-filter-search', 'search');
+
+    document.getElementById('log-export-txt-btn').onclick = () => exportVisibleLog('txt');
+    document.getElementById('log-export-csv-btn').onclick = () => exportVisibleLog('csv');
+    document.getElementById('log-panel-close-btn').onclick = hideLogPanel;
+
+    renderEntries();
+    panel.style.display = 'flex';
+};
+
+/**
+ * Close the log panel
+ */
+export const hideLogPanel = () => {
+    const panel = document.getElementById('log-panel');
+    if (panel) panel.style.display = 'none';
+};
+
+const addLogPanelStyles = () => {
+    const styles = document.createElement('style');
+    styles.id = 'log-panel-styles';
+    styles.textContent = `
+        #log-panel {
+            position: fixed;
+            top: 5vh;
+            left: 50%;
+            transform: translateX(-50%);
+            display: none;
+            flex-direction: column;
+            gap: 8px;
+            width: min(860px, 95vw);
+            height: 85vh;
+            padding: 12px 16px;
+            background-color: rgba(20, 20, 30, 0.95);
+            color: white;
+            border-radius: 10px;
+            z-index: 1600;
+        }
+
+        #log-panel .log-panel-header,
+        #log-panel .log-panel-filters {
+            display: flex;
+            flex-wrap: wrap;
+            align-items: center;
+            gap: 8px;
+        }
+
+        #log-panel .log-panel-header h3 {
+            margin: 0;
+            flex-grow: 1;
+        }
+
+        #log-panel input[type="number"] {
+            width: 60px;
+        }
+
+        #log-panel-entries {
+            flex-grow: 1;
+            overflow-y: auto;
+            font-size: 12px;
+        }
+
+        #log-panel .log-panel-turn summary {
+            cursor: pointer;
+            font-weight: bold;
+        }
+
+        #log-panel .log-panel-turn ul {
+            margin: 4px 0 8px;
+            padding-left: 18px;
+        }
+
+        #log-panel .log-entry-type {
+            display: inline-block;
+            min-width: 150px;
+            opacity: 0.6;
+            font-family: monospace;
+        }
+    `;
+    document.head.appendChild(styles);
+};
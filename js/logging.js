@@ -7,6 +7,7 @@
 const gameLog = [];
 const resourceLog = {};
 const eventLog = [];
+let currentTurn = 0; // Set by logTurnStart, stamped on every entry
 
 /**
  * Initialize the logging system
@@ -19,6 +20,7 @@ export const initLogging = (players) => {
     gameLog.length = 0;
     Object.keys(resourceLog).forEach(key => delete resourceLog[key]);
     eventLog.length = 0;
+    currentTurn = 0;
     
     // Setup initial resource tracking for each player
     players.forEach(player => {
@@ -169,6 +171,7 @@ export const logCardDraw = (playerId, card, deckType) => {
  * @param {number} turnNumber - The turn number
  */
 export const logTurnStart = (playerId, turnNumber) => {
+    currentTurn = turnNumber;
     logGameEvent('TURN_START', {
         playerId,
         turnNumber
@@ -282,6 +285,51 @@ export const getFilteredGameLog = (filters = {}) => {
     return filtered;
 };
 
+// Log entries that count as status changes in a turn summary
+const STATUS_ACTIONS = ['SKIP_TURN_SET', 'TURN_SKIPPED', 'IMMUNITY_GRANTED', 'TRADE_BLOCKED', 'PLAYER_FINISHED', 'KEPT_CARD_PLAYED'];
+const STATUS_EVENTS = ['ALLIANCE_FORMED', 'ALLIANCE_ENDED', 'DECK_RESHUFFLED'];
+
+/**
+ * Collect everything that happened during one turn
+ * @param {string} playerId - ID of the player whose turn it was
+ * @param {number} turnNumber - The turn number
+ * @returns {Object} {playerId, turnNumber, spacesMoved, moves, cards, resourceChanges, statusChanges}
+ */
+export const getTurnSummary = (playerId, turnNumber) => {
+    const entries = gameLog.filter(entry => entry.turn === turnNumber);
+    const summary = {
+        playerId,
+        turnNumber,
+        spacesMoved: 0,
+        moves: [],
+        cards: [],
+        resourceChanges: [],
+        statusChanges: []
+    };
+
+    entries.forEach(entry => {
+        if (entry.type === 'ACTION' && entry.actionType === 'MOVEMENT') {
+            summary.moves.push({ playerId: entry.playerId, ...entry.data });
+            if (entry.playerId === playerId) summary.spacesMoved += entry.data.spaces || 0;
+        } else if (entry.type === 'ACTION' && entry.actionType === 'CARD_DRAW') {
+            summary.cards.push({ playerId: entry.playerId, cardName: entry.data.cardName, deckType: entry.data.deckType });
+        } else if (entry.type === 'EVENT' && entry.eventType === 'RESOURCE_CHANGE') {
+            summary.resourceChanges.push({
+                playerId: entry.data.playerId,
+                changes: entry.data.changes,
+                source: entry.data.source,
+                cardName: entry.data.metadata?.cardName || null
+            });
+        } else if (entry.type === 'ACTION' && STATUS_ACTIONS.includes(entry.actionType)) {
+            summary.statusChanges.push({ playerId: entry.playerId, type: entry.actionType, data: entry.data });
+        } else if (entry.type === 'EVENT' && STATUS_EVENTS.includes(entry.eventType)) {
+            summary.statusChanges.push({ playerId: entry.data.playerId || null, type: entry.eventType, data: entry.data });
+        }
+    });
+
+    return summary;
+};
+
 /**
  * Clear all logs
  */
@@ -339,16 +387,10 @@ export const importLogs = (logData) => {
 // ===== Helper Functions =====
 
 /**
- * Get the current turn from the game module
- * This is a placeholder - the actual implementation would need to 
- * reference the game state module to get the current turn
+ * Get the turn the game is on, as last reported by logTurnStart
+ * @returns {number} The current turn number
  */
-const getCurrentTurn = () => {
-    // This should be implemented to get the actual current turn
-    // from the game state module
-    const gameState = window.gameState || { currentTurn: 0 };
-    return gameState.currentTurn || 0;
-};
+const getCurrentTurn = () => currentTurn;
 
 /**
  * Format resource changes for readable console output
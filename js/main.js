@@ -12,7 +12,10 @@ import {
     handleCardAnimationEnd,
     handleBoardClick,
     validatePlayerCounts,
-    logMessage
+    logMessage,
+    showSaveGameDialog,
+    showLoadGameDialog,
+    handleGameFileSelected
 } from './ui.js';
 
 import { 
@@ -22,9 +25,9 @@ import {
 import * as gameModule from './game.js';
 
 import './animations.js'; // Import animations module
-
-// Expose game module to window for cross-module access
-window.game = gameModule;
+import { handleReplayFileSelected } from './replay.js';
+import { showStatsPanel } from './stats.js';
+import { showLogPanel } from './log-panel.js';
 
 // Global event handler map
 const eventHandlers = {
@@ -34,20 +37,27 @@ const eventHandlers = {
             setupPlayerCountUI();
             showScreen('player-count-screen');
         },
+        'load-game-btn': () => showLoadGameDialog(),
+        'save-game-btn': () => showSaveGameDialog(),
+        'load-game-file-btn': () => document.getElementById('load-game-file-input').click(),
+        'download-game-btn': () => gameModule.downloadCurrentGame(),
+        'stats-btn': () => showStatsPanel(),
+        'log-panel-btn': () => showLogPanel(),
+        'watch-replay-btn': () => document.getElementById('replay-file-input').click(),
         'role-confirm': () => gameModule.handleRoleConfirmation(),
         'roll-dice-btn': () => gameModule.handleDiceRoll(),
         'end-turn-btn': () => gameModule.handleEndTurn(),
         'use-ability-btn': () => gameModule.handleAbilityUse(),
         'close-card-btn': () => hideCard(),
         'new-game-btn': () => gameModule.handleNewGame(),
-        'trade-accept-btn': () => gameModule.handleTradeResponse(true),
-        'trade-reject-btn': () => gameModule.handleTradeResponse(false),
         'cancel-target-btn': () => hideTargetSelection(),
         'board-canvas': (e) => handleBoardClick(e)
     },
     'change': {
         'total-player-count': (e) => validatePlayerCounts(e),
-        'human-player-count': (e) => validatePlayerCounts(e)
+        'human-player-count': (e) => validatePlayerCounts(e),
+        'load-game-file-input': (e) => handleGameFileSelected(e),
+        'replay-file-input': (e) => handleReplayFileSelected(e)
     },
     'resize': {
         'window': () => {
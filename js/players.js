@@ -2,8 +2,9 @@
 // Manages player state, roles, resources, and actions.
 
 import { START_SPACE } from './board-data.js';
-import { updatePlayerInfo, logMessage, promptTargetSelection } from './ui.js';
 import { logResourceChange, logPlayerAction } from './logging.js';
+import { pickRandom } from './rng.js';
+import { GAME_EVENTS, emit, emitMessage } from './events.js';
 
 // ===== Player Constants =====
 export const PLAYER_ROLES = {
@@ -122,6 +123,7 @@ export const createPlayer = (name, role, isHuman = false) => {
         currentCoords: { ...startCoords }, // Add this for animations.js compatibility
         resources: { ...PLAYER_ROLES[role].startingResources },
         finished: false,
+        finishPosition: null, // 1 for the first player to reach the Finish, and so on
         skipTurns: 0, // Use number for multiple skips
         cards: [],
         items: [],
@@ -130,7 +132,8 @@ export const createPlayer = (name, role, isHuman = false) => {
         tradeBlockedTurns: 0, 
         forcePathChange: false, 
         currentAlliancePartnerId: null,
-        abilityUsed: false
+        abilityUsed: false,
+        usedSabotageImmunity: false
     };
     
     console.log(`Created player ${player.name} (${player.role}), Human: ${player.isHuman}, starting at (${player.coords.x},${player.coords.y})`);
@@ -191,8 +194,7 @@ export const updatePlayerResources = (playerId, changes, source = 'UNKNOWN', met
             }
         );
         
-        // Update UI
-        updatePlayerInfo();
+        emit(GAME_EVENTS.RESOURCES_CHANGED, { player, changes: actualChanges, source, metadata });
     }
 };
 
@@ -202,14 +204,16 @@ export const updatePlayerResources = (playerId, changes, source = 'UNKNOWN', met
  */
 export const markPlayerFinished = (playerId) => {
     const player = getPlayerById(playerId);
-    if (!player) return;
+    if (!player || player.finished) return;
     console.log(`Marking player ${player.name} as finished.`);
     player.finished = true;
+    player.finishPosition = players.filter(p => p.finished).length;
     
     // Log player finished game
     logPlayerAction(playerId, 'PLAYER_FINISHED', {
         playerName: player.name,
         playerRole: player.role,
+        finishPosition: player.finishPosition,
         resources: { ...player.resources }
     });
 };
@@ -227,14 +231,15 @@ export const allPlayersFinished = () => {
  * @param {string} playerId - ID of the player.
  * @param {number} [turns=1] - Number of turns to skip.
  * @param {string} [source='UNKNOWN'] - Source of the skip turn effect.
+ * @returns {boolean} True if the skip was set, false if the player is immune.
  */
 export const setPlayerSkipTurn = (playerId, turns = 1, source = 'UNKNOWN') => {
     const player = getPlayerById(playerId);
     if (player) {
         // Skip "skip turn" for Entrepreneurs
-        if (player.role === 'ENTREPRENEUR' && !player.abilityUsed) {
+        if (PLAYER_ROLES[player.role]?.abilityIdentifier === 'skipTurnImmunity') {
             console.log(`Player ${player.name} (Entrepreneur) is immune to skip turn effects.`);
-            return;
+            return false;
         }
         
         player.skipTurns = Math.max(0, turns); // Ensure non-negative
@@ -247,31 +252,70 @@ export const setPlayerSkipTurn = (playerId, turns = 1, source = 'UNKNOWN') => {
             playerName: player.name,
             playerRole: player.role
         });
+        return true;
     }
+    return false;
 };
 
 /**
  * Calculates the score for a single player (sum of resources).
  */
 export const getPlayerScore = (player) => {
-    // Placeholder scoring logic
-    let score = 0;
-    if (player.finished) score += 100; // Bonus for finishing
-    // Add points for resources, cards, etc. later
-    // score += Object.values(player.resources).reduce((sum, val) => sum + val, 0);
-    return score;
+    return RESOURCES.reduce((sum, resource) => sum + (player.resources[resource] || 0), 0);
 };
 
 /**
- * Calculates the final player rankings based on score and elimination.
+ * Resolves the end of the game: eliminations, ranking and draws.
+ * Players with zero in any resource are eliminated, but only once everyone has finished.
+ * The highest total among the remaining players wins; equal top totals are a draw.
+ * @returns {Object} { standings, winners, isDraw, everyoneFinished }, standings ordered best first
  */
-export const getPlayerRanking = () => {
-    // Simple ranking: finished players first, then by name (for tie-breaking)
-    return [...players].sort((a, b) => {
-        if (a.finished && !b.finished) return -1;
-        if (!a.finished && b.finished) return 1;
-        return a.name.localeCompare(b.name); // Alphabetical for ties/unfinished
+export const resolveFinalStandings = () => {
+    const everyoneFinished = allPlayersFinished();
+
+    const entries = players.map(player => {
+        const emptyResources = RESOURCES.filter(resource => (player.resources[resource] || 0) <= 0);
+        const eliminated = everyoneFinished && emptyResources.length > 0;
+        return {
+            id: player.id,
+            name: player.name,
+            role: player.role,
+            resources: { ...player.resources },
+            total: getPlayerScore(player),
+            finished: player.finished,
+            finishPosition: player.finishPosition,
+            eliminated,
+            eliminationReason: eliminated ? `No ${emptyResources.join(' or ')} left` : null,
+            rank: null,
+            tied: false
+        };
+    });
+
+    // Remaining players by total, then eliminated players; finishing order only breaks display order
+    const byFinish = (a, b) => (a.finishPosition ?? Infinity) - (b.finishPosition ?? Infinity);
+    const standings = [
+        ...entries.filter(e => !e.eliminated).sort((a, b) => b.total - a.total || byFinish(a, b)),
+        ...entries.filter(e => e.eliminated).sort((a, b) => b.total - a.total || byFinish(a, b))
+    ];
+
+    // Equal totals share a rank
+    standings.forEach((entry, index) => {
+        const previous = standings[index - 1];
+        const sharesRank = previous && previous.eliminated === entry.eliminated && previous.total === entry.total;
+        entry.rank = sharesRank ? previous.rank : index + 1;
+        if (sharesRank) {
+            previous.tied = true;
+            entry.tied = true;
+        }
     });
+
+    const winners = standings.filter(entry => !entry.eliminated && entry.rank === 1);
+    return {
+        standings,
+        winners,
+        isDraw: winners.length > 1,
+        everyoneFinished
+    };
 };
 
 /**
@@ -294,8 +338,7 @@ export const getRandomOtherPlayer = (currentPlayer) => {
     if (otherPlayers.length === 0) {
         return null; // No other players in the game
     }
-    const randomIndex = Math.floor(Math.random() * otherPlayers.length);
-    return otherPlayers[randomIndex];
+    return pickRandom(otherPlayers);
 };
 
 /**
@@ -311,9 +354,10 @@ export const hasTemporaryImmunity = (playerId) => {
 /**
  * Uses a player's special ability.
  * @param {string} playerId - ID of the player.
+ * @param {Object} [target] - Player to aim at, for abilities that target another player (the Revolutionary's).
  * @returns {boolean} - True if ability was successfully used.
  */
-export const useSpecialAbility = (playerId) => {
+export const useSpecialAbility = (playerId, target = null) => {
     const player = getPlayerById(playerId);
     if (!player) return false;
     
@@ -321,7 +365,7 @@ export const useSpecialAbility = (playerId) => {
     
     // Check if player has already used their ability
     if (player.abilityUsed) {
-        logMessage(`${player.name} has already used their special ability.`);
+        emitMessage(`${player.name} has already used their special ability.`);
         console.log(`${player.name} has already used their special ability.`);
         return false;
     }
@@ -347,60 +391,28 @@ export const useSpecialAbility = (playerId) => {
             updatePlayerResources(player.id, { knowledge: 5 });
             player.abilityUsed = true;
             console.log(`${player.name} used ability: ${abilityDescription}`);
-            logMessage(`${player.name} used special ability: Gained 5 Knowledge!`);
+            emitMessage(`${player.name} used special ability: Gained 5 Knowledge!`);
             return true;
             
-        case 'sabotageImmunity': { // REVOLUTIONARY
-            // Already passive for one sabotage, can be used to sabotage another player
-            // Display a target selection UI for the player
-            const possibleTargets = getPlayers().filter(p => p.id !== player.id);
-            if (possibleTargets.length === 0) {
-                logMessage(`No other players to target with revolutionary tactics.`);
+        case 'sabotageImmunity': // REVOLUTIONARY
+            // Already passive for one sabotage, can be used to sabotage another player.
+            // The caller picks the target (humans choose, CPUs are chosen for)
+            if (!target || target.id === player.id) {
+                emitMessage(`No other players to target with revolutionary tactics.`);
                 return false;
             }
-            
-            // For human players, show target selection
-            if (player.isHuman) {
-                const handleTargetSelection = (targetPlayer) => {
-                    if (targetPlayer) {
-                        // Apply the effect to the chosen target
-                        updatePlayerResources(targetPlayer.id, { influence: -5 });
-                        player.abilityUsed = true;
-                        console.log(`${player.name} used revolutionary tactics against ${targetPlayer.name}`);
-                        logMessage(`${player.name} used revolutionary tactics against ${targetPlayer.name}: -5 Influence to target!`);
-                        updatePlayerInfo();
-                    } else {
-                        // User canceled, don't mark ability as used
-                        logMessage(`${player.name} canceled using revolutionary tactics.`);
-                    }
-                };
-                
-                promptTargetSelection(
-                    player, 
-                    possibleTargets, 
-                    "Choose a player to reduce their Influence by 5:",
-                    handleTargetSelection
-                );
-                // Return true to indicate successful ability use, but don't mark as used yet
-                // The callback will handle that when selection is made
-                return true;
-            } else {
-                // For AI, just target the first player
-                const target = possibleTargets[0];
-                updatePlayerResources(target.id, { influence: -5 });
-                player.abilityUsed = true;
-                console.log(`AI ${player.name} used ability: revolutionary tactics targeting ${target.name}`);
-                logMessage(`${player.name} used revolutionary tactics against ${target.name}: -5 Influence to target!`);
-                return true;
-            }
-        }
+            updatePlayerResources(target.id, { influence: -5 });
+            player.abilityUsed = true;
+            console.log(`${player.name} used ability: revolutionary tactics targeting ${target.name}`);
+            emitMessage(`${player.name} used revolutionary tactics against ${target.name}: -5 Influence to target!`);
+            return true;
             
         case 'influenceTheftImmunity': // COLONIALIST
             // Already passive, but can be used to gain influence
             updatePlayerResources(player.id, { influence: 5 });
             player.abilityUsed = true;
             console.log(`${player.name} used ability: ${abilityDescription}`);
-            logMessage(`${player.name} used colonial governance: Gained 5 Influence!`);
+            emitMessage(`${player.name} used colonial governance: Gained 5 Influence!`);
             return true;
             
         case 'skipTurnImmunity': // ENTREPRENEUR
@@ -408,7 +420,7 @@ export const useSpecialAbility = (playerId) => {
             updatePlayerResources(player.id, { money: 5 });
             player.abilityUsed = true;
             console.log(`${player.name} used ability: ${abilityDescription}`);
-            logMessage(`${player.name} used entrepreneurial ventures: Gained 5 Money!`);
+            emitMessage(`${player.name} used entrepreneurial ventures: Gained 5 Money!`);
             return true;
             
         case 'moneyTheftImmunity': // POLITICIAN
@@ -416,7 +428,7 @@ export const useSpecialAbility = (playerId) => {
             updatePlayerResources(player.id, { influence: 5 });
             player.abilityUsed = true;
             console.log(`${player.name} used ability: ${abilityDescription}`);
-            logMessage(`${player.name} used political maneuvering: Gained 5 Influence!`);
+            emitMessage(`${player.name} used political maneuvering: Gained 5 Influence!`);
             return true;
             
         case 'pathChangeImmunity': // ARTIST
@@ -424,7 +436,7 @@ export const useSpecialAbility = (playerId) => {
             updatePlayerResources(player.id, { knowledge: 5 });
             player.abilityUsed = true;
             console.log(`${player.name} used ability: ${abilityDescription}`);
-            logMessage(`${player.name} used artistic innovation: Gained 5 Knowledge!`);
+            emitMessage(`${player.name} used artistic innovation: Gained 5 Knowledge!`);
             return true;
             
         default:
@@ -443,6 +455,10 @@ export const grantTemporaryImmunity = (playerId, turns = 1) => {
     if (player) {
         player.temporaryImmunityTurns = Math.max(player.temporaryImmunityTurns, turns);
         console.log(`${player.name} granted immunity for ${turns} turn(s). Total: ${player.temporaryImmunityTurns}`);
+        logPlayerAction(playerId, 'IMMUNITY_GRANTED', {
+            turns: player.temporaryImmunityTurns,
+            playerName: player.name
+        });
     }
 };
 
@@ -468,6 +484,10 @@ export const blockTrade = (playerId, turns = 1) => {
     if (player) {
         player.tradeBlockedTurns = Math.max(player.tradeBlockedTurns, turns);
         console.log(`${player.name} trade blocked for ${turns} turn(s). Total: ${player.tradeBlockedTurns}`);
+        logPlayerAction(playerId, 'TRADE_BLOCKED', {
+            turns: player.tradeBlockedTurns,
+            playerName: player.name
+        });
     }
 };
 
@@ -493,6 +513,32 @@ export const decrementTradeBlockTurns = () => {
     });
 };
 
+/**
+ * Adds a kept card (trade or alliance) to a player's hand.
+ * @param {string} playerId - ID of the player.
+ * @param {object} card - The card to keep.
+ * @returns {boolean} - True if the card was added.
+ */
+export const addCardToHand = (playerId, card) => {
+    const player = getPlayerById(playerId);
+    if (!player || !card) return false;
+    player.cards.push(card);
+    console.log(`${player.name} keeps ${card.name}. Hand size: ${player.cards.length}`);
+    return true;
+};
+
+/**
+ * Takes a card out of a player's hand.
+ * @param {string} playerId - ID of the player.
+ * @param {number} cardIndex - Position of the card in the hand.
+ * @returns {object|null} - The removed card or null if there is none at that position.
+ */
+export const removeCardFromHand = (playerId, cardIndex) => {
+    const player = getPlayerById(playerId);
+    if (!player || !player.cards[cardIndex]) return null;
+    return player.cards.splice(cardIndex, 1)[0];
+};
+
 /**
  * Sets or clears the forcePathChange flag for a player.
  * @param {string} playerId - ID of the player.
@@ -515,6 +561,54 @@ export const getPlayerById = (playerId) => {
     return players.find(p => p.id === playerId) || null;
 };
 
+// ===== Persistence =====
+
+/**
+ * Creates a serializable copy of every player for saving.
+ * @returns {Array<Object>} Deep copies of the player objects
+ */
+export const exportPlayerState = () => {
+    return JSON.parse(JSON.stringify(players));
+};
+
+/**
+ * Replaces the current players with previously saved player objects.
+ * Missing counters are filled in so older saves still restore cleanly.
+ * @param {Array<Object>} savedPlayers - Player objects from exportPlayerState
+ * @returns {boolean} True if the players were restored
+ */
+export const importPlayerState = (savedPlayers) => {
+    if (!Array.isArray(savedPlayers) || savedPlayers.length === 0) {
+        console.error("importPlayerState: No saved players to restore.");
+        return false;
+    }
+
+    const invalidPlayer = savedPlayers.find(p => !p || !p.id || !PLAYER_ROLES[p.role]);
+    if (invalidPlayer) {
+        console.error("importPlayerState: Invalid saved player:", invalidPlayer);
+        return false;
+    }
+
+    players = savedPlayers.map(saved => ({
+        ...saved,
+        coords: { ...saved.coords },
+        currentCoords: { ...(saved.currentCoords || saved.coords) },
+        resources: { ...saved.resources },
+        finishPosition: saved.finishPosition ?? null,
+        skipTurns: saved.skipTurns || 0,
+        cards: saved.cards || [],
+        items: saved.items || [],
+        alliances: saved.alliances || [],
+        temporaryImmunityTurns: saved.temporaryImmunityTurns || 0,
+        tradeBlockedTurns: saved.tradeBlockedTurns || 0,
+        abilityUsed: !!saved.abilityUsed,
+        usedSabotageImmunity: !!saved.usedSabotageImmunity
+    }));
+
+    console.log(`Restored ${players.length} players from save.`);
+    return true;
+};
+
 /**
  * Check if a player is immune to a particular type of resource theft
  * @param {object} player - The player to check
@@ -526,7 +620,7 @@ export function isImmuneToTheft(player, resourceType) {
     
     // Check role-specific immunities
     switch (player.role) {
-        case 'Politician':
+        case 'POLITICIAN':
             // Politician is immune to money theft
             if (resourceType.toLowerCase() === 'money') {
                 console.log(`${player.name} is immune to money theft as a Politician`);
@@ -534,7 +628,7 @@ export function isImmuneToTheft(player, resourceType) {
             }
             break;
             
-        case 'Historian':
+        case 'HISTORIAN':
             // Historian is immune to knowledge theft
             if (resourceType.toLowerCase() === 'knowledge') {
                 console.log(`${player.name} is immune to knowledge theft as a Historian`);
@@ -542,7 +636,7 @@ export function isImmuneToTheft(player, resourceType) {
             }
             break;
             
-        case 'Colonialist':
+        case 'COLONIALIST':
             // Colonialist is immune to influence theft
             if (resourceType.toLowerCase() === 'influence') {
                 console.log(`${player.name} is immune to influence theft as a Colonialist`);
@@ -563,7 +657,7 @@ export function isImmuneToSabotage(player) {
     if (!player) return false;
     
     // Check if player is a Revolutionary and has not used their sabotage immunity
-    if (player.role === 'Revolutionary' && !player.usedSabotageImmunity) {
+    if (PLAYER_ROLES[player.role]?.abilityIdentifier === 'sabotageImmunity' && !player.usedSabotageImmunity) {
         // Mark the immunity as used
         player.usedSabotageImmunity = true;
         console.log(`${player.name} used their Revolutionary ability to ignore sabotage`);
@@ -573,6 +667,18 @@ export function isImmuneToSabotage(player) {
     return false;
 }
 
+/**
+ * Check if a player is protected from an attacker by the opposing-role rule
+ * (each role is immune to any attack from the role it opposes)
+ * @param {object} target - The player being attacked
+ * @param {object} attacker - The player attacking
+ * @returns {boolean} - True if the target is immune to this attacker
+ */
+export function isImmuneToOpposingRole(target, attacker) {
+    if (!target || !attacker) return false;
+    return PLAYER_ROLES[target.role]?.opposingRole === attacker.role;
+}
+
 /**
  * Check if a player can be forced to change paths
  * @param {object} player - The player to check
@@ -582,7 +688,7 @@ export function canBeForcePathChange(player) {
     if (!player) return true;
     
     // Artist cannot be forced to change paths
-    if (player.role === 'Artist') {
+    if (PLAYER_ROLES[player.role]?.abilityIdentifier === 'pathChangeImmunity') {
         console.log(`${player.name} cannot be forced to change paths as an Artist`);
         return false;
     }
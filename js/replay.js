@@ -0,0 +1,397 @@
+/**
+ * Replay Module for Critocracy
+ * Steps through an exported event log turn by turn on the board
+ */
+
+// ===== Imports =====
+import { PURPLE_CARDS, BLUE_CARDS, CYAN_CARDS, PINK_CARDS } from '../assets/Cards/Specialeventcards.js';
+import formattedEndOfTurnCards from '../assets/Cards/Endofturncards.js';
+import { START_SPACE } from './board-data.js';
+import { PLAYER_ROLES } from './players.js';
+import { drawBoard, managePlayerTokens, animateTokenToPosition, scaleCoordinates } from './board.js';
+import {
+    showScreen, showCardPopup, hideCard, logMessage,
+    showReplayControls, updateReplayControls, hideReplayControls
+} from './ui.js';
+import { parseGameFile } from './save.js';
+
+// ===== Constants =====
+const BASE_STEP_DELAY = 800;
+const BASE_CARD_DISPLAY = 1800;
+
+// Lookup for card descriptions, which the log does not store
+const CARDS_BY_NAME = new Map(
+    [...PURPLE_CARDS, ...BLUE_CARDS, ...CYAN_CARDS, ...PINK_CARDS, ...formattedEndOfTurnCards]
+        .map(card => [card.name, card])
+);
+
+// ===== Module State =====
+const replayState = {
+    active: false,
+    players: [],
+    initialResources: {},
+    turns: [],
+    turnIndex: 0,
+    playing: false,
+    playbackRun: 0,
+    busy: false,
+    speed: 1
+};
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise} Resolves after the wait
+ */
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// ===== Building the Replay =====
+
+/**
+ * Turn log entries into replay frames grouped by turn
+ * @param {Array} gameLog - The combined game log from exportLogs
+ * @returns {Array} Turns: [{turnNumber, playerId, frames}]
+ */
+export const buildReplayTurns = (gameLog = []) => {
+    const turns = [];
+    let currentTurn = { turnNumber: 0, playerId: null, frames: [] };
+
+    gameLog.forEach(entry => {
+        if (entry.type === 'EVENT' && entry.eventType === 'TURN_START') {
+            if (currentTurn.frames.length > 0 || currentTurn.playerId) {
+                turns.push(currentTurn);
+            }
+            currentTurn = { turnNumber: entry.data.turnNumber, playerId: entry.data.playerId, frames: [] };
+        } else if (entry.type === 'ACTION' && entry.actionType === 'MOVEMENT') {
+            currentTurn.frames.push({ kind: 'move', playerId: entry.playerId, toCoords: entry.data.toCoords });
+        } else if (entry.type === 'ACTION' && entry.actionType === 'CARD_DRAW') {
+            currentTurn.frames.push({
+                kind: 'card',
+                playerId: entry.playerId,
+                cardName: entry.data.cardName,
+                deckType: entry.data.deckType,
+                cardEffects: entry.data.cardEffects
+            });
+        } else if (entry.type === 'EVENT' && entry.eventType === 'RESOURCE_CHANGE') {
+            currentTurn.frames.push({
+                kind: 'resources',
+                playerId: entry.data.playerId,
+                current: entry.data.current
+            });
+        }
+    });
+
+    if (currentTurn.frames.length > 0 || currentTurn.playerId) {
+        turns.push(currentTurn);
+    }
+    return turns;
+};
+
+/**
+ * Work out the replay players from a saved player list or, failing that, from the log itself
+ * @param {Object} logs - Data from exportLogs
+ * @param {Array} savedPlayers - Players from a game file, if any
+ * @returns {Array} Replay player objects
+ */
+const buildReplayPlayers = (logs, savedPlayers) => {
+    if (Array.isArray(savedPlayers) && savedPlayers.length > 0) {
+        return savedPlayers.map(p => ({ id: p.id, name: p.name, role: p.role }));
+    }
+
+    // Plain log exports only carry names and roles in resource change metadata
+    const details = {};
+    (logs.gameLog || []).forEach(entry => {
+        if (entry.eventType === 'RESOURCE_CHANGE' && entry.data.metadata) {
+            details[entry.data.playerId] = {
+                name: entry.data.metadata.playerName,
+                role: entry.data.metadata.playerRole
+            };
+        }
+    });
+
+    const unusedRoles = Object.keys(PLAYER_ROLES).filter(role =>
+        !Object.values(details).some(d => d.role === role)
+    );
+
+    return Object.keys(logs.resourceLog || {}).map((playerId, index) => ({
+        id: playerId,
+        name: details[playerId]?.name || `Player ${index + 1}`,
+        role: PLAYER_ROLES[details[playerId]?.role] ? details[playerId].role : (unusedRoles.shift() || 'HISTORIAN')
+    }));
+};
+
+/**
+ * Parse a replay file: a full game file or a plain exportLogs dump
+ * @param {string} text - Raw JSON text
+ * @returns {Object|null} {logs, players} or null if unusable
+ */
+const parseReplayFile = (text) => {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        console.error('Replay file is not valid JSON:', error);
+        return null;
+    }
+
+    if (data && data.format) {
+        const gameFile = parseGameFile(text);
+        return gameFile ? { logs: gameFile.logs, players: gameFile.players } : null;
+    }
+    if (data && Array.isArray(data.gameLog)) {
+        return { logs: data, players: null };
+    }
+
+    console.error('Replay file has no game log');
+    return null;
+};
+
+// ===== Replay State =====
+
+/**
+ * Put every token and resource total back to where it was before a given turn
+ * @param {number} turnIndex - Number of turns already played
+ */
+const renderStateAt = (turnIndex) => {
+    const startCoords = { x: START_SPACE.coordinates[0], y: START_SPACE.coordinates[1] };
+
+    replayState.players.forEach(player => {
+        player.coords = { ...startCoords };
+        player.currentCoords = { ...startCoords };
+        player.resources = { ...replayState.initialResources[player.id] };
+    });
+
+    replayState.turns.slice(0, turnIndex).forEach(turn => {
+        turn.frames.forEach(frame => applyFrame(frame));
+    });
+
+    managePlayerTokens(replayState.players);
+    refreshControls();
+};
+
+/**
+ * Apply a frame's result to the replay players without animation
+ * @param {Object} frame - A replay frame
+ */
+const applyFrame = (frame) => {
+    const player = replayState.players.find(p => p.id === frame.playerId);
+    if (!player) return;
+
+    if (frame.kind === 'move' && frame.toCoords) {
+        player.coords = { ...frame.toCoords };
+        player.currentCoords = { ...frame.toCoords };
+    } else if (frame.kind === 'resources' && frame.current) {
+        player.resources = { ...frame.current };
+    }
+};
+
+/**
+ * Animate a single frame on the board
+ * @param {Object} frame - A replay frame
+ * @returns {Promise} Resolves when the frame has been shown
+ */
+const playFrame = (frame) => {
+    const player = replayState.players.find(p => p.id === frame.playerId);
+    if (!player) return Promise.resolve();
+
+    if (frame.kind === 'move' && frame.toCoords) {
+        const [x, y] = scaleCoordinates(frame.toCoords.x, frame.toCoords.y);
+        applyFrame(frame);
+        // animateTokenToPosition never calls back when the token is missing
+        if (!document.getElementById(`player-token-${player.id}`)) {
+            managePlayerTokens(replayState.players);
+            return Promise.resolve();
+        }
+        return new Promise(resolve => animateTokenToPosition(player, { x, y }, resolve));
+    }
+
+    if (frame.kind === 'card') {
+        const definition = CARDS_BY_NAME.get(frame.cardName) || {};
+        const effects = frame.cardEffects || definition.effects || [];
+        showCardPopup({
+            title: `${player.name}: ${frame.cardName}`,
+            description: definition.description || '',
+            effects: Array.isArray(effects) ? effects : Object.values(effects),
+            deckType: frame.deckType
+        });
+        return delay(BASE_CARD_DISPLAY / replayState.speed).then(() => hideCard());
+    }
+
+    applyFrame(frame);
+    refreshControls();
+    return delay(BASE_STEP_DELAY / replayState.speed / 2);
+};
+
+/**
+ * Push the current replay position to the control bar
+ */
+const refreshControls = () => {
+    const nextTurn = replayState.turns[replayState.turnIndex - 1];
+    const activePlayer = nextTurn && replayState.players.find(p => p.id === nextTurn.playerId);
+
+    updateReplayControls({
+        turnIndex: replayState.turnIndex,
+        turnCount: replayState.turns.length,
+        turnLabel: activePlayer ? activePlayer.name : '',
+        playing: replayState.playing,
+        players: replayState.players.map(p => ({
+            name: p.name,
+            resources: p.resources,
+            isActive: activePlayer && p.id === activePlayer.id
+        }))
+    });
+};
+
+// ===== Controls =====
+
+/**
+ * Play the next turn with animation
+ * @returns {Promise<boolean>} False when there are no turns left
+ */
+export const stepForward = async () => {
+    if (!replayState.active || replayState.busy) return false;
+    if (replayState.turnIndex >= replayState.turns.length) return false;
+
+    replayState.busy = true;
+    const turn = replayState.turns[replayState.turnIndex];
+    replayState.turnIndex++;
+    refreshControls();
+
+    for (const frame of turn.frames) {
+        if (!replayState.active) break;
+        await playFrame(frame);
+    }
+
+    refreshControls();
+    replayState.busy = false;
+    return true;
+};
+
+/**
+ * Jump back to the start of the previous turn
+ */
+export const stepBack = () => {
+    if (!replayState.active || replayState.busy || replayState.turnIndex <= 0) return;
+    replayState.playing = false;
+    replayState.turnIndex--;
+    renderStateAt(replayState.turnIndex);
+};
+
+/**
+ * Toggle automatic playback
+ */
+export const togglePlayback = async () => {
+    if (!replayState.active) return;
+
+    replayState.playing = !replayState.playing;
+    refreshControls();
+    if (!replayState.playing) return;
+
+    // Each start of playback gets its own run, so a loop still waiting from before a pause ends
+    // instead of playing alongside the new one
+    const run = ++replayState.playbackRun;
+    while (replayState.playing && replayState.active && replayState.playbackRun === run) {
+        const advanced = await stepForward();
+        if (!advanced) {
+            // Either finished or a manual step is still animating
+            if (replayState.turnIndex >= replayState.turns.length) {
+                replayState.playing = false;
+                refreshControls();
+                break;
+            }
+        }
+        await delay(BASE_STEP_DELAY / replayState.speed);
+    }
+};
+
+/**
+ * Change the playback speed
+ * @param {number} speed - Multiplier (1 = normal)
+ */
+export const setReplaySpeed = (speed) => {
+    replayState.speed = speed > 0 ? speed : 1;
+};
+
+/**
+ * Leave replay mode and return to the start screen
+ */
+export const exitReplay = () => {
+    replayState.active = false;
+    replayState.playing = false;
+    hideReplayControls();
+    hideCard();
+    showScreen('start-screen');
+};
+
+// ===== Entry Points =====
+
+/**
+ * Start a replay from exported logs
+ * @param {Object} logs - Data from exportLogs
+ * @param {Array} [savedPlayers] - Players from a game file, used for names and roles
+ * @returns {boolean} True if the replay started
+ */
+export const startReplay = (logs, savedPlayers = null) => {
+    if (!logs || !Array.isArray(logs.gameLog)) {
+        console.error('startReplay: No game log to replay');
+        return false;
+    }
+
+    replayState.players = buildReplayPlayers(logs, savedPlayers);
+    replayState.turns = buildReplayTurns(logs.gameLog);
+    replayState.initialResources = {};
+    replayState.players.forEach(player => {
+        const history = logs.resourceLog?.[player.id]?.history || [];
+        const first = history[0] || PLAYER_ROLES[player.role].startingResources;
+        replayState.initialResources[player.id] = {
+            money: first.money || 0,
+            knowledge: first.knowledge || 0,
+            influence: first.influence || 0
+        };
+    });
+
+    if (replayState.players.length === 0 || replayState.turns.length === 0) {
+        console.error('startReplay: Log has no players or turns');
+        return false;
+    }
+
+    replayState.active = true;
+    replayState.playing = false;
+    replayState.busy = false;
+    replayState.turnIndex = 0;
+
+    showScreen('game-board-screen');
+    drawBoard();
+    showReplayControls({
+        onBack: stepBack,
+        onPlayPause: togglePlayback,
+        onForward: stepForward,
+        onSpeedChange: setReplaySpeed,
+        onExit: exitReplay
+    });
+    renderStateAt(0);
+
+    logMessage(`Replay loaded: ${replayState.turns.length} turns.`);
+    return true;
+};
+
+/**
+ * Start a replay from a file picked by the user
+ * @param {Event} e - Change event from the replay file input
+ */
+export const handleReplayFileSelected = (e) => {
+    const input = e.target;
+    const file = input.files && input.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+        const replayData = parseReplayFile(reader.result);
+        if (!replayData || !startReplay(replayData.logs, replayData.players)) {
+            alert(`"${file.name}" does not contain a replayable game log.`);
+        }
+        input.value = '';
+    };
+    reader.onerror = () => console.error('Error reading replay file:', reader.error);
+    reader.readAsText(file);
+};
@@ -0,0 +1,135 @@
+/**
+ * Random Number Module for Critocracy
+ * A single seeded generator that every game decision (dice, shuffles, CPU choices) draws from,
+ * so a game started with the same seed plays out the same way.
+ * Purely cosmetic randomness (animation jitter, AI "thinking" delays) stays on Math.random
+ * so it never consumes numbers from the game sequence.
+ */
+
+// ===== Module State =====
+let currentSeed = null;
+let rngState = 0;
+
+// ===== Seed Functions =====
+
+/**
+ * Turn any seed text into a 32-bit generator state (FNV-1a hash)
+ * @param {string} seedText - The seed as entered or generated
+ * @returns {number} Unsigned 32-bit state
+ */
+const hashSeed = (seedText) => {
+    let hash = 2166136261;
+    for (let i = 0; i < seedText.length; i++) {
+        hash ^= seedText.charCodeAt(i);
+        hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+};
+
+/**
+ * Create a fresh seed for games started without one
+ * @returns {string} A new seed
+ */
+export const generateSeed = () => {
+    return String(Math.floor(Math.random() * 1000000000));
+};
+
+/**
+ * Seed the generator. The same seed always produces the same sequence.
+ * @param {string|number} seed - Seed to use; a new one is generated if empty
+ * @returns {string} The seed now in use
+ */
+export const setSeed = (seed) => {
+    const seedText = seed === undefined || seed === null || String(seed).trim() === ''
+        ? generateSeed()
+        : String(seed).trim();
+
+    currentSeed = seedText;
+    rngState = hashSeed(seedText);
+    console.log(`RNG seeded with "${currentSeed}"`);
+    return currentSeed;
+};
+
+/**
+ * Get the seed the current sequence started from
+ * @returns {string} The current seed
+ */
+export const getSeed = () => currentSeed;
+
+/**
+ * Get the generator position so a saved game continues the same sequence
+ * @returns {Object} {seed, state}
+ */
+export const getRngState = () => ({ seed: currentSeed, state: rngState });
+
+/**
+ * Restore a generator position saved with getRngState
+ * @param {Object} savedState - {seed, state}
+ * @returns {boolean} True if restored
+ */
+export const setRngState = (savedState) => {
+    if (!savedState || typeof savedState.state !== 'number') {
+        console.error('Cannot restore RNG state: invalid data', savedState);
+        return false;
+    }
+    currentSeed = savedState.seed;
+    rngState = savedState.state >>> 0;
+    return true;
+};
+
+// ===== Random Functions =====
+
+/**
+ * Next number in the seeded sequence (mulberry32)
+ * @returns {number} Float in [0, 1)
+ */
+export const random = () => {
+    rngState = (rngState + 0x6D2B79F5) >>> 0;
+    let t = rngState;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+/**
+ * Random integer between min and max (inclusive)
+ * @param {number} min - Lowest value
+ * @param {number} max - Highest value
+ * @returns {number} Random integer
+ */
+export const randomInt = (min, max) => {
+    return min + Math.floor(random() * (max - min + 1));
+};
+
+/**
+ * Roll a die
+ * @param {number} sides - Number of sides
+ * @returns {number} Result from 1 to sides
+ */
+export const rollDie = (sides = 6) => randomInt(1, sides);
+
+/**
+ * Pick a random element from an array
+ * @param {Array} array - Array to pick from
+ * @returns {*} A random element, or null if the array is empty
+ */
+export const pickRandom = (array) => {
+    if (!Array.isArray(array) || array.length === 0) return null;
+    return array[Math.floor(random() * array.length)];
+};
+
+/**
+ * Shuffle an array in place (Fisher-Yates)
+ * @param {Array} array - Array to shuffle
+ * @returns {Array} The same array, shuffled
+ */
+export const shuffleInPlace = (array) => {
+    for (let i = array.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [array[i], array[j]] = [array[j], array[i]];
+    }
+    return array;
+};
+
+// Start with a random seed so the game works before one is chosen
+setSeed();
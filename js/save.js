@@ -0,0 +1,279 @@
+/**
+ * Save Module for Critocracy
+ * Stores game snapshots in localStorage under named slots and restores them
+ */
+
+// ===== Imports =====
+import { exportPlayerState, importPlayerState } from './players.js';
+import { exportDeckState, importDeckState } from './cards.js';
+import { exportLogs, importLogs } from './logging.js';
+import { getRngState, setRngState } from './rng.js';
+
+// ===== Constants =====
+const SAVE_KEY_PREFIX = 'critocracy_save_';
+const SAVE_INDEX_KEY = 'critocracy_save_index';
+const SAVE_VERSION = 1;
+export const AUTOSAVE_SLOT = 'autosave';
+
+// ===== Storage Helpers =====
+
+/**
+ * Get the localStorage key used for a slot
+ * @param {string} slotName - Name of the save slot
+ * @returns {string} Storage key
+ */
+const getSlotKey = (slotName) => `${SAVE_KEY_PREFIX}${slotName}`;
+
+/**
+ * Read the index of save slots from localStorage
+ * @returns {Array} Slot summaries
+ */
+const readSaveIndex = () => {
+    try {
+        const raw = localStorage.getItem(SAVE_INDEX_KEY);
+        return raw ? JSON.parse(raw) : [];
+    } catch (error) {
+        console.error('Could not read save index:', error);
+        return [];
+    }
+};
+
+/**
+ * Write the index of save slots to localStorage
+ * @param {Array} index - Slot summaries
+ */
+const writeSaveIndex = (index) => {
+    localStorage.setItem(SAVE_INDEX_KEY, JSON.stringify(index));
+};
+
+// ===== Snapshot Functions =====
+
+/**
+ * Build a snapshot of the whole game
+ * @param {Object} gameState - The live game state from engine.js
+ * @param {boolean} atTurnBoundary - True when taken between turns (before the next turn is prepared)
+ * @returns {Object} Serializable snapshot
+ */
+export const createSnapshot = (gameState, atTurnBoundary = false) => {
+    // Players are saved separately from players.js so the state only keeps IDs
+    const { players, pendingActionData, ...state } = gameState;
+
+    return {
+        version: SAVE_VERSION,
+        savedAt: Date.now(),
+        atTurnBoundary,
+        gameState: JSON.parse(JSON.stringify(state)),
+        players: exportPlayerState(),
+        decks: exportDeckState(),
+        logs: exportLogs(),
+        rng: getRngState()
+    };
+};
+
+/**
+ * Restore players, decks and logs from a snapshot
+ * @param {Object} snapshot - Snapshot from createSnapshot
+ * @returns {Object|null} The saved game state to hand back to game.js, or null on failure
+ */
+export const applySnapshot = (snapshot) => {
+    if (!snapshot || snapshot.version !== SAVE_VERSION || !snapshot.gameState) {
+        console.error('Cannot restore snapshot: missing data or unsupported version', snapshot && snapshot.version);
+        return null;
+    }
+
+    if (!importPlayerState(snapshot.players)) return null;
+    if (!importDeckState(snapshot.decks)) return null;
+    importLogs(snapshot.logs);
+    if (snapshot.rng) setRngState(snapshot.rng);
+
+    return { ...snapshot.gameState };
+};
+
+// ===== Slot Functions =====
+
+/**
+ * Save the game into a named slot
+ * @param {string} slotName - Name of the save slot
+ * @param {Object} gameState - The live game state from engine.js
+ * @param {boolean} atTurnBoundary - True when saved between turns
+ * @returns {boolean} True if saved
+ */
+export const saveGame = (slotName, gameState, atTurnBoundary = false) => {
+    const name = (slotName || '').trim();
+    if (!name) {
+        console.error('Cannot save game: slot name is required');
+        return false;
+    }
+
+    try {
+        const snapshot = createSnapshot(gameState, atTurnBoundary);
+        localStorage.setItem(getSlotKey(name), JSON.stringify(snapshot));
+
+        const index = readSaveIndex().filter(slot => slot.slotName !== name);
+        index.push({
+            slotName: name,
+            savedAt: snapshot.savedAt,
+            currentTurn: gameState.currentTurn || 0,
+            currentRound: gameState.currentRound || 0,
+            playerNames: snapshot.players.map(p => p.name)
+        });
+        writeSaveIndex(index);
+
+        console.log(`Game saved to slot "${name}"`);
+        return true;
+    } catch (error) {
+        console.error(`Error saving game to slot "${name}":`, error);
+        return false;
+    }
+};
+
+/**
+ * Autosave between turns
+ * @param {Object} gameState - The live game state from engine.js
+ * @returns {boolean} True if saved
+ */
+export const autosaveGame = (gameState) => {
+    return saveGame(AUTOSAVE_SLOT, gameState, true);
+};
+
+/**
+ * Read a snapshot from a named slot
+ * @param {string} slotName - Name of the save slot
+ * @returns {Object|null} The snapshot or null if missing
+ */
+export const loadSnapshot = (slotName) => {
+    try {
+        const raw = localStorage.getItem(getSlotKey(slotName));
+        if (!raw) {
+            console.error(`No save found in slot "${slotName}"`);
+            return null;
+        }
+        return JSON.parse(raw);
+    } catch (error) {
+        console.error(`Error reading save slot "${slotName}":`, error);
+        return null;
+    }
+};
+
+/**
+ * List all save slots, newest first
+ * @returns {Array} Slot summaries: {slotName, savedAt, currentTurn, currentRound, playerNames}
+ */
+export const listSaveSlots = () => {
+    return readSaveIndex().sort((a, b) => b.savedAt - a.savedAt);
+};
+
+/**
+ * Delete a save slot
+ * @param {string} slotName - Name of the save slot
+ * @returns {boolean} True if removed
+ */
+export const deleteSaveSlot = (slotName) => {
+    try {
+        localStorage.removeItem(getSlotKey(slotName));
+        writeSaveIndex(readSaveIndex().filter(slot => slot.slotName !== slotName));
+        return true;
+    } catch (error) {
+        console.error(`Error deleting save slot "${slotName}":`, error);
+        return false;
+    }
+};
+
+// ===== Game Files =====
+const GAME_FILE_FORMAT = 'critocracy-game';
+const GAME_FILE_VERSION = 1;
+
+/**
+ * Build a versioned game file for sharing or attaching to bug reports
+ * @param {Object} gameState - The live game state from engine.js
+ * @returns {Object} Game file contents
+ */
+export const createGameFile = (gameState) => ({
+    format: GAME_FILE_FORMAT,
+    fileVersion: GAME_FILE_VERSION,
+    rngSeed: gameState.rngSeed ?? null,
+    ...createSnapshot(gameState, false)
+});
+
+/**
+ * Offer text to the browser as a file download
+ * @param {string} fileName - Name for the downloaded file
+ * @param {string} text - File contents
+ * @param {string} [mimeType='text/plain'] - MIME type of the contents
+ */
+export const downloadTextFile = (fileName, text, mimeType = 'text/plain') => {
+    const blob = new Blob([text], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+};
+
+/**
+ * Download the current game as a JSON file
+ * @param {Object} gameState - The live game state from engine.js
+ * @returns {string|null} The file name used, or null on failure
+ */
+export const downloadGameFile = (gameState) => {
+    try {
+        const gameFile = createGameFile(gameState);
+        const stamp = new Date(gameFile.savedAt).toISOString().replace(/[:.]/g, '-');
+        const fileName = `critocracy-turn${gameState.currentTurn || 0}-${stamp}.json`;
+
+        downloadTextFile(fileName, JSON.stringify(gameFile, null, 2), 'application/json');
+
+        console.log(`Game file downloaded as ${fileName}`);
+        return fileName;
+    } catch (error) {
+        console.error('Error creating game file:', error);
+        return null;
+    }
+};
+
+/**
+ * Parse and check the contents of a game file
+ * @param {string} text - Raw JSON text of the file
+ * @returns {Object|null} The snapshot stored in the file, or null if invalid
+ */
+export const parseGameFile = (text) => {
+    try {
+        const gameFile = JSON.parse(text);
+        if (!gameFile || gameFile.format !== GAME_FILE_FORMAT) {
+            console.error('Not a Critocracy game file');
+            return null;
+        }
+        if (gameFile.fileVersion !== GAME_FILE_VERSION) {
+            console.error(`Unsupported game file version: ${gameFile.fileVersion}`);
+            return null;
+        }
+        return gameFile;
+    } catch (error) {
+        console.error('Could not parse game file:', error);
+        return null;
+    }
+};
+
+/**
+ * Read a game file chosen by the user
+ * @param {File} file - File from an <input type="file">
+ * @returns {Promise<Object|null>} The snapshot stored in the file, or null if invalid
+ */
+export const readGameFile = (file) => {
+    return new Promise(resolve => {
+        if (!file) {
+            resolve(null);
+            return;
+        }
+        const reader = new FileReader();
+        reader.onload = () => resolve(parseGameFile(reader.result));
+        reader.onerror = () => {
+            console.error('Error reading game file:', reader.error);
+            resolve(null);
+        };
+        reader.readAsText(file);
+    });
+};
@@ -0,0 +1,17 @@
+/**
+ * Simulation Worker for Critocracy
+ * Runs CPU-only games off the main thread:
+ *   const worker = new Worker('js/simulation-worker.js', { type: 'module' });
+ *   worker.postMessage({ games: 20, playerCount: 4, seed: 'balance' });
+ * Posts {type: 'result', result} after each game and {type: 'done', results} at the end.
+ */
+
+import { runSimulations } from './simulation.js';
+
+self.onmessage = async ({ data }) => {
+    const results = await runSimulations({
+        ...data,
+        onGameComplete: (result) => self.postMessage({ type: 'result', result })
+    });
+    self.postMessage({ type: 'done', results });
+};
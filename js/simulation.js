@@ -0,0 +1,199 @@
+/**
+ * Simulation Module for Critocracy
+ * Plays CPU-only games headlessly at full speed and reports each game's result as JSON.
+ * Works in Node (see tools/simulate.mjs) or inside a module Web Worker (simulation-worker.js).
+ */
+
+// ===== Imports =====
+// Game modules touch the DOM while loading, so they are imported only once the headless
+// environment is installed
+import { installHeadlessEnvironment, runUntil, resetVirtualClock } from './headless.js';
+
+// ===== Constants =====
+const ROLE_KEYS = ['HISTORIAN', 'POLITICIAN', 'REVOLUTIONARY', 'COLONIALIST', 'ENTREPRENEUR', 'ARTIST'];
+const DEFAULT_MAX_TIMERS = 200000;
+
+// ===== Engine Loading =====
+
+let engine = null;
+
+/**
+ * Install the headless environment and load the game modules once
+ * @param {Object} [options] - Passed to installHeadlessEnvironment
+ * @returns {Promise<Object>} The loaded modules
+ */
+const loadEngine = async (options = {}) => {
+    if (engine) return engine;
+
+    installHeadlessEnvironment(options);
+    const [game, state, players, logging, rng, boardGraph] = await Promise.all([
+        import('./game.js'),
+        import('./engine.js'),
+        import('./players.js'),
+        import('./logging.js'),
+        import('./rng.js'),
+        import('./board-graph.js')
+    ]);
+    engine = { game, state, players, logging, rng, boardGraph };
+    return engine;
+};
+
+// ===== Results =====
+
+/**
+ * Work out the order of paths a player's token travelled along
+ * @param {string} playerId - ID of the player
+ * @returns {Array<string>} Path colours in the order they were entered
+ */
+const getPathTaken = (playerId) => {
+    const { logging, boardGraph } = engine;
+    const path = [];
+    logging.getFilteredGameLog({ playerId, actionType: 'MOVEMENT' }).forEach(entry => {
+        const { x, y } = entry.data.toCoords || {};
+        const color = boardGraph.getPathColorFromCoords(x, y);
+        if (color && color !== 'start' && color !== path[path.length - 1]) {
+            path.push(color);
+        }
+    });
+    return path;
+};
+
+/**
+ * Count how many cards a player drew from each deck
+ * @param {string} playerId - ID of the player
+ * @returns {Object} Draw counts keyed by deck type
+ */
+const getCardDraws = (playerId) => {
+    const draws = {};
+    engine.logging.getFilteredGameLog({ playerId, actionType: 'CARD_DRAW' }).forEach(entry => {
+        const deckType = entry.data.deckType;
+        if (deckType) draws[deckType] = (draws[deckType] || 0) + 1;
+    });
+    return draws;
+};
+
+/**
+ * Collect the result of a finished (or stalled) game
+ * @param {Object} setup - {game, seed, roles}
+ * @param {boolean} completed - Whether the game reached its end
+ * @returns {Object} JSON-safe game result
+ */
+const buildGameResult = (setup, completed) => {
+    const { players } = engine;
+    const state = engine.state.getGameState();
+    const results = players.resolveFinalStandings();
+    const standings = results.standings.map(entry => ({
+        name: entry.name,
+        role: entry.role,
+        rank: entry.rank,
+        finished: entry.finished,
+        finishPosition: entry.finishPosition,
+        eliminated: entry.eliminated,
+        eliminationReason: entry.eliminationReason,
+        resources: { ...entry.resources },
+        total: entry.total,
+        pathTaken: getPathTaken(entry.id),
+        cardDraws: getCardDraws(entry.id)
+    }));
+
+    return {
+        game: setup.game,
+        seed: setup.seed,
+        completed,
+        stalledIn: completed ? null : (state.turnState || state.gamePhase || null),
+        turns: state.currentTurn,
+        rounds: state.currentRound,
+        isDraw: completed ? results.isDraw : false,
+        winners: completed
+            ? standings.filter(entry => results.winners.some(winner => winner.name === entry.name))
+                .map(entry => ({ name: entry.name, role: entry.role, total: entry.total, pathTaken: entry.pathTaken }))
+            : [],
+        standings
+    };
+};
+
+// ===== Running Games =====
+
+/**
+ * Play one CPU-only game to the end
+ * @param {Object} setup - {game, seed, roles}
+ * @param {number} maxTimers - Timer budget before the game is reported as stalled
+ * @returns {Promise<Object>} The game result
+ */
+const runSimulatedGame = async (setup, maxTimers) => {
+    const { game, players, rng } = engine;
+
+    resetVirtualClock();
+    rng.setSeed(setup.seed);
+    players.resetPlayers();
+    const cpuPlayers = setup.roles.map((role, index) => players.createPlayer(`CPU ${index + 1}`, role, false));
+
+    // Setup waits on (virtual) image loads, so it has to run on the clock as well
+    let initialized = null;
+    game.initializeGame(cpuPlayers).then(success => { initialized = success; });
+    await runUntil(() => initialized !== null, maxTimers);
+
+    if (!initialized) {
+        console.error(`Simulated game ${setup.game} failed to initialize`);
+        return buildGameResult(setup, false);
+    }
+
+    game.determineTurnOrder();
+    const completed = await runUntil(() => engine.state.gameState.gamePhase === 'FINISHED', maxTimers);
+    return buildGameResult(setup, completed);
+};
+
+/**
+ * Pick distinct roles for a game
+ * @param {number} playerCount - Number of CPU players
+ * @returns {Array<string>} Role keys
+ */
+const pickRoles = (playerCount) => {
+    const roles = [...ROLE_KEYS];
+    engine.rng.shuffleInPlace(roles);
+    return roles.slice(0, playerCount);
+};
+
+/**
+ * Play a batch of CPU-only games headlessly
+ * @param {Object} [options]
+ * @param {number} [options.games=1] - Number of games to play
+ * @param {number} [options.playerCount=4] - CPU players per game (2-6)
+ * @param {Array<string>} [options.roles] - Fixed role keys for every game; random distinct roles otherwise
+ * @param {string} [options.seed] - Base seed; game n is played with `${seed}-${n}`
+ * @param {number} [options.maxTimers] - Timer budget per game before it is reported as stalled
+ * @param {boolean} [options.quiet=true] - Silence the game's console logging
+ * @param {Function} [options.onGameComplete] - Called with each result as it finishes
+ * @returns {Promise<Array<Object>>} One result per game
+ */
+export const runSimulations = async ({
+    games = 1,
+    playerCount = 4,
+    roles = null,
+    seed = null,
+    maxTimers = DEFAULT_MAX_TIMERS,
+    quiet = true,
+    onGameComplete = null
+} = {}) => {
+    await loadEngine({ quiet });
+
+    const count = Math.max(2, Math.min(ROLE_KEYS.length, roles ? roles.length : playerCount));
+    const baseSeed = seed || engine.rng.generateSeed();
+    const results = [];
+
+    for (let index = 1; index <= games; index++) {
+        const gameSeed = `${baseSeed}-${index}`;
+        engine.rng.setSeed(gameSeed);
+        const setup = {
+            game: index,
+            seed: gameSeed,
+            roles: roles ? [...roles] : pickRoles(count)
+        };
+
+        const result = await runSimulatedGame(setup, maxTimers);
+        results.push(result);
+        if (typeof onGameComplete === 'function') onGameComplete(result);
+    }
+
+    return results;
+};
@@ -0,0 +1,342 @@
+/**
+ * Stats Module for Critocracy
+ * Charts each player's resource history from the resource log
+ */
+
+// ===== Imports =====
+import { getPlayers, PLAYER_ROLES } from './players.js';
+import { getPlayerResourceHistory } from './logging.js';
+import { escapeHtml } from './ui.js';
+
+// ===== Constants =====
+const CHART_WIDTH = 460;
+const CHART_HEIGHT = 200;
+const CHART_PADDING = { top: 12, right: 12, bottom: 24, left: 34 };
+const HOVER_RADIUS = 8;
+
+const SERIES = [
+    { key: 'money', label: 'Money', color: '#E0B000' },
+    { key: 'knowledge', label: 'Knowledge', color: '#3A8DFF' },
+    { key: 'influence', label: 'Influence', color: '#B45CFF' },
+    { key: 'total', label: 'Total', color: '#FFFFFF', dashed: true }
+];
+
+// ===== Chart Data =====
+
+/**
+ * Turn a player's resource history into chart points
+ * @param {string} playerId - ID of the player
+ * @returns {Array} Points: [{turn, money, knowledge, influence, total, source, cardName, changes}]
+ */
+export const buildResourceSeries = (playerId) => {
+    return getPlayerResourceHistory(playerId).map(entry => ({
+        turn: entry.turn,
+        money: entry.money || 0,
+        knowledge: entry.knowledge || 0,
+        influence: entry.influence || 0,
+        total: (entry.money || 0) + (entry.knowledge || 0) + (entry.influence || 0),
+        source: entry.source || 'START',
+        cardName: entry.metadata?.cardName || null,
+        changes: entry.changes || null
+    }));
+};
+
+/**
+ * Work out where each point sits on the canvas
+ * @param {Array} points - From buildResourceSeries
+ * @returns {Object} {xFor(index), yFor(value), maxValue}
+ */
+const getChartScale = (points) => {
+    const maxValue = Math.max(10, ...points.map(point => point.total));
+    const plotWidth = CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right;
+    const plotHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
+    const step = points.length > 1 ? plotWidth / (points.length - 1) : 0;
+
+    return {
+        maxValue,
+        xFor: (index) => CHART_PADDING.left + index * step,
+        yFor: (value) => CHART_PADDING.top + plotHeight - (value / maxValue) * plotHeight
+    };
+};
+
+// ===== Drawing =====
+
+/**
+ * Draw the axes, a few value gridlines and turn labels
+ * @param {CanvasRenderingContext2D} ctx - Chart context
+ * @param {Array} points - Chart points
+ * @param {Object} scale - From getChartScale
+ */
+const drawAxes = (ctx, points, scale) => {
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.2)';
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+    ctx.font = '10px sans-serif';
+    ctx.lineWidth = 1;
+
+    for (let i = 0; i <= 4; i++) {
+        const value = Math.round((scale.maxValue / 4) * i);
+        const y = scale.yFor(value);
+        ctx.beginPath();
+        ctx.moveTo(CHART_PADDING.left, y);
+        ctx.lineTo(CHART_WIDTH - CHART_PADDING.right, y);
+        ctx.stroke();
+        ctx.textAlign = 'right';
+        ctx.fillText(String(value), CHART_PADDING.left - 4, y + 3);
+    }
+
+    // Label the first point of each turn
+    ctx.textAlign = 'center';
+    let lastLabelX = -Infinity;
+    points.forEach((point, index) => {
+        const x = scale.xFor(index);
+        if ((index === 0 || point.turn !== points[index - 1].turn) && x - lastLabelX > 18) {
+            ctx.fillText(`T${point.turn}`, x, CHART_HEIGHT - 8);
+            lastLabelX = x;
+        }
+    });
+};
+
+/**
+ * Draw one player's chart, optionally highlighting a hovered point
+ * @param {HTMLCanvasElement} canvas - Target canvas
+ * @param {Array} points - Chart points
+ * @param {number} [hoverIndex] - Index of the hovered point
+ */
+export const drawResourceChart = (canvas, points, hoverIndex = -1) => {
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, CHART_WIDTH, CHART_HEIGHT);
+    if (points.length === 0) return;
+
+    const scale = getChartScale(points);
+    drawAxes(ctx, points, scale);
+
+    SERIES.forEach(series => {
+        ctx.strokeStyle = series.color;
+        ctx.lineWidth = series.key === 'total' ? 2 : 1.5;
+        ctx.setLineDash(series.dashed ? [5, 3] : []);
+        ctx.beginPath();
+        points.forEach((point, index) => {
+            const x = scale.xFor(index);
+            const y = scale.yFor(point[series.key]);
+            if (index === 0) ctx.moveTo(x, y);
+            else ctx.lineTo(x, y);
+        });
+        ctx.stroke();
+    });
+    ctx.setLineDash([]);
+
+    if (hoverIndex >= 0 && points[hoverIndex]) {
+        const x = scale.xFor(hoverIndex);
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
+        ctx.beginPath();
+        ctx.moveTo(x, CHART_PADDING.top);
+        ctx.lineTo(x, CHART_HEIGHT - CHART_PADDING.bottom);
+        ctx.stroke();
+
+        SERIES.forEach(series => {
+            ctx.fillStyle = series.color;
+            ctx.beginPath();
+            ctx.arc(x, scale.yFor(points[hoverIndex][series.key]), 3, 0, Math.PI * 2);
+            ctx.fill();
+        });
+    }
+};
+
+/**
+ * Describe a chart point for its tooltip
+ * @param {Object} point - A chart point
+ * @returns {string} Tooltip HTML
+ */
+const describePoint = (point) => {
+    const source = point.source.replace(/_/g, ' ').toLowerCase();
+    const changes = point.changes
+        ? Object.entries(point.changes)
+            .filter(([, amount]) => amount)
+            .map(([resource, amount]) => `${amount > 0 ? '+' : ''}${amount} ${resource}`)
+            .join(', ')
+        : 'Starting resources';
+
+    return `
+        <strong>Turn ${point.turn}</strong>: ${escapeHtml(point.cardName ? `${point.cardName} (${source})` : source)}<br>
+        ${escapeHtml(changes)}<br>
+        💰 ${point.money} | 🧠 ${point.knowledge} | 🗣️ ${point.influence} | Total ${point.total}
+    `;
+};
+
+/**
+ * Show a tooltip for the point nearest the mouse
+ * @param {MouseEvent} e - Mouse move event on a chart canvas
+ * @param {Array} points - The chart's points
+ * @param {HTMLElement} tooltip - Shared tooltip element
+ */
+const handleChartHover = (e, points, tooltip) => {
+    const canvas = e.target;
+    const rect = canvas.getBoundingClientRect();
+    const mouseX = (e.clientX - rect.left) * (CHART_WIDTH / rect.width);
+    const mouseY = (e.clientY - rect.top) * (CHART_HEIGHT / rect.height);
+    const scale = getChartScale(points);
+
+    // Nearest point by x, as long as the mouse is close to one of its lines
+    let hoverIndex = -1;
+    let bestDistance = Infinity;
+    points.forEach((point, index) => {
+        const distance = Math.abs(scale.xFor(index) - mouseX);
+        if (distance < bestDistance) {
+            bestDistance = distance;
+            hoverIndex = index;
+        }
+    });
+    const nearLine = hoverIndex >= 0 && SERIES.some(series =>
+        Math.abs(scale.yFor(points[hoverIndex][series.key]) - mouseY) <= HOVER_RADIUS * 2
+    );
+
+    if (!nearLine || bestDistance > HOVER_RADIUS * 2) {
+        tooltip.style.display = 'none';
+        drawResourceChart(canvas, points);
+        return;
+    }
+
+    drawResourceChart(canvas, points, hoverIndex);
+    tooltip.innerHTML = describePoint(points[hoverIndex]);
+    tooltip.style.left = `${e.clientX + 12}px`;
+    tooltip.style.top = `${e.clientY + 12}px`;
+    tooltip.style.display = 'block';
+};
+
+// ===== Stats Panel =====
+
+/**
+ * Open the stats panel with a chart for every player
+ */
+export const showStatsPanel = () => {
+    let panel = document.getElementById('stats-panel');
+    if (!panel) {
+        panel = document.createElement('div');
+        panel.id = 'stats-panel';
+        document.body.appendChild(panel);
+    }
+
+    if (!document.getElementById('stats-styles')) {
+        addStatsStyles();
+    }
+
+    const players = getPlayers();
+    const legend = SERIES.map(series => `
+        <span class="stats-legend-item"><span class="stats-swatch" style="background-color: ${series.color}"></span>${series.label}</span>
+    `).join('');
+
+    panel.innerHTML = `
+        <div class="stats-header">
+            <h3>Resource History</h3>
+            <div class="stats-legend">${legend}</div>
+            <button id="stats-close-btn">Close</button>
+        </div>
+        <div class="stats-charts">
+            ${players.length === 0 ? '<p>No game in progress.</p>' : players.map(player => `
+                <div class="stats-chart">
+                    <div class="stats-chart-title">${escapeHtml(player.name)} <span>${escapeHtml(PLAYER_ROLES[player.role]?.name || player.role)}</span></div>
+                    <canvas id="stats-chart-${escapeHtml(player.id)}" width="${CHART_WIDTH}" height="${CHART_HEIGHT}"></canvas>
+                </div>
+            `).join('')}
+        </div>
+        <div id="stats-tooltip"></div>
+    `;
+
+    const tooltip = document.getElementById('stats-tooltip');
+    players.forEach(player => {
+        const canvas = document.getElementById(`stats-chart-${player.id}`);
+        const points = buildResourceSeries(player.id);
+        drawResourceChart(canvas, points);
+        canvas.addEventListener('mousemove', (e) => handleChartHover(e, points, tooltip));
+        canvas.addEventListener('mouseleave', () => {
+            tooltip.style.display = 'none';
+            drawResourceChart(canvas, points);
+        });
+    });
+
+    document.getElementById('stats-close-btn').onclick = hideStatsPanel;
+    panel.style.display = 'flex';
+};
+
+/**
+ * Close the stats panel
+ */
+export const hideStatsPanel = () => {
+    const panel = document.getElementById('stats-panel');
+    if (panel) panel.style.display = 'none';
+};
+
+const addStatsStyles = () => {
+    const styles = document.createElement('style');
+    styles.id = 'stats-styles';
+    styles.textContent = `
+        #stats-panel {
+            position: fixed;
+            top: 5vh;
+            left: 50%;
+            transform: translateX(-50%);
+            display: none;
+            flex-direction: column;
+            width: min(980px, 95vw);
+            max-height: 90vh;
+            overflow-y: auto;
+            padding: 12px 16px;
+            background-color: rgba(20, 20, 30, 0.95);
+            color: white;
+            border-radius: 10px;
+            z-index: 1600;
+        }
+
+        #stats-panel .stats-header {
+            display: flex;
+            align-items: center;
+            justify-content: space-between;
+            gap: 12px;
+        }
+
+        #stats-panel .stats-legend {
+            display: flex;
+            gap: 10px;
+            font-size: 12px;
+        }
+
+        #stats-panel .stats-swatch {
+            display: inline-block;
+            width: 12px;
+            height: 3px;
+            margin-right: 4px;
+            vertical-align: middle;
+        }
+
+        #stats-panel .stats-charts {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 12px;
+            justify-content: center;
+        }
+
+        #stats-panel canvas {
+            max-width: 100%;
+            background-color: rgba(255, 255, 255, 0.05);
+            border-radius: 6px;
+        }
+
+        #stats-panel .stats-chart-title span {
+            font-size: 11px;
+            opacity: 0.7;
+        }
+
+        #stats-tooltip {
+            position: fixed;
+            display: none;
+            padding: 6px 8px;
+            font-size: 12px;
+            background-color: rgba(0, 0, 0, 0.9);
+            border: 1px solid rgba(255, 255, 255, 0.3);
+            border-radius: 4px;
+            pointer-events: none;
+            z-index: 1700;
+        }
+    `;
+    document.head.appendChild(styles);
+};
@@ -0,0 +1,92 @@
+/**
+ * Turn States for Critocracy
+ * Every state a turn can be in, the moves allowed between them and the player actions each
+ * state accepts. The engine applies these tables; nothing here holds state or touches the DOM.
+ */
+
+// ===== Game Phases =====
+export const GAME_PHASES = {
+    SETUP: 'SETUP',
+    ROLE_SELECTION: 'ROLE_SELECTION',
+    TURN_ORDER_DETERMINATION: 'TURN_ORDER_DETERMINATION',
+    PLAYING: 'PLAYING',
+    FINISHED: 'FINISHED'
+};
+
+// ===== Turn States =====
+export const TURN_STATES = {
+    IDLE: 'IDLE',                                           // Between turns, or no game running
+    AWAITING_START_CHOICE: 'AWAITING_START_CHOICE',         // On Start, picking a path
+    AWAITING_ROLL: 'AWAITING_ROLL',
+    ROLLING: 'ROLLING',                                     // Dice in the air
+    MOVING: 'MOVING',
+    AWAITING_CHOICEPOINT: 'AWAITING_CHOICEPOINT',           // Stopped at a Choicepoint with steps left
+    AWAITING_PATH_CARD: 'AWAITING_PATH_CARD',               // Landed on a Draw space
+    AWAITING_END_OF_TURN_CARD: 'AWAITING_END_OF_TURN_CARD',
+    RESOLVING_CARD: 'RESOLVING_CARD',                       // A drawn card is shown and its effects applied
+    PLAYING_KEPT_CARD: 'PLAYING_KEPT_CARD',
+    ACTION_COMPLETE: 'ACTION_COMPLETE',                     // Only ending the turn is left
+    TURN_SUMMARY: 'TURN_SUMMARY',
+    TURN_ENDED: 'TURN_ENDED',                               // Skipped or aborted; no End of Turn card
+    GAME_OVER: 'GAME_OVER'
+};
+
+const S = TURN_STATES;
+
+// Where each state may go next. Any state may end in GAME_OVER, and any state inside a turn
+// may be cut short to TURN_ENDED; both are handled in isLegalTransition.
+// IDLE -> TURN_ENDED is a skipped turn.
+const TRANSITIONS = {
+    [S.IDLE]: [S.AWAITING_START_CHOICE, S.AWAITING_ROLL, S.TURN_ENDED],
+    [S.AWAITING_START_CHOICE]: [S.MOVING],
+    [S.AWAITING_ROLL]: [S.ROLLING, S.PLAYING_KEPT_CARD],
+    [S.ROLLING]: [S.MOVING],
+    [S.MOVING]: [S.AWAITING_CHOICEPOINT, S.AWAITING_PATH_CARD, S.AWAITING_END_OF_TURN_CARD, S.TURN_SUMMARY],
+    [S.AWAITING_CHOICEPOINT]: [S.MOVING],
+    [S.AWAITING_PATH_CARD]: [S.RESOLVING_CARD],
+    [S.RESOLVING_CARD]: [S.AWAITING_END_OF_TURN_CARD, S.ACTION_COMPLETE],
+    [S.AWAITING_END_OF_TURN_CARD]: [S.RESOLVING_CARD],
+    [S.PLAYING_KEPT_CARD]: [S.AWAITING_ROLL, S.ACTION_COMPLETE],
+    [S.ACTION_COMPLETE]: [S.TURN_SUMMARY, S.PLAYING_KEPT_CARD],
+    [S.TURN_ENDED]: [S.TURN_SUMMARY],
+    [S.TURN_SUMMARY]: [S.IDLE],
+    [S.GAME_OVER]: [S.IDLE]
+};
+
+// States that are not part of a player's turn, so there is nothing to cut short
+const OUTSIDE_TURN = [S.IDLE, S.TURN_SUMMARY, S.TURN_ENDED, S.GAME_OVER];
+
+// ===== Player Actions =====
+// The states in which the current player may take each action
+export const ACTION_STATES = {
+    CHOOSE_PATH: [S.AWAITING_START_CHOICE, S.AWAITING_CHOICEPOINT],
+    ROLL_DICE: [S.AWAITING_ROLL],
+    DRAW_PATH_CARD: [S.AWAITING_PATH_CARD],
+    DRAW_END_OF_TURN_CARD: [S.AWAITING_END_OF_TURN_CARD],
+    END_TURN: [S.ACTION_COMPLETE],
+    USE_ABILITY: [S.AWAITING_ROLL, S.ACTION_COMPLETE],
+    PLAY_KEPT_CARD: [S.AWAITING_ROLL, S.ACTION_COMPLETE]
+};
+
+// ===== Checks =====
+
+/**
+ * Check whether a turn may move from one state to another
+ * @param {string} from - Current turn state
+ * @param {string} to - Requested turn state
+ * @returns {boolean} True if the move is allowed
+ */
+export const isLegalTransition = (from, to) => {
+    if (!TRANSITIONS[to]) return false;
+    if (to === S.GAME_OVER) return true;
+    if (to === S.TURN_ENDED && !OUTSIDE_TURN.includes(from)) return true;
+    return (TRANSITIONS[from] || []).includes(to);
+};
+
+/**
+ * Check whether an action is accepted in a turn state
+ * @param {string} action - One of the ACTION_STATES keys
+ * @param {string} state - Turn state
+ * @returns {boolean} True if the action is allowed
+ */
+export const isActionAllowed = (action, state) => (ACTION_STATES[action] || []).includes(state);
@@ -8,14 +8,21 @@ import {
     scaleCoordinates, 
     unscaleCoordinates,
     setupBoard, // To initialize board state (if UI triggers it)
-    findSpaceDetailsByCoords, // To get space details by coordinates
-    getPathColorFromCoords, // To get path color by coordinates
+    highlightPlayerChoices, // To show the branches at a Choicepoint
     drawPlayerToken, // To draw player tokens
     synchronizePlayerCoordinates, // For syncing player coordinates
     refreshPlayerTokens,
     managePlayerTokens
 } from './board.js';
-import { handlePlayerAction, resolveBoardClick, resolvePlayerChoice, getGameState } from './game.js';
+import { findSpaceDetailsByCoords, getPathColorFromCoords } from './board-graph.js';
+import { reportBoardValidation } from './board-validation.js';
+import { handlePlayerAction, resolveBoardClick, resolvePlayerChoice, saveCurrentGame, resumeSavedGame, loadGameFromFile, recoverStalledTurn } from './game.js';
+import { gameState as liveGameState, getGameState, canPerformAction } from './engine.js';
+import { TURN_STATES } from './turn-states.js';
+import { GAME_EVENTS, PROMPTS, on } from './events.js';
+import { RECOVERY_OPTIONS, keepWaiting } from './watchdog.js';
+import { listSaveSlots, deleteSaveSlot } from './save.js';
+import { random, setSeed, getSeed, shuffleInPlace } from './rng.js';
 
 // Animation Imports
 import { 
@@ -24,17 +31,27 @@ import {
     showTurnTransition,
     animateTokenToPosition,
     animateCardFlip,
-    animateCardDrawFromDeck
+    animateCardDrawFromDeck,
+    animateDeckFlash
 } from './animations.js';
 
 // Import logging functions
 import { 
     logGameEvent, 
-    logResourceChange, 
     logPlayerAction, 
     logPlayerMovement
 } from './logging.js';
 
+// ===== Text Helpers =====
+
+/**
+ * Escapes text that can come from players or a loaded file (names, slot names, card names)
+ * before it goes into HTML, including attribute values
+ * @param {string} text - Text to escape
+ * @returns {string} The text with HTML special characters replaced by entities
+ */
+export const escapeHtml = (text) => String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
 // ===== UI State (Restructured) =====
 const elements = {
     screens: { // Group screen containers here
@@ -92,6 +109,7 @@ const PLAYER_TOKEN_RADIUS = 10;
 // ===== Callbacks =====
 let tradeResponseCallback = null;
 let targetSelectionCallback = null;
+let pendingStepChoice = null; // {options, resolve} while a card move waits for a clicked direction
 
 // ===== Container Dimensions =====
 const CONTAINER_DIMENSIONS = {
@@ -152,6 +170,11 @@ export function initializeUI() {
     // Setup event listeners
     setupEventListeners();
     
+    // Check the board data while developing
+    if (isDevMode()) {
+        reportBoardValidation();
+    }
+    
     // Show initial screen
     showScreen('start-screen');
     
@@ -223,7 +246,7 @@ function setupEventListeners() {
             
             // Add 5 AI players (to make a total of 6 players)
             for (let i = 0; i < 5; i++) {
-                const randomIndex = Math.floor(Math.random() * availableRoles.length);
+                const randomIndex = Math.floor(random() * availableRoles.length);
                 const aiRole = availableRoles.splice(randomIndex, 1)[0];
                 
                 playerConfigs.push({
@@ -265,7 +288,8 @@ function setupEventListeners() {
         addListener(elements.gameBoard.useAbilityBtn, 'click', () => {
             const gameState = getGameState();
             if (gameState?.currentPlayerId) {
-                handlePlayerAction(gameState.currentPlayerId, 'USE_ABILITY');
+                // Using the ability does not move the turn on, so the controls are refreshed here
+                handlePlayerAction(gameState.currentPlayerId, 'USE_ABILITY').then(updateGameControls);
             }
         });
     }
@@ -356,6 +380,11 @@ export function setupPlayerCountUI() {
                 return;
             }
             
+            // Seed the RNG before any roles are assigned or decks shuffled
+            const seedInput = document.getElementById('rng-seed-input');
+            const seed = setSeed(seedInput ? seedInput.value : '');
+            if (seedInput) seedInput.value = seed;
+            
             console.log(`Player count confirm: Total=${totalPlayers}, Human=${humanPlayers}`);
             
             // Import setupRoleSelectionPhase dynamically to avoid circular dependency
@@ -611,7 +640,7 @@ export function setupRoleSelectionUI(totalPlayers, humanPlayers) {
             
             // Add AI players with random roles from remaining
             for (let i = humanPlayers; i < totalPlayers; i++) {
-                const randomIndex = Math.floor(Math.random() * remainingRoles.length);
+                const randomIndex = Math.floor(random() * remainingRoles.length);
                 const aiRole = remainingRoles.splice(randomIndex, 1)[0];
                 
                 playerConfigs.push({
@@ -659,7 +688,7 @@ function startGameWithSelectedRoles(playerConfigs) {
         
         // If we need more roles than remaining, allow duplicates
         while (remainingRoles.length < (6 - playerConfigs.length) && allRoles.length > 0) {
-            remainingRoles.push(allRoles[Math.floor(Math.random() * allRoles.length)]);
+            remainingRoles.push(allRoles[Math.floor(random() * allRoles.length)]);
         }
         
         // Add AI players until we reach 6 total players
@@ -724,14 +753,9 @@ function startGameWithSelectedRoles(playerConfigs) {
     });
 }
 
-// Helper function to shuffle an array (Fisher-Yates algorithm)
+// Helper function to shuffle an array (seeded Fisher-Yates from rng.js)
 function shuffleArray(array) {
-    const newArray = [...array];
-    for (let i = newArray.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [newArray[i], newArray[j]] = [newArray[j], newArray[i]];
-    }
-    return newArray;
+    return shuffleInPlace([...array]);
 }
 
 // --- Canvas Click Handling (Update element access) ---
@@ -744,6 +768,22 @@ function handleCanvasClick(event) {
     const clickX = (event.clientX - rect.left) * scaleX;
     const clickY = (event.clientY - rect.top) * scaleY;
     
+    // A card move waiting for a direction takes the click, whoever's turn it is
+    if (pendingStepChoice) {
+        const [unscaledClickX, unscaledClickY] = unscaleCoordinates(clickX, clickY);
+        const clickedSpace = findSpaceDetailsByCoords({ x: unscaledClickX, y: unscaledClickY }, 15);
+        const chosen = clickedSpace && pendingStepChoice.options.find(option =>
+            option.coordinates[0] === clickedSpace.coords.x && option.coordinates[1] === clickedSpace.coords.y
+        );
+        if (chosen) {
+            const { resolve } = pendingStepChoice;
+            pendingStepChoice = null;
+            clearHighlights();
+            resolve(chosen);
+        }
+        return;
+    }
+    
     const gameState = getGameState();
     const playerId = gameState.currentPlayerId;
     const player = getPlayerById(playerId);
@@ -801,20 +841,17 @@ function handleCanvasClick(event) {
     }
     
     // Check if waiting for a board choice by a human player
-    if (player.isHuman && 
-        (gameState.turnState === 'AWAITING_START_CHOICE' || gameState.turnState === 'AWAITING_JUNCTION_CHOICE')) {
+    if (player.isHuman && canPerformAction('CHOOSE_PATH', playerId)) {
         
         console.log("Checking click against choices:", gameState.currentChoices);
         const [unscaledClickX, unscaledClickY] = unscaleCoordinates(clickX, clickY);
         const tolerance = 15; // Tolerance in original coordinates
         
-        const clickedChoice = gameState.currentChoices.find(choice => {
-            if (!choice.coordinates) return false;
-            const choiceX = choice.coordinates[0];
-            const choiceY = choice.coordinates[1];
-            const distance = Math.sqrt(Math.pow(unscaledClickX - choiceX, 2) + Math.pow(unscaledClickY - choiceY, 2));
-            return distance <= tolerance;
-        });
+        // A click lands near a space rather than on it, so this is the one lookup that searches
+        const clickedSpace = findSpaceDetailsByCoords({ x: unscaledClickX, y: unscaledClickY }, tolerance);
+        const clickedChoice = clickedSpace && gameState.currentChoices.find(choice =>
+            choice.coordinates?.[0] === clickedSpace.coords.x && choice.coordinates?.[1] === clickedSpace.coords.y
+        );
 
         if (clickedChoice) {
             console.log("Valid choice clicked:", clickedChoice);
@@ -886,27 +923,63 @@ export function hideScreen(screenId) {
 
 /**
  * Shows the end game screen with final results
- * @param {Object} winner - The player who won the game
- * @param {Array} allPlayers - All players in the game for displaying final standings
+ * @param {Object} results - From resolveFinalStandings: {standings, winners, isDraw, everyoneFinished}
  */
-export function showEndGameScreen(winner, allPlayers = []) {
+export function showEndGameScreen(results) {
     const container = document.getElementById('end-game-screen');
     if (!container) return;
-    
+
+    if (!document.getElementById('end-game-styles')) {
+        addEndGameStyles();
+    }
+
+    const { standings = [], winners = [], isDraw = false } = results || {};
+    let headline = 'Everyone was eliminated. Nobody wins.';
+    if (isDraw) {
+        headline = `It's a draw between ${winners.map(w => escapeHtml(w.name)).join(' and ')}!`;
+    } else if (winners.length === 1) {
+        headline = `${escapeHtml(winners[0].name)} Wins!`;
+    }
+
+    const describeStatus = (entry) => {
+        if (entry.eliminated) return `<span class="status-bad">Eliminated: ${entry.eliminationReason}</span>`;
+        if (winners.some(w => w.id === entry.id)) return `<span class="status-good">${isDraw ? 'Draw' : 'Winner'}</span>`;
+        return entry.tied ? '<span>Tied</span>' : '';
+    };
+
     // Create end game screen HTML
     const endGameHTML = `
         <div class="end-game-content">
             <h1>Game Over</h1>
-            <h2>${winner.name} Wins!</h2>
-            <div class="final-scores">
-                ${allPlayers.map(player => `
-                    <div class="player-score">
-                        <span class="player-name">${player.name}</span>
-                        <span class="player-role">${player.role}</span>
-                        <span class="player-total">${player.totalScore} points</span>
-                    </div>
-                `).join('')}
-            </div>
+            <h2>${headline}</h2>
+            <table class="final-scores">
+                <thead>
+                    <tr>
+                        <th>Rank</th>
+                        <th>Player</th>
+                        <th>💰 Money</th>
+                        <th>🧠 Knowledge</th>
+                        <th>🗣️ Influence</th>
+                        <th>Total</th>
+                        <th>Finished</th>
+                        <th>Result</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${standings.map(entry => `
+                        <tr class="${entry.eliminated ? 'eliminated' : ''}">
+                            <td>${entry.eliminated ? '-' : `${entry.rank}${entry.tied ? '=' : ''}`}</td>
+                            <td>${escapeHtml(entry.name)}<div class="player-role">${escapeHtml(PLAYER_ROLES[entry.role]?.name || entry.role)}</div></td>
+                            <td>${entry.resources.money || 0}</td>
+                            <td>${entry.resources.knowledge || 0}</td>
+                            <td>${entry.resources.influence || 0}</td>
+                            <td><strong>${entry.total}</strong></td>
+                            <td>${entry.finishPosition ? `#${entry.finishPosition}` : 'Did not finish'}</td>
+                            <td>${describeStatus(entry)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
         </div>
         <div class="end-game-actions">
             <button id="new-game-btn" class="action-button">Start New Game</button>
@@ -924,6 +997,46 @@ export function showEndGameScreen(winner, allPlayers = []) {
             showScreen('start-screen');
         });
     }
+
+    showScreen('end-game-screen');
+}
+
+function addEndGameStyles() {
+    const styles = document.createElement('style');
+    styles.id = 'end-game-styles';
+    styles.textContent = `
+        #end-game-screen .end-game-content {
+            padding: 20px;
+            color: white;
+            background-color: rgba(0, 0, 0, 0.75);
+            border-radius: 10px;
+        }
+
+        #end-game-screen .final-scores {
+            margin: 0 auto;
+            border-collapse: collapse;
+        }
+
+        #end-game-screen .final-scores th,
+        #end-game-screen .final-scores td {
+            padding: 6px 12px;
+            border-bottom: 1px solid rgba(255, 255, 255, 0.2);
+        }
+
+        #end-game-screen .final-scores tr.eliminated {
+            opacity: 0.6;
+        }
+
+        #end-game-screen .player-role {
+            font-size: 11px;
+            opacity: 0.8;
+        }
+
+        #end-game-screen .end-game-actions {
+            margin-top: 20px;
+        }
+    `;
+    document.head.appendChild(styles);
 }
 
 export function drawPlayers() {
@@ -939,16 +1052,26 @@ export function updatePlayerInfo() {
     const players = getPlayers();
     const gameState = getGameState();
     const currentPlayerId = gameState.currentPlayerId;
+    const canPlayKeptCards = canPerformAction('PLAY_KEPT_CARD');
+
+    if (!document.getElementById('hand-styles')) {
+        addHandStyles();
+    }
 
     let infoHTML = '<div class="player-info-grid">';
     players.forEach(player => {
         const isCurrent = player.id === currentPlayerId;
+        const canPlay = isCurrent && player.isHuman && canPlayKeptCards;
+        const handHTML = (player.cards || []).map((card, index) => `
+            <button class="hand-card ${escapeHtml(card.deckType || '')}" data-player-id="${escapeHtml(player.id)}" data-card-index="${index}"
+                title="${escapeHtml(card.name)}${canPlay ? ' (click to play)' : ''}" ${canPlay ? '' : 'disabled'}>${escapeHtml(card.name)}</button>
+        `).join('');
         const playerColor = TOKEN_COLOR;
         const roleInfo = PLAYER_ROLES[player.role];
         
         infoHTML += `
             <div class="player-card ${isCurrent ? 'current-player' : ''} animate-fadeIn" style="border-left-color: ${playerColor}">
-                <div class="player-name">${player.name} ${isCurrent ? '(Turn)' : ''} ${player.finished ? '(Fin)' : ''}</div>
+                <div class="player-name">${escapeHtml(player.name)} ${isCurrent ? '(Turn)' : ''} ${player.finished ? '(Fin)' : ''}</div>
                 <div class="player-role">${roleInfo.name}</div>
                 <div class="player-resources">
                     <span class="resource money">💰 ${player.resources.money ?? 0}</span> 
@@ -959,13 +1082,24 @@ export function updatePlayerInfo() {
                      ${player.skipTurns > 0 ? `<span class="status-bad">Skip Turn (${player.skipTurns})</span>` : ''}
                      ${player.temporaryImmunityTurns > 0 ? `<span class="status-good">Immunity (${player.temporaryImmunityTurns})</span>` : ''}
                      ${player.tradeBlockedTurns > 0 ? `<span class="status-bad">Trade Block (${player.tradeBlockedTurns})</span>` : ''}
+                     ${player.currentAlliancePartnerId ? `<span class="status-good">Allied: ${escapeHtml(getPlayerById(player.currentAlliancePartnerId)?.name || 'Unknown')}</span>` : ''}
                      <span class="${player.abilityUsed ? 'status-bad' : 'status-good'}">Ability: ${player.abilityUsed ? 'Used' : 'Available'}</span>
                 </div>
+                ${handHTML ? `<div class="player-hand">${handHTML}</div>` : ''}
             </div>
         `;
     });
     infoHTML += '</div>';
     panel.innerHTML = infoHTML;
+
+    // Kept cards can be played from the hand on their owner's turn
+    panel.querySelectorAll('.hand-card:not([disabled])').forEach(button => {
+        button.addEventListener('click', () => {
+            handlePlayerAction(button.dataset.playerId, 'PLAY_KEPT_CARD', {
+                cardIndex: Number(button.dataset.cardIndex)
+            });
+        });
+    });
     
     // Remove animation classes after animation completes
     setTimeout(() => {
@@ -974,6 +1108,49 @@ export function updatePlayerInfo() {
     }, 500);
 }
 
+function addHandStyles() {
+    const styles = document.createElement('style');
+    styles.id = 'hand-styles';
+    styles.textContent = `
+        .player-hand {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 4px;
+            margin-top: 6px;
+        }
+
+        .hand-card {
+            width: 48px;
+            height: 64px;
+            padding: 3px;
+            overflow: hidden;
+            font-size: 9px;
+            line-height: 1.1;
+            color: white;
+            background-color: #555;
+            border: 2px solid rgba(255, 255, 255, 0.6);
+            border-radius: 4px;
+            cursor: pointer;
+            transition: transform 0.2s;
+        }
+
+        .hand-card:not([disabled]):hover {
+            transform: translateY(-4px);
+        }
+
+        .hand-card[disabled] {
+            cursor: default;
+            opacity: 0.7;
+        }
+
+        .hand-card.purple { background-color: #9C54DE; }
+        .hand-card.blue { background-color: #1B3DE5; }
+        .hand-card.cyan { background-color: #00BFBF; }
+        .hand-card.pink { background-color: #FF66FF; }
+    `;
+    document.head.appendChild(styles);
+}
+
 // --- Card Display (Update element access) ---
 export function showCard(cardType, cardData, playerId, deckType = null) {
     if (!document.getElementById('card-container')) {
@@ -1086,19 +1263,19 @@ export function updateGameControls() {
     
     const { rollDiceBtn, endTurnBtn, useAbilityBtn } = elements.gameBoard;
     
-    if (rollDiceBtn) rollDiceBtn.disabled = !isHumanTurn || currentState !== 'AWAITING_ROLL';
+    // The turn state machine decides which actions are open
+    if (rollDiceBtn) rollDiceBtn.disabled = !isHumanTurn || !canPerformAction('ROLL_DICE');
     if (endTurnBtn) {
         // Only enable end turn button if action is complete and player has drawn an end of turn card
-        const canEndTurn = isHumanTurn && currentState === 'ACTION_COMPLETE' && 
+        const canEndTurn = isHumanTurn && canPerformAction('END_TURN') && 
                           (currentPlayer?.hasDrawnEndOfTurnCard === true || currentPlayer?.finished === true);
         endTurnBtn.disabled = !canEndTurn;
     }
-    if (useAbilityBtn) useAbilityBtn.disabled = !isHumanTurn || 
-                                          (currentState !== 'AWAITING_ROLL' && currentState !== 'ACTION_COMPLETE') ||
+    if (useAbilityBtn) useAbilityBtn.disabled = !isHumanTurn || !canPerformAction('USE_ABILITY') ||
                                           (currentPlayer?.abilityUsed === true);
     
     // Update button text if waiting for end of turn card
-    if (currentState === 'AWAITING_END_OF_TURN_CARD' && isHumanTurn) {
+    if (currentState === TURN_STATES.AWAITING_END_OF_TURN_CARD && isHumanTurn) {
         if (endTurnBtn) {
             endTurnBtn.innerHTML = "Draw Card";
             endTurnBtn.disabled = true;
@@ -1205,7 +1382,7 @@ export function showCardPopup(card, callback) {
     }
     
     // Get the current player
-    const player = getPlayerById(window.gameState?.currentPlayerId);
+    const player = getPlayerById(liveGameState.currentPlayerId);
     if (!player) {
         console.warn('Current player not found, continuing with card popup anyway');
     }
@@ -1263,7 +1440,10 @@ export function showCardPopup(card, callback) {
         }, 50);
         
         // Set up close handler
-        closeCardBtn.onclick = () => {
+        let closed = false;
+        const closeThisCard = () => {
+            if (closed) return;
+            closed = true;
             hideCard();
             // Ensure callback is executed after card is hidden
             if (callback) {
@@ -1271,6 +1451,12 @@ export function showCardPopup(card, callback) {
                 setTimeout(() => callback(), 100);
             }
         };
+        closeCardBtn.onclick = closeThisCard;
+
+        // CPU cards stay up for five seconds, then are put away without a click
+        if (player && !player.isHuman) {
+            setTimeout(closeThisCard, 5000);
+        }
         
         // Show additional details if available
         if (showDetailsBtn && card.details) {
@@ -1375,9 +1561,152 @@ export function formatEffect(effect) {
     }
 }
 
+/**
+ * Asks a human player whether to accept an alliance offer.
+ * @param {object} proposer - The player offering the alliance.
+ * @param {object} partner - The player being asked.
+ * @param {function} callback - Called with true if accepted, false if declined.
+ */
+export function promptAllianceResponse(proposer, partner, callback) {
+    showColoredDeckCard({
+        title: 'Alliance Offer',
+        message: `
+            <p><strong>${escapeHtml(partner.name)}</strong>, ${escapeHtml(proposer.name)} (${escapeHtml(PLAYER_ROLES[proposer.role]?.name || proposer.role)}) offers you an alliance.</p>
+            <p>Allies are immune to negative effects for 1 turn. The alliance lasts until the end of the round.</p>
+        `,
+        buttons: [
+            { text: 'Accept', action: () => callback(true) },
+            { text: 'Decline', action: () => callback(false) }
+        ]
+    });
+}
+
+/**
+ * Opens the trade composer so a player can build a trade or swap offer.
+ * @param {object} sourcePlayer - The player making the offer.
+ * @param {Array<object>} partners - Players who could receive the offer.
+ * @param {object} checks - {isTradeBlocked(playerId), canAfford(playerId, {resource, amount})}.
+ * @param {function} callback - Called with {partnerId, offer, request, isSwap}, or null if cancelled.
+ */
+export function showTradeComposer(sourcePlayer, partners, checks, callback) {
+    const resources = ['money', 'knowledge', 'influence'];
+    const resourceOptions = (selected) => resources.map(resource =>
+        `<option value="${resource}" ${resource === selected ? 'selected' : ''}>${resource}</option>`
+    ).join('');
+    const partnerOptions = partners.map(partner => {
+        const blocked = checks.isTradeBlocked(partner.id);
+        return `<option value="${escapeHtml(partner.id)}" ${blocked ? 'disabled' : ''}>${escapeHtml(partner.name)}${blocked ? ' (trade blocked)' : ''}</option>`;
+    }).join('');
+    const firstOpenPartner = partners.find(partner => !checks.isTradeBlocked(partner.id));
+
+    showColoredDeckCard({
+        title: `${sourcePlayer.name}: Propose a Trade`,
+        message: `
+            <div class="trade-composer">
+                <label>Trade with <select id="trade-partner-select">${partnerOptions}</select></label>
+                <label><input type="checkbox" id="trade-swap-toggle"> Even swap (same amount each way)</label>
+                <div>You give <input type="number" id="trade-give-amount" min="1" value="1"> <select id="trade-give-resource">${resourceOptions('money')}</select></div>
+                <div>You receive <input type="number" id="trade-receive-amount" min="1" value="1"> <select id="trade-receive-resource">${resourceOptions('knowledge')}</select></div>
+                <div id="trade-composer-resources"></div>
+                <div id="trade-composer-status"></div>
+            </div>
+        `,
+        buttons: [
+            { text: 'Send Offer', action: () => callback(readTradeComposer()) },
+            { text: 'Cancel', action: () => callback(null) }
+        ]
+    });
+
+    const partnerSelect = document.getElementById('trade-partner-select');
+    const swapToggle = document.getElementById('trade-swap-toggle');
+    const giveAmount = document.getElementById('trade-give-amount');
+    const giveResource = document.getElementById('trade-give-resource');
+    const receiveAmount = document.getElementById('trade-receive-amount');
+    const receiveResource = document.getElementById('trade-receive-resource');
+    const resourcesEl = document.getElementById('trade-composer-resources');
+    const statusEl = document.getElementById('trade-composer-status');
+    const sendButton = document.querySelector('#colored-deck-buttons .colored-deck-button');
+    if (firstOpenPartner) partnerSelect.value = firstOpenPartner.id;
+
+    const readTradeComposer = () => {
+        const isSwap = swapToggle.checked;
+        const offerAmount = parseInt(giveAmount.value, 10) || 0;
+        return {
+            partnerId: partnerSelect.value,
+            offer: { resource: giveResource.value, amount: offerAmount },
+            request: { resource: receiveResource.value, amount: isSwap ? offerAmount : (parseInt(receiveAmount.value, 10) || 0) },
+            isSwap
+        };
+    };
+
+    // Re-check the offer on every change so only offers both sides can afford are sent
+    const refreshComposer = () => {
+        const proposal = readTradeComposer();
+        const partner = partners.find(p => p.id === proposal.partnerId);
+        receiveAmount.disabled = proposal.isSwap;
+        if (proposal.isSwap) receiveAmount.value = proposal.offer.amount;
+
+        const problems = [];
+        if (!partner || checks.isTradeBlocked(partner.id)) problems.push('Choose a partner who can trade.');
+        if (proposal.offer.amount <= 0 || proposal.request.amount <= 0) problems.push('Amounts must be at least 1.');
+        if (proposal.offer.resource === proposal.request.resource) problems.push('Give and receive different resources.');
+        if (!checks.canAfford(sourcePlayer.id, proposal.offer)) problems.push(`You only have ${sourcePlayer.resources[proposal.offer.resource] || 0} ${proposal.offer.resource}.`);
+        if (partner && !checks.canAfford(partner.id, proposal.request)) problems.push(`${partner.name} only has ${partner.resources[proposal.request.resource] || 0} ${proposal.request.resource}.`);
+
+        resourcesEl.innerHTML = [sourcePlayer, partner].filter(Boolean).map(p =>
+            `<div>${escapeHtml(p.name)}: 💰 ${p.resources.money || 0} | 🧠 ${p.resources.knowledge || 0} | 🗣️ ${p.resources.influence || 0}</div>`
+        ).join('');
+        statusEl.innerHTML = problems.map(problem => `<div class="status-bad">${escapeHtml(problem)}</div>`).join('');
+        if (sendButton) sendButton.disabled = problems.length > 0;
+    };
+
+    [partnerSelect, swapToggle, giveAmount, giveResource, receiveAmount, receiveResource].forEach(input => {
+        input.addEventListener('input', refreshComposer);
+        input.addEventListener('change', refreshComposer);
+    });
+    refreshComposer();
+}
+
 // --- Trade Prompt (Update element access) ---
 export function promptForTradeResponse(sourcePlayer, targetPlayer, offerDetails, requestDetails, isSwap, callback) {
-    if (!elements.popups.trade) return;
+    // Format offer details for display
+    let offerText = '';
+    if (offerDetails && offerDetails.resource) {
+        offerText = `${offerDetails.amount} ${offerDetails.resource}`;
+    }
+    
+    // Format request details for display
+    let requestText = '';
+    if (requestDetails && requestDetails.resource) {
+        requestText = `${isSwap ? offerDetails.amount : requestDetails.amount} ${requestDetails.resource}`;
+    } else if (isSwap && offerDetails && offerDetails.resource) {
+        // Older swap offers only carry one resource
+        requestText = offerText;
+    }
+    
+    // Create trade prompt text based on trade type
+    let tradePromptText = '';
+    if (isSwap) {
+        tradePromptText = `${sourcePlayer.name} wants to swap ${offerText} for ${requestText} of yours, the same amount each way.`;
+    } else {
+        tradePromptText = `${sourcePlayer.name} offers you ${offerText} in exchange for your ${requestText}`;
+    }
+    
+    if (!elements.popups.trade) {
+        // No trade modal in the page, so ask with a card instead
+        showColoredDeckCard({
+            title: 'Trade Offer',
+            message: `
+                <p><strong>${escapeHtml(targetPlayer.name)}</strong>, ${escapeHtml(tradePromptText)}</p>
+                <p>Your resources: 💰 ${targetPlayer.resources.money || 0} | 🧠 ${targetPlayer.resources.knowledge || 0} | 🗣️ ${targetPlayer.resources.influence || 0}</p>
+            `,
+            buttons: [
+                { text: 'Accept', action: () => callback(true) },
+                { text: 'Reject', action: () => callback(false) }
+            ]
+        });
+        return;
+    }
     
     // Scale the trade prompt
     scaleUIContainer(elements.popups.trade, CONTAINER_DIMENSIONS.tradePrompt);
@@ -1397,29 +1726,6 @@ export function promptForTradeResponse(sourcePlayer, targetPlayer, offerDetails,
     
     const popup = elements.popups.trade;
     
-    // Format offer details for display
-    let offerText = '';
-    if (offerDetails && offerDetails.resource) {
-        offerText = `${offerDetails.amount} ${offerDetails.resource}`;
-    }
-    
-    // Format request details for display
-    let requestText = '';
-    if (!isSwap && requestDetails && requestDetails.resource) {
-        requestText = `${requestDetails.amount} ${requestDetails.resource}`;
-    } else if (isSwap && offerDetails && offerDetails.resource) {
-        // For swaps, the request is for the same resource
-        requestText = `${offerDetails.amount} ${offerDetails.resource}`;
-    }
-    
-    // Create trade prompt text based on trade type
-    let tradePromptText = '';
-    if (isSwap) {
-        tradePromptText = `${sourcePlayer.name} wants to swap ${offerText} with you. You'll give ${offerText} and receive the same amount.`;
-    } else {
-        tradePromptText = `${sourcePlayer.name} offers you ${offerText} in exchange for your ${requestText}`;
-    }
-    
     // Update trade prompt UI
     if (elements.popups.tradePromptText) {
         elements.popups.tradePromptText.textContent = tradePromptText;
@@ -1445,7 +1751,18 @@ export function promptForTradeResponse(sourcePlayer, targetPlayer, offerDetails,
  * @param {function} callback - Function to call with the selected target, or null if canceled.
  */
 export function promptTargetSelection(sourcePlayer, possibleTargets, description, callback) {
-    if (!elements.popups.targetSelection) return;
+    if (!elements.popups.targetSelection) {
+        // No target modal in the page, so offer the targets as card buttons instead
+        showColoredDeckCard({
+            title: `${sourcePlayer.name}: Choose a Player`,
+            message: description,
+            buttons: possibleTargets.map(targetPlayer => ({
+                text: `${targetPlayer.name} (${PLAYER_ROLES[targetPlayer.role]?.name || targetPlayer.role})`,
+                action: () => callback(targetPlayer)
+            }))
+        });
+        return;
+    }
     
     // Scale the target selection modal
     scaleUIContainer(elements.popups.targetSelection, CONTAINER_DIMENSIONS.targetSelection);
@@ -1833,14 +2150,10 @@ export function updateGameComponents() {
         // Update player info panel
         updatePlayerInfo();
         
-        // Update board state
-        if (window.board && typeof window.board.updateBoardState === 'function') {
-            window.board.updateBoardState();
-        }
-        
         // Update any other game components that need updating
         updateResourceDisplays();
         updateTurnIndicators();
+        updateSeedDisplay();
         
         console.log("Game components updated successfully");
     } catch (error) {
@@ -1865,6 +2178,16 @@ function updateResourceDisplays() {
     });
 }
 
+/**
+ * Show the seed of the current game so it can be replayed
+ */
+function updateSeedDisplay() {
+    const seedDisplay = document.getElementById('rng-seed-display');
+    if (seedDisplay) {
+        seedDisplay.textContent = `Seed: ${getSeed()}`;
+    }
+}
+
 /**
  * Update turn indicators for all players
  */
@@ -2207,12 +2530,7 @@ export function clearHighlights() {
     
     // Redraw the board to clear highlights
     try {
-        // Check if drawBoard is available as a global function through the window object
-        if (window.board && typeof window.board.drawBoard === 'function') {
-            window.board.drawBoard();
-        } else if (typeof window.drawBoard === 'function') {
-            window.drawBoard();
-        }
+        drawBoard();
     } catch (error) {
         console.error("Error during clearHighlights:", error);
     }
@@ -2559,7 +2877,7 @@ export function showActionCard(cardData) {
         logGameEvent('CARD_DISPLAYED', {
             cardType: cardData.type || 'generic',
             cardTitle: cardData.title || 'Action Card',
-            playerId: window.gameState?.currentPlayerId,
+            playerId: liveGameState.currentPlayerId,
             hasButtons: Array.isArray(cardData.buttons) && cardData.buttons.length > 0
         });
     } catch (e) {
@@ -2893,9 +3211,7 @@ export function logUIEvent(eventType, playerId, details = {}) {
     
     switch (eventType) {
         case 'RESOURCE_CHANGE':
-            if (details.resourceType && details.amount) {
-                logResourceChange(playerId, details.resourceType, details.amount, details.reason || 'UI event');
-            }
+            // updatePlayerResources has already logged the change; the animation only echoes it
             break;
             
         case 'PLAYER_ACTION':
@@ -3220,6 +3536,789 @@ function addColoredDeckStyles() {
     document.head.appendChild(styles);
 }
 
+// ===== Save / Load Dialogs =====
+
+/**
+ * Shows a dialog asking for a slot name and saves the current game into it
+ */
+export function showSaveGameDialog() {
+    const defaultName = `Save ${new Date().toLocaleString()}`;
+    const existingSlots = listSaveSlots()
+        .map(slot => `<li>${escapeHtml(slot.slotName)}</li>`)
+        .join('');
+
+    showColoredDeckCard({
+        title: 'Save Game',
+        message: `
+            <label for="save-slot-name">Slot name:</label>
+            <input id="save-slot-name" type="text" value="${defaultName}" style="width: 100%; margin-top: 5px;">
+            ${existingSlots ? `<p style="margin-bottom: 0;">Existing saves (same name overwrites):</p><ul>${existingSlots}</ul>` : ''}
+        `,
+        buttons: [
+            {
+                text: 'Save',
+                action: () => {
+                    const input = document.getElementById('save-slot-name');
+                    saveCurrentGame(input ? input.value.trim() : defaultName);
+                }
+            },
+            { text: 'Cancel' }
+        ]
+    });
+}
+
+/**
+ * Shows a dialog listing the save slots, newest first, with load and delete buttons
+ */
+export function showLoadGameDialog() {
+    const slots = listSaveSlots();
+
+    if (slots.length === 0) {
+        showColoredDeckCard({
+            title: 'Load Game',
+            message: 'There are no saved games yet.'
+        });
+        return;
+    }
+
+    const buttons = [];
+    slots.forEach(slot => {
+        buttons.push({
+            text: `Load "${slot.slotName}"`,
+            action: () => {
+                resumeSavedGame(slot.slotName).then(success => {
+                    if (success) {
+                        showScreen('game-board-screen');
+                        updatePlayerInfo();
+                        updateGameControls();
+                    } else {
+                        alert(`Could not load "${slot.slotName}". Check the console for details.`);
+                    }
+                });
+            }
+        });
+        buttons.push({
+            text: `Delete "${slot.slotName}"`,
+            action: () => {
+                deleteSaveSlot(slot.slotName);
+                setTimeout(showLoadGameDialog, 350); // Reopen once the hide animation finishes
+            }
+        });
+    });
+    buttons.push({ text: 'Cancel' });
+
+    const slotList = slots.map(slot => `
+        <li><strong>${escapeHtml(slot.slotName)}</strong> - Round ${slot.currentRound}, Turn ${slot.currentTurn}
+            (${new Date(slot.savedAt).toLocaleString()})<br>
+            <small>${escapeHtml(slot.playerNames.join(', '))}</small></li>
+    `).join('');
+
+    showColoredDeckCard({
+        title: 'Load Game',
+        message: `<ul>${slotList}</ul>`,
+        buttons
+    });
+
+    // The slot buttons can outgrow a single row
+    const buttonContainer = document.getElementById('colored-deck-buttons');
+    if (buttonContainer) buttonContainer.style.flexWrap = 'wrap';
+}
+
+/**
+ * Loads the game file picked in the start screen's file input
+ * @param {Event} e - Change event from the file input
+ */
+export function handleGameFileSelected(e) {
+    const input = e.target;
+    const file = input.files && input.files[0];
+    if (!file) return;
+
+    loadGameFromFile(file).then(success => {
+        if (success) {
+            showScreen('game-board-screen');
+            updatePlayerInfo();
+            updateGameControls();
+        } else {
+            alert(`"${file.name}" is not a valid Critocracy game file. Check the console for details.`);
+        }
+        // Allow the same file to be picked again
+        input.value = '';
+    });
+}
+
+// ===== Replay Controls =====
+
+/**
+ * Shows the replay control bar over the board
+ * @param {Object} controls - Callbacks: {onBack, onPlayPause, onForward, onSpeedChange, onExit}
+ */
+export function showReplayControls(controls) {
+    let bar = document.getElementById('replay-controls');
+
+    if (!bar) {
+        bar = document.createElement('div');
+        bar.id = 'replay-controls';
+        bar.innerHTML = `
+            <div class="replay-buttons">
+                <button id="replay-back-btn" title="Previous turn">&#9198; Back</button>
+                <button id="replay-play-btn" title="Play / pause">&#9654; Play</button>
+                <button id="replay-forward-btn" title="Next turn">Forward &#9197;</button>
+                <label for="replay-speed-select">Speed</label>
+                <select id="replay-speed-select">
+                    <option value="0.5">0.5x</option>
+                    <option value="1" selected>1x</option>
+                    <option value="2">2x</option>
+                    <option value="4">4x</option>
+                </select>
+                <button id="replay-exit-btn">Exit Replay</button>
+            </div>
+            <div id="replay-status"></div>
+            <div id="replay-resources"></div>
+        `;
+        document.body.appendChild(bar);
+    }
+
+    if (!document.getElementById('replay-styles')) {
+        addReplayStyles();
+    }
+
+    // Rebind each time so a new replay never calls the old one's callbacks
+    document.getElementById('replay-back-btn').onclick = controls.onBack;
+    document.getElementById('replay-play-btn').onclick = controls.onPlayPause;
+    document.getElementById('replay-forward-btn').onclick = controls.onForward;
+    document.getElementById('replay-exit-btn').onclick = controls.onExit;
+    document.getElementById('replay-speed-select').onchange = (e) => {
+        controls.onSpeedChange(parseFloat(e.target.value) || 1);
+    };
+
+    // The normal turn controls do nothing during a replay
+    const gameControls = document.getElementById('game-controls');
+    if (gameControls) gameControls.style.display = 'none';
+
+    bar.style.display = 'flex';
+}
+
+/**
+ * Updates the replay status line and resource table
+ * @param {Object} status - {turnIndex, turnCount, turnLabel, playing, players}
+ */
+export function updateReplayControls(status) {
+    const playBtn = document.getElementById('replay-play-btn');
+    const statusEl = document.getElementById('replay-status');
+    const resourcesEl = document.getElementById('replay-resources');
+    if (!playBtn || !statusEl || !resourcesEl) return;
+
+    playBtn.innerHTML = status.playing ? '&#9208; Pause' : '&#9654; Play';
+    document.getElementById('replay-back-btn').disabled = status.turnIndex <= 0;
+    document.getElementById('replay-forward-btn').disabled = status.turnIndex >= status.turnCount;
+
+    statusEl.textContent = `Turn ${status.turnIndex} of ${status.turnCount}${status.turnLabel ? ` - ${status.turnLabel}` : ''}`;
+
+    resourcesEl.innerHTML = status.players.map(player => `
+        <div class="replay-player${player.isActive ? ' active' : ''}">
+            <strong>${escapeHtml(player.name)}</strong>
+            <span>💰 ${player.resources.money || 0}</span>
+            <span>🧠 ${player.resources.knowledge || 0}</span>
+            <span>🗣️ ${player.resources.influence || 0}</span>
+        </div>
+    `).join('');
+}
+
+/**
+ * Hides the replay control bar and restores the turn controls
+ */
+export function hideReplayControls() {
+    const bar = document.getElementById('replay-controls');
+    if (bar) bar.style.display = 'none';
+
+    const gameControls = document.getElementById('game-controls');
+    if (gameControls) gameControls.style.display = '';
+}
+
+function addReplayStyles() {
+    const styles = document.createElement('style');
+    styles.id = 'replay-styles';
+    styles.textContent = `
+        #replay-controls {
+            position: fixed;
+            top: 10px;
+            left: 50%;
+            transform: translateX(-50%);
+            display: none;
+            flex-direction: column;
+            align-items: center;
+            gap: 6px;
+            padding: 10px 15px;
+            background-color: rgba(0, 0, 0, 0.8);
+            color: white;
+            border-radius: 8px;
+            z-index: 1500;
+        }
+
+        #replay-controls .replay-buttons {
+            display: flex;
+            align-items: center;
+            gap: 8px;
+        }
+
+        #replay-resources {
+            display: flex;
+            flex-wrap: wrap;
+            justify-content: center;
+            gap: 10px;
+            font-size: 12px;
+        }
+
+        .replay-player {
+            display: flex;
+            gap: 5px;
+            padding: 2px 6px;
+            border-radius: 4px;
+        }
+
+        .replay-player.active {
+            background-color: rgba(255, 215, 0, 0.4);
+        }
+    `;
+    document.head.appendChild(styles);
+}
+
+// ===== Turn Summary =====
+
+const TURN_SUMMARY_AUTO_CLOSE = 2500;
+
+/**
+ * Describes one status change from a turn summary in plain words
+ * @param {Object} change - {playerId, type, data}
+ * @returns {string} Readable description
+ */
+const describeStatusChange = (change) => {
+    const name = getPlayerById(change.playerId)?.name || change.data.playerName || 'A player';
+    switch (change.type) {
+        case 'SKIP_TURN_SET': return `${name} will skip ${change.data.turns} turn(s)`;
+        case 'TURN_SKIPPED': return `${name} skipped this turn`;
+        case 'IMMUNITY_GRANTED': return `${name} is immune for ${change.data.turns} turn(s)`;
+        case 'TRADE_BLOCKED': return `${name} cannot trade for ${change.data.turns} turn(s)`;
+        case 'PLAYER_FINISHED': return `${name} reached the Finish (#${change.data.finishPosition})`;
+        case 'KEPT_CARD_PLAYED': return `${name} played ${change.data.cardName} from their hand`;
+        case 'ALLIANCE_FORMED':
+        case 'ALLIANCE_ENDED': {
+            const names = (change.data.players || []).map(id => getPlayerById(id)?.name || id).join(' and ');
+            return change.type === 'ALLIANCE_FORMED' ? `${names} formed an alliance` : `The alliance between ${names} ended`;
+        }
+        case 'DECK_RESHUFFLED': return `The ${change.data.deckType} deck was reshuffled`;
+        default: return change.type;
+    }
+};
+
+/**
+ * Shows what happened during a turn before play passes to the next player
+ * @param {Object} summary - From getTurnSummary
+ * @param {Object} options - {autoClose: true to dismiss on its own, e.g. after a CPU turn}
+ * @param {function} onContinue - Called when the summary is dismissed
+ */
+export function showTurnSummary(summary, options, onContinue) {
+    let overlay = document.getElementById('turn-summary-overlay');
+    if (!overlay) {
+        overlay = document.createElement('div');
+        overlay.id = 'turn-summary-overlay';
+        document.body.appendChild(overlay);
+    }
+
+    if (!document.getElementById('turn-summary-styles')) {
+        addTurnSummaryStyles();
+    }
+
+    const player = getPlayerById(summary.playerId);
+    // Names and card names can come from a loaded file, so everything put into the HTML is escaped
+    const nameOf = (playerId) => escapeHtml(getPlayerById(playerId)?.name || 'Unknown');
+    const formatChanges = (changes) => Object.entries(changes)
+        .filter(([, amount]) => amount)
+        .map(([resource, amount]) => `<span class="${amount > 0 ? 'status-good' : 'status-bad'}">${amount > 0 ? '+' : ''}${amount} ${escapeHtml(resource)}</span>`)
+        .join(', ');
+    const formatSource = (change) => {
+        const source = (change.source || 'unknown').replace(/_/g, ' ').toLowerCase();
+        return escapeHtml(change.cardName ? `${change.cardName} (${source})` : source);
+    };
+    const section = (title, items) => items.length === 0 ? '' : `
+        <h4>${title}</h4>
+        <ul>${items.map(item => `<li>${item}</li>`).join('')}</ul>
+    `;
+
+    const moves = summary.moves.map(move => {
+        const space = findSpaceDetailsByCoords(move.toCoords);
+        return `${nameOf(move.playerId)} moved ${move.spaces} space(s)${space?.Type ? ` to a ${escapeHtml(space.Type)} space` : ''}`;
+    });
+    const cards = summary.cards.map(card => `${nameOf(card.playerId)} drew ${escapeHtml(card.cardName)} (${escapeHtml((card.deckType || 'unknown').replace(/_/g, ' '))})`);
+    const resources = summary.resourceChanges.map(change => `${nameOf(change.playerId)}: ${formatChanges(change.changes)} from ${formatSource(change)}`);
+    const statuses = summary.statusChanges.map(change => escapeHtml(describeStatusChange(change)));
+    const body = section('Movement', moves) + section('Cards', cards) + section('Resources', resources) + section('Status', statuses);
+
+    overlay.innerHTML = `
+        <div class="turn-summary-content">
+            <h3>Turn ${summary.turnNumber}: ${player ? escapeHtml(player.name) : 'Summary'}</h3>
+            ${body || '<p>Nothing changed this turn.</p>'}
+            <button id="turn-summary-continue-btn">Continue</button>
+        </div>
+    `;
+    overlay.style.display = 'flex';
+
+    let closed = false;
+    const close = () => {
+        if (closed) return;
+        closed = true;
+        overlay.style.display = 'none';
+        onContinue();
+    };
+    document.getElementById('turn-summary-continue-btn').onclick = close;
+    if (options?.autoClose) {
+        setTimeout(close, TURN_SUMMARY_AUTO_CLOSE);
+    }
+}
+
+function addTurnSummaryStyles() {
+    const styles = document.createElement('style');
+    styles.id = 'turn-summary-styles';
+    styles.textContent = `
+        #turn-summary-overlay {
+            position: fixed;
+            inset: 0;
+            display: none;
+            justify-content: center;
+            align-items: center;
+            background-color: rgba(0, 0, 0, 0.4);
+            z-index: 1500;
+        }
+
+        #turn-summary-overlay .turn-summary-content {
+            min-width: 320px;
+            max-width: 520px;
+            max-height: 70vh;
+            overflow-y: auto;
+            padding: 16px 20px;
+            color: white;
+            background-color: rgba(20, 20, 30, 0.95);
+            border-radius: 10px;
+            box-shadow: 0 4px 16px rgba(0, 0, 0, 0.5);
+        }
+
+        #turn-summary-overlay h4 {
+            margin: 10px 0 4px;
+        }
+
+        #turn-summary-overlay ul {
+            margin: 0;
+            padding-left: 18px;
+        }
+
+        #turn-summary-overlay .status-good {
+            color: #7CFC7C;
+        }
+
+        #turn-summary-overlay .status-bad {
+            color: #FF8080;
+        }
+
+        #turn-summary-continue-btn {
+            display: block;
+            margin: 14px auto 0;
+        }
+    `;
+    document.head.appendChild(styles);
+}
+
+// ===== Stalled Turns =====
+
+const RECOVERY_LABELS = {
+    [RECOVERY_OPTIONS.RETRY_STEP]: 'Retry the step',
+    [RECOVERY_OPTIONS.SKIP_TO_END_OF_TURN_CARD]: 'Skip to the End of Turn card',
+    [RECOVERY_OPTIONS.ADVANCE_TO_NEXT_PLAYER]: 'Advance to the next player'
+};
+
+/**
+ * Tells the player a turn has stopped moving and lets them choose how to recover it
+ * @param {Object} snapshot - From getStallSnapshot
+ * @param {Array<string>} options - RECOVERY_OPTIONS that apply to the stalled turn
+ */
+function showStallRecovery(snapshot, options) {
+    let overlay = document.getElementById('turn-watchdog-overlay');
+    if (!overlay) {
+        overlay = document.createElement('div');
+        overlay.id = 'turn-watchdog-overlay';
+        document.body.appendChild(overlay);
+    }
+
+    if (!document.getElementById('turn-watchdog-styles')) {
+        addStallRecoveryStyles();
+    }
+
+    const playerName = snapshot.player?.name || 'The current player';
+    const seconds = Math.round(snapshot.stalledForMs / 1000);
+    overlay.innerHTML = `
+        <div class="turn-watchdog-content">
+            <h3>The turn has stalled</h3>
+            <p>${escapeHtml(playerName)}'s turn has been stuck in ${snapshot.turnState.replace(/_/g, ' ').toLowerCase()} for ${seconds} seconds.</p>
+            <div class="turn-watchdog-buttons">
+                ${options.map(option => `<button data-option="${option}">${RECOVERY_LABELS[option]}</button>`).join('')}
+                <button data-option="">Keep waiting</button>
+            </div>
+            <details>
+                <summary>Game state</summary>
+                <pre>${escapeHtml(JSON.stringify(snapshot, null, 2))}</pre>
+            </details>
+        </div>
+    `;
+    overlay.style.display = 'flex';
+
+    overlay.querySelectorAll('button').forEach(button => {
+        button.onclick = () => {
+            hideStallRecovery();
+            if (button.dataset.option) recoverStalledTurn(button.dataset.option);
+            else keepWaiting();
+        };
+    });
+}
+
+function hideStallRecovery() {
+    const overlay = document.getElementById('turn-watchdog-overlay');
+    if (overlay) overlay.style.display = 'none';
+}
+
+function addStallRecoveryStyles() {
+    const styles = document.createElement('style');
+    styles.id = 'turn-watchdog-styles';
+    styles.textContent = `
+        #turn-watchdog-overlay {
+            position: fixed;
+            inset: 0;
+            display: none;
+            justify-content: center;
+            align-items: center;
+            background-color: rgba(0, 0, 0, 0.5);
+            z-index: 1600;
+        }
+
+        #turn-watchdog-overlay .turn-watchdog-content {
+            min-width: 320px;
+            max-width: 560px;
+            max-height: 80vh;
+            overflow-y: auto;
+            padding: 16px 20px;
+            color: white;
+            background-color: rgba(40, 20, 20, 0.95);
+            border-radius: 10px;
+            box-shadow: 0 4px 16px rgba(0, 0, 0, 0.5);
+        }
+
+        #turn-watchdog-overlay .turn-watchdog-buttons {
+            display: flex;
+            flex-direction: column;
+            gap: 6px;
+            margin: 12px 0;
+        }
+
+        #turn-watchdog-overlay pre {
+            max-height: 240px;
+            overflow: auto;
+            font-size: 11px;
+        }
+    `;
+    document.head.appendChild(styles);
+}
+
+// ===== Deck Counters =====
+
+const DECK_COUNTER_LABELS = {
+    purple: 'Purple',
+    blue: 'Blue',
+    cyan: 'Cyan',
+    pink: 'Pink',
+    end_of_turn: 'End of Turn'
+};
+
+/**
+ * Shows how many cards are left in each deck
+ * @param {Object} counts - Remaining card counts keyed by deck type
+ */
+export function updateDeckCounters(counts) {
+    let counters = document.getElementById('deck-counters');
+
+    if (!counters) {
+        const controls = document.getElementById('controls');
+        if (!controls) return;
+
+        counters = document.createElement('div');
+        counters.id = 'deck-counters';
+        counters.innerHTML = Object.entries(DECK_COUNTER_LABELS).map(([deckType, label]) => `
+            <span class="deck-counter ${deckType}" id="deck-counter-${deckType}" title="${label} deck">
+                ${label}: <strong>0</strong>
+            </span>
+        `).join('');
+        controls.appendChild(counters);
+    }
+
+    if (!document.getElementById('deck-counter-styles')) {
+        addDeckCounterStyles();
+    }
+
+    Object.entries(counts).forEach(([deckType, count]) => {
+        const value = document.querySelector(`#deck-counter-${deckType} strong`);
+        if (value) value.textContent = count;
+    });
+}
+
+/**
+ * Flashes a deck's counter, e.g. when the deck has just been reshuffled
+ * @param {string} deckType - The deck to flash
+ * @returns {Promise} Resolves when the flash is over
+ */
+export function flashDeckCounter(deckType) {
+    const counter = document.getElementById(`deck-counter-${deckType}`);
+    if (!counter) return Promise.resolve();
+    return animateDeckFlash(counter, true);
+}
+
+function addDeckCounterStyles() {
+    const styles = document.createElement('style');
+    styles.id = 'deck-counter-styles';
+    styles.textContent = `
+        #deck-counters {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 6px;
+            margin-top: 8px;
+        }
+
+        .deck-counter {
+            padding: 2px 8px;
+            font-size: 12px;
+            color: white;
+            background-color: #555;
+            border-radius: 10px;
+            transition: opacity 0.2s;
+        }
+
+        .deck-counter.purple { background-color: #9C54DE; }
+        .deck-counter.blue { background-color: #1B3DE5; }
+        .deck-counter.cyan { background-color: #00BFBF; }
+        .deck-counter.pink { background-color: #FF66FF; }
+        .deck-counter.end_of_turn { background-color: #8B5A2B; }
+    `;
+    document.head.appendChild(styles);
+}
+
+// ===== Dev Overlay =====
+
+/**
+ * Checks whether the page was opened in dev mode (index.html?dev)
+ * @returns {boolean} True in dev mode
+ */
+export function isDevMode() {
+    return new URLSearchParams(window.location.search).has('dev');
+}
+
+/**
+ * Shows data problems in a dismissible dev panel
+ * @param {string} id - Element id of the panel
+ * @param {string} heading - Summary line
+ * @param {Object} report - {errors, warnings}
+ * @param {function} describeProblem - Turns a problem into {where, message}
+ */
+function showValidationOverlay(id, heading, report, describeProblem) {
+    let overlay = document.getElementById(id);
+    if (!overlay) {
+        overlay = document.createElement('div');
+        overlay.id = id;
+        overlay.className = 'dev-validation-overlay';
+        document.body.appendChild(overlay);
+    }
+
+    if (!document.getElementById('dev-overlay-styles')) {
+        addDevOverlayStyles();
+    }
+
+    const renderProblems = (problems, className) => problems.map(problem => {
+        const { where, message } = describeProblem(problem);
+        return `<li class="${className}"><strong>${where}</strong>: ${message}</li>`;
+    }).join('');
+
+    overlay.innerHTML = `
+        <div class="dev-overlay-header">
+            <span>${heading}</span>
+            <button class="dev-overlay-close-btn">Close</button>
+        </div>
+        <ul>
+            ${renderProblems(report.errors, 'dev-error')}
+            ${renderProblems(report.warnings, 'dev-warning')}
+        </ul>
+    `;
+    overlay.querySelector('.dev-overlay-close-btn').onclick = () => {
+        overlay.style.display = 'none';
+    };
+    overlay.style.display = 'block';
+}
+
+/**
+ * Shows card data problems in a dismissible panel
+ * @param {Object} report - {errors, warnings, cardCount}, problems being {deckType, cardName, message}
+ */
+export function showCardValidationOverlay(report) {
+    showValidationOverlay(
+        'card-validation-overlay',
+        `Card data: ${report.cardCount} cards, ${report.errors.length} errors, ${report.warnings.length} warnings`,
+        report,
+        problem => ({ where: `[${problem.deckType}] ${problem.cardName}`, message: problem.message })
+    );
+}
+
+/**
+ * Shows board data problems in a dismissible panel
+ * @param {Object} report - {errors, warnings, spaceCount}, problems being {pathColor, coords, message}
+ */
+function showBoardValidationOverlay(report) {
+    showValidationOverlay(
+        'board-validation-overlay',
+        `Board data: ${report.spaceCount} spaces, ${report.errors.length} errors, ${report.warnings.length} warnings`,
+        report,
+        problem => ({ where: `[${problem.pathColor}] (${problem.coords.join(', ')})`, message: problem.message })
+    );
+}
+
+function addDevOverlayStyles() {
+    const styles = document.createElement('style');
+    styles.id = 'dev-overlay-styles';
+    styles.textContent = `
+        .dev-validation-overlay {
+            position: fixed;
+            bottom: 10px;
+            left: 10px;
+            width: 420px;
+            max-height: 40vh;
+            overflow-y: auto;
+            padding: 10px;
+            background-color: rgba(0, 0, 0, 0.85);
+            color: white;
+            font-family: monospace;
+            font-size: 12px;
+            border-radius: 8px;
+            z-index: 2000;
+        }
+
+        #board-validation-overlay {
+            left: auto;
+            right: 10px;
+        }
+
+        .dev-validation-overlay .dev-overlay-header {
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+            gap: 10px;
+            font-weight: bold;
+        }
+
+        .dev-validation-overlay ul {
+            margin: 8px 0 0;
+            padding-left: 18px;
+        }
+
+        .dev-validation-overlay .dev-error {
+            color: #ff8080;
+        }
+
+        .dev-validation-overlay .dev-warning {
+            color: #ffd966;
+        }
+    `;
+    document.head.appendChild(styles);
+}
+
+// ===== Game Event Listeners =====
+// The rules announce what happened on the event bus; everything below turns that into screen updates
+
+on(GAME_EVENTS.MESSAGE, ({ text, type }) => logMessage(text, type));
+
+on(GAME_EVENTS.RESOURCES_CHANGED, ({ player, changes, source }) => {
+    updatePlayerInfo();
+    if (source === 'CARD' || source === 'CARD_END_OF_TURN') {
+        Object.entries(changes).forEach(([resource, amount]) => {
+            if (amount) displayResourceChangeEffect(player.id, resource, amount);
+        });
+    }
+});
+
+on(GAME_EVENTS.PLAYERS_CHANGED, () => updatePlayerInfo());
+
+// A turn that moves again on its own no longer needs recovering
+on(GAME_EVENTS.TURN_STATE_CHANGED, ({ to }) => {
+    hideStallRecovery();
+    updateGameControls();
+    if (to === TURN_STATES.ROLLING) showDiceRollAnimation(true);
+});
+
+on(GAME_EVENTS.TURN_STALLED, ({ snapshot, options }) => showStallRecovery(snapshot, options));
+
+on(GAME_EVENTS.TURN_STARTED, () => {
+    clearHighlights();
+    hideDiceRollAnimation();
+    updatePlayerInfo();
+});
+
+on(GAME_EVENTS.DICE_ROLLED, ({ roll }) => showDiceRollAnimation(false, roll));
+
+// Start paths are picked from the highlighted spaces; Choicepoints use the board's own markers
+on(GAME_EVENTS.CHOICES_OFFERED, ({ choices }) => {
+    if (choices[0]?.type === 'choicepoint') highlightPlayerChoices(choices);
+    else highlightChoices(choices);
+});
+
+on(GAME_EVENTS.CHOICES_CLEARED, () => clearHighlights());
+
+on(GAME_EVENTS.TURN_ORDER_ROLLED, () => updateTurnOrderDisplay());
+
+on(GAME_EVENTS.GAME_SET_UP, () => updateGameComponents());
+
+// The card stays up until it is closed, and the draw waits for that
+on(GAME_EVENTS.CARD_DRAWN, ({ card }) => new Promise(resolve => showCardPopup(card, resolve)));
+
+on(GAME_EVENTS.DECKS_CHANGED, ({ counts }) => updateDeckCounters(counts));
+
+on(GAME_EVENTS.DECK_RESHUFFLED, ({ deckType }) => flashDeckCounter(deckType));
+
+on(GAME_EVENTS.CARDS_VALIDATED, ({ report }) => {
+    if (isDevMode()) showCardValidationOverlay(report);
+});
+
+on(GAME_EVENTS.BOARD_VALIDATED, ({ report }) => showBoardValidationOverlay(report));
+
+on(GAME_EVENTS.GAME_OVER, ({ results }) => {
+    showEndGameScreen(results);
+    updateGameControls();
+});
+
+// ===== Player Prompts =====
+// The rules ask human players to choose; each answer goes back through the promise returned here
+
+on(PROMPTS.CHOOSE_PLAYER, ({ player, candidates, description }) =>
+    new Promise(resolve => promptTargetSelection(player, candidates, description, resolve)));
+
+on(PROMPTS.CHOOSE_STEP, ({ options }) => new Promise(resolve => {
+    pendingStepChoice = { options, resolve };
+    highlightChoices(options);
+}));
+
+on(PROMPTS.COMPOSE_TRADE, ({ player, partners, checks }) =>
+    new Promise(resolve => showTradeComposer(player, partners, checks, resolve)));
+
+on(PROMPTS.ANSWER_TRADE, ({ source, target, offer, request, isSwap }) =>
+    new Promise(resolve => promptForTradeResponse(source, target, offer, request, isSwap, resolve)));
+
+on(PROMPTS.ANSWER_ALLIANCE, ({ proposer, partner }) =>
+    new Promise(resolve => promptAllianceResponse(proposer, partner, resolve)));
+
+on(PROMPTS.TURN_SUMMARY, ({ summary, autoClose }) =>
+    new Promise(resolve => showTurnSummary(summary, { autoClose }, resolve)));
+
 // ===== UI Scaling Utilities =====
 const ORIGINAL_UI_WIDTH = 1536;
 const ORIGINAL_UI_HEIGHT = 1024;
@@ -3283,49 +4382,46 @@ export function handleBoardClick(e) {
     const coords = unscaleCoordinates(x, y);
     
     // First check if the game state is currently awaiting a choice
-    if (window.gameState) {
-        const gameState = window.gameState;
-        const currentTurnState = gameState.turnState;
-        
-        if (['AWAITING_START_CHOICE', 'AWAITING_CHOICEPOINT'].includes(currentTurnState)) {
-            // Check if the click is on one of the highlighted choices
-            const choices = gameState.currentChoices || [];
-            console.log("Checking click against choices:", choices);
-            
-            // Check if the click hit any of the valid choice points
-            for (const choice of choices) {
-                if (!choice.coordinates) continue;
-                
-                const choiceX = choice.coordinates[0];
-                const choiceY = choice.coordinates[1];
+    const currentTurnState = liveGameState.turnState;
+    
+    if (['AWAITING_START_CHOICE', 'AWAITING_CHOICEPOINT'].includes(currentTurnState)) {
+        // Check if the click is on one of the highlighted choices
+        const choices = liveGameState.currentChoices || [];
+        console.log("Checking click against choices:", choices);
+        
+        // Check if the click hit any of the valid choice points
+        for (const choice of choices) {
+            if (!choice.coordinates) continue;
+            
+            const choiceX = choice.coordinates[0];
+            const choiceY = choice.coordinates[1];
+            
+            // Check if click is within a reasonable distance of the choice point
+            const distance = Math.sqrt(
+                Math.pow(choiceX - coords.x, 2) + 
+                Math.pow(choiceY - coords.y, 2)
+            );
+            
+            // If within 30 units (adjusted for scale), consider it a hit
+            if (distance <= 30) {
+                console.log("Click hit choice:", choice);
                 
-                // Check if click is within a reasonable distance of the choice point
-                const distance = Math.sqrt(
-                    Math.pow(choiceX - coords.x, 2) + 
-                    Math.pow(choiceY - coords.y, 2)
-                );
+                // Import the game module to call resolvePlayerChoice
+                import('./game.js').then(game => {
+                    if (typeof game.resolvePlayerChoice === 'function') {
+                        game.resolvePlayerChoice(liveGameState.currentPlayerId, choice);
+                    } else {
+                        console.error("resolvePlayerChoice function not found in game module");
+                    }
+                }).catch(error => {
+                    console.error("Error importing game module:", error);
+                });
                 
-                // If within 30 units (adjusted for scale), consider it a hit
-                if (distance <= 30) {
-                    console.log("Click hit choice:", choice);
-                    
-                    // Import the game module to call resolvePlayerChoice
-                    import('./game.js').then(game => {
-                        if (typeof game.resolvePlayerChoice === 'function') {
-                            game.resolvePlayerChoice(gameState.currentPlayerId, choice);
-                        } else {
-                            console.error("resolvePlayerChoice function not found in game module");
-                        }
-                    }).catch(error => {
-                        console.error("Error importing game module:", error);
-                    });
-                    
-                    return; // Stop processing after finding a match
-                }
+                return; // Stop processing after finding a match
             }
-            
-            console.log("Click did not hit a valid choice.");
         }
+        
+        console.log("Click did not hit a valid choice.");
     }
     
     // Fall back to the regular resolveBoardClick if no specific choice was hit
@@ -3438,18 +4534,6 @@ export function createPlayerTokenElements() {
     }
 }
 
-// Make createPlayerTokenElements available to other modules via a global object
-// Add this near the top of the file after imports
-window.ui = window.ui || {};
-
-// Add code at the end of the file to expose functionality
-// Add this at the end of the file
-
-// Expose key UI functions globally for other modules to use
-window.ui.createPlayerTokenElements = createPlayerTokenElements;
-window.ui.updateTurnOrderDisplay = updateTurnOrderDisplay;
-window.ui.setupTurnOrderUI = setupTurnOrderUI;
-
 export function updateTurnOrderDisplay() {
     const container = document.getElementById('turn-order-display');
     if (!container) return;
@@ -3484,27 +4568,6 @@ export function updateTurnOrderDisplay() {
     });
 }
 
-// --- Export UI Functions to Global Scope ---
-// This allows other modules to access UI functions without imports
-
-// Create the UI namespace if it doesn't exist
-window.ui = window.ui || {};
-
-// Expose key UI functions globally for other modules to use
-window.ui.showScreen = showScreen;
-window.ui.hideScreen = hideScreen;
-window.ui.updatePlayerInfo = updatePlayerInfo;
-window.ui.logMessage = logMessage;
-window.ui.showCard = showCard;
-window.ui.hideCard = hideCard;
-window.ui.showCardPopup = showCardPopup;
-window.ui.updateGameControls = updateGameControls;
-window.ui.promptForTradeResponse = promptForTradeResponse;
-window.ui.promptTargetSelection = promptTargetSelection;
-window.ui.createPlayerTokenElements = createPlayerTokenElements;
-window.ui.updateTurnOrderDisplay = updateTurnOrderDisplay;
-window.ui.setupTurnOrderUI = setupTurnOrderUI;
-
 /**
  * Set up the role selection UI with proper styles and event handlers
  * @param {number} totalPlayers - Total number of players in the game
@@ -3593,21 +4656,13 @@ export function setupTurnOrderUI() {
     document.head.appendChild(style);
     
     console.log("Turn order UI setup complete");
-    
-    // Expose the turn order UI setup function for other modules
-    window.ui.setupTurnOrderUI = setupTurnOrderUI;
 }
 
 // Function to determine turn order internally
 function determineTurnOrder() {
     const players = getPlayers();
-    const shuffledPlayers = [...players];
-    
-    // Fisher-Yates shuffle algorithm for random ordering
-    for (let i = shuffledPlayers.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [shuffledPlayers[i], shuffledPlayers[j]] = [shuffledPlayers[j], shuffledPlayers[i]];
-    }
+    // Seeded Fisher-Yates shuffle for random ordering
+    const shuffledPlayers = shuffleInPlace([...players]);
     
     // Update the turn order display
     updateTurnOrderDisplay();
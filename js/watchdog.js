@@ -0,0 +1,166 @@
+/**
+ * Turn Watchdog for Critocracy
+ * Reports a stalled turn when the turn state machine has not moved for a while, logging a
+ * snapshot of the game for diagnosis and offering the ways the turn can be recovered.
+ * DOM-free: the UI offers the recovery options and game.js carries out the one chosen.
+ */
+
+// ===== Imports =====
+import { gameState, getCurrentPlayer } from './engine.js';
+import { GAME_EVENTS, emit, on } from './events.js';
+import { logGameEvent, getFilteredGameLog } from './logging.js';
+import { GAME_PHASES, TURN_STATES } from './turn-states.js';
+
+// ===== Constants =====
+export const RECOVERY_OPTIONS = {
+    RETRY_STEP: 'RETRY_STEP',
+    SKIP_TO_END_OF_TURN_CARD: 'SKIP_TO_END_OF_TURN_CARD',
+    ADVANCE_TO_NEXT_PLAYER: 'ADVANCE_TO_NEXT_PLAYER'
+};
+
+// A chain of card effects (extra draws, token walks, popups) can hold one state for 25 seconds
+const DEFAULT_STALL_TIMEOUT = 60000;
+const RECENT_LOG_ENTRIES = 10;
+
+const S = TURN_STATES;
+
+// States that wait on a human player, who may take as long as they like
+const HUMAN_PACED_STATES = [
+    S.AWAITING_START_CHOICE, S.AWAITING_ROLL, S.AWAITING_CHOICEPOINT, S.AWAITING_PATH_CARD,
+    S.AWAITING_END_OF_TURN_CARD, S.RESOLVING_CARD, S.PLAYING_KEPT_CARD, S.ACTION_COMPLETE, S.TURN_SUMMARY
+];
+
+// States whose step can simply be taken again
+const RETRYABLE_STATES = [
+    S.AWAITING_START_CHOICE, S.AWAITING_ROLL, S.ROLLING, S.MOVING, S.AWAITING_CHOICEPOINT,
+    S.AWAITING_PATH_CARD, S.AWAITING_END_OF_TURN_CARD, S.ACTION_COMPLETE
+];
+
+// States that come before the End of Turn card is drawn
+const BEFORE_END_OF_TURN_CARD = [
+    S.AWAITING_START_CHOICE, S.AWAITING_ROLL, S.ROLLING, S.MOVING, S.AWAITING_CHOICEPOINT,
+    S.AWAITING_PATH_CARD, S.RESOLVING_CARD, S.PLAYING_KEPT_CARD
+];
+
+// ===== Watchdog State =====
+const watchdog = {
+    timer: null,
+    timeout: DEFAULT_STALL_TIMEOUT,
+    subscriptions: []
+};
+
+// ===== Watching =====
+
+/**
+ * Check whether the turn is in a state the watchdog should time
+ * @returns {boolean} True if a long wait here means the turn is stuck
+ */
+const isWatched = () => {
+    if (gameState.gamePhase !== GAME_PHASES.PLAYING || gameState.turnState === S.GAME_OVER) return false;
+    const player = getCurrentPlayer();
+    return !(player?.isHuman && HUMAN_PACED_STATES.includes(gameState.turnState));
+};
+
+/**
+ * Restart the stall timer
+ */
+const arm = () => {
+    clearTimeout(watchdog.timer);
+    watchdog.timer = isWatched() ? setTimeout(reportStall, watchdog.timeout) : null;
+};
+
+/**
+ * Start timing turn state transitions. Restarting replaces any earlier watch.
+ * @param {Object} [options]
+ * @param {number} [options.timeout=60000] - Milliseconds without a transition before a turn counts as stalled
+ */
+export const startWatchdog = ({ timeout = DEFAULT_STALL_TIMEOUT } = {}) => {
+    stopWatchdog();
+    watchdog.timeout = timeout;
+    watchdog.subscriptions = [
+        on(GAME_EVENTS.TURN_STATE_CHANGED, arm),
+        on(GAME_EVENTS.GAME_OVER, stopWatchdog)
+    ];
+    arm();
+};
+
+/**
+ * Stop timing turns
+ */
+export const stopWatchdog = () => {
+    clearTimeout(watchdog.timer);
+    watchdog.timer = null;
+    watchdog.subscriptions.forEach(unsubscribe => unsubscribe());
+    watchdog.subscriptions = [];
+};
+
+/**
+ * Give a stalled turn more time before it is reported again
+ */
+export const keepWaiting = () => {
+    if (watchdog.subscriptions.length > 0) arm();
+};
+
+// ===== Stall Reports =====
+
+/**
+ * Describe the game as it stands, for working out why a turn stopped
+ * @returns {Object} JSON-safe snapshot
+ */
+export const getStallSnapshot = () => {
+    const player = getCurrentPlayer();
+    return {
+        stalledForMs: watchdog.timeout,
+        turnState: gameState.turnState,
+        gamePhase: gameState.gamePhase,
+        currentTurn: gameState.currentTurn,
+        currentRound: gameState.currentRound,
+        player: player ? {
+            id: player.id,
+            name: player.name,
+            role: player.role,
+            isHuman: player.isHuman,
+            coords: { ...player.currentCoords },
+            finished: player.finished,
+            hasDrawnEndOfTurnCard: Boolean(player.hasDrawnEndOfTurnCard)
+        } : null,
+        currentDiceRoll: gameState.currentDiceRoll,
+        movesRemaining: gameState.movesRemaining ?? null,
+        choicePointRemainingSteps: gameState.choicePointRemainingSteps ?? 0,
+        currentChoices: (gameState.currentChoices || []).map(choice => choice.coordinates),
+        pendingActionData: gameState.pendingActionData ? { ...gameState.pendingActionData } : null,
+        recentLog: getFilteredGameLog().slice(-RECENT_LOG_ENTRIES)
+    };
+};
+
+/**
+ * List the ways the current turn can be recovered
+ * @returns {Array<string>} RECOVERY_OPTIONS values that apply right now
+ */
+export const getRecoveryOptions = () => {
+    const player = getCurrentPlayer();
+    if (!player) return [];
+
+    const options = [];
+    if (RETRYABLE_STATES.includes(gameState.turnState)) {
+        options.push(RECOVERY_OPTIONS.RETRY_STEP);
+    }
+    if (BEFORE_END_OF_TURN_CARD.includes(gameState.turnState) && !player.hasDrawnEndOfTurnCard && !player.finished) {
+        options.push(RECOVERY_OPTIONS.SKIP_TO_END_OF_TURN_CARD);
+    }
+    options.push(RECOVERY_OPTIONS.ADVANCE_TO_NEXT_PLAYER);
+    return options;
+};
+
+/**
+ * Log the stalled turn and announce it with its recovery options
+ */
+const reportStall = () => {
+    watchdog.timer = null;
+    const snapshot = getStallSnapshot();
+    const options = getRecoveryOptions();
+
+    console.error(`Turn watchdog: No turn state change for ${watchdog.timeout}ms in ${snapshot.turnState}`, snapshot);
+    logGameEvent('TURN_STALLED', { ...snapshot, playerId: snapshot.player?.id || null, options });
+    emit(GAME_EVENTS.TURN_STALLED, { snapshot, options });
+};
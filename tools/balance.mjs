@@ -0,0 +1,35 @@
+/**
+ * Report how much each deck is worth to each Critocracy role, weighted by draw rates
+ * from simulated CPU-only games, and flag roles the cards favour.
+ *
+ * Usage: node tools/balance.mjs [--games 20] [--players 4] [--seed text] [--json] [--out report.txt]
+ */
+
+import { writeFileSync } from 'node:fs';
+import { runSimulations } from '../js/simulation.js';
+
+const readOption = (name, fallback = null) => {
+    const index = process.argv.indexOf(`--${name}`);
+    return index === -1 ? fallback : process.argv[index + 1];
+};
+
+const results = await runSimulations({
+    games: Number(readOption('games', 20)),
+    playerCount: Number(readOption('players', 4)),
+    seed: readOption('seed'),
+    onGameComplete: (result) => process.stderr.write(`Simulated game ${result.game}${result.completed ? '' : ' (stalled)'}\n`)
+});
+
+// The balance module pulls in the game modules, which need the quiet environment runSimulations installed
+const { analyzeCardBalance, formatBalanceReport } = await import('../js/balance.js');
+const report = analyzeCardBalance(results);
+const output = process.argv.includes('--json') ? JSON.stringify(report, null, 2) : formatBalanceReport(report);
+const outFile = readOption('out');
+
+if (outFile) {
+    writeFileSync(outFile, output);
+    process.stderr.write(`Wrote balance report to ${outFile}\n`);
+} else {
+    process.stdout.write(`${output}\n`);
+}
+process.exit(0);
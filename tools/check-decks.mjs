@@ -0,0 +1,62 @@
+/**
+ * Check the Critocracy deck lifecycle: a resolved card goes back to the bottom of its deck, so it
+ * comes up again only after every other card, and an exhausted deck refills from its discard pile.
+ *
+ * Usage: node tools/check-decks.mjs
+ * Exits with 1 if any deck fails.
+ */
+
+import { installHeadlessEnvironment } from '../js/headless.js';
+
+installHeadlessEnvironment({ quiet: true });
+// The card modules touch the DOM when loaded, so they come in after the environment is installed
+const { DECK_TYPES, setupDecks, drawCard, discardCard, returnCardToDeck, getDeckCounts } = await import('../js/cards.js');
+
+const failures = [];
+
+if (!(await setupDecks())) {
+    failures.push('the decks could not be set up');
+}
+
+Object.values(DECK_TYPES).forEach(deckType => {
+    const fullSize = getDeckCounts()[deckType];
+
+    // A resolved card goes to the bottom, so drawing never empties the deck
+    const first = drawCard(deckType);
+    returnCardToDeck(first);
+    if (getDeckCounts()[deckType] !== fullSize) {
+        failures.push(`${deckType}: returning a resolved card left ${getDeckCounts()[deckType]} of ${fullSize} cards`);
+    }
+
+    // ...and every other card comes up before it does again
+    const ahead = [];
+    for (let i = 1; i < fullSize; i++) {
+        const card = drawCard(deckType);
+        ahead.push(card);
+        returnCardToDeck(card);
+    }
+    if (ahead.includes(first) || drawCard(deckType) !== first) {
+        failures.push(`${deckType}: a returned card did not go to the bottom of the deck`);
+    }
+    returnCardToDeck(first);
+
+    // A deck drawn out without returning its cards refills from its discard pile
+    const held = [];
+    for (let card = drawCard(deckType); card; card = drawCard(deckType)) {
+        held.push(card);
+    }
+    if (held.length !== fullSize) {
+        failures.push(`${deckType}: drew ${held.length} of ${fullSize} cards before the deck ran out`);
+    }
+    held.forEach(card => discardCard(card));
+
+    const refilled = drawCard(deckType);
+    if (!refilled || getDeckCounts()[deckType] !== fullSize - 1) {
+        failures.push(`${deckType}: the emptied deck did not refill from its discard pile`);
+    }
+    returnCardToDeck(refilled);
+});
+
+const summary = `Deck check: ${Object.values(DECK_TYPES).length} decks, ${failures.length} failures`;
+process.stdout.write(`${[summary, ...failures.map(failure => `FAIL ${failure}`)].join('\n')}\n`);
+process.exit(failures.length > 0 ? 1 : 0);
@@ -0,0 +1,40 @@
+/**
+ * Run CPU-only Critocracy games headlessly and print the results as JSON.
+ *
+ * Usage: node tools/simulate.mjs [--games 10] [--players 4] [--seed text] [--roles HISTORIAN,ARTIST]
+ *                                [--out results.json] [--verbose]
+ */
+
+import { writeFileSync } from 'node:fs';
+import { runSimulations } from '../js/simulation.js';
+
+const readOption = (name, fallback = null) => {
+    const index = process.argv.indexOf(`--${name}`);
+    return index === -1 ? fallback : process.argv[index + 1];
+};
+
+const options = {
+    games: Number(readOption('games', 1)),
+    playerCount: Number(readOption('players', 4)),
+    roles: readOption('roles') ? readOption('roles').split(',').map(role => role.trim().toUpperCase()) : null,
+    seed: readOption('seed'),
+    quiet: !process.argv.includes('--verbose'),
+    onGameComplete: (result) => {
+        const outcome = result.completed
+            ? `winner ${result.winners.map(w => `${w.name} (${w.role})`).join(', ') || 'none'}`
+            : `stalled in ${result.stalledIn}`;
+        process.stderr.write(`Game ${result.game}: ${outcome} after ${result.turns} turns\n`);
+    }
+};
+
+const results = await runSimulations(options);
+const json = JSON.stringify(results, null, 2);
+const outFile = readOption('out');
+
+if (outFile) {
+    writeFileSync(outFile, json);
+    process.stderr.write(`Wrote ${results.length} result(s) to ${outFile}\n`);
+} else {
+    process.stdout.write(`${json}\n`);
+}
+process.exit(results.every(result => result.completed) ? 0 : 1);
@@ -0,0 +1,15 @@
+/**
+ * Check the Critocracy board data for broken Next links, duplicate spaces, spaces off the
+ * route from Start to Finish, loops and Start options that miss their path.
+ *
+ * Usage: node tools/validate-board.mjs [--json]
+ * Exits with 1 if there are errors; warnings alone do not fail.
+ */
+
+import { validateBoardData, formatBoardValidationReport } from '../js/board-validation.js';
+
+const report = validateBoardData();
+const output = process.argv.includes('--json') ? JSON.stringify(report, null, 2) : formatBoardValidationReport(report);
+
+process.stdout.write(`${output}\n`);
+process.exit(report.errors.length > 0 ? 1 : 0);